@@ -8,19 +8,59 @@ class BudgetSystem {
         this.categories = [];
         this.openingBalances = new Map(); // Store opening balance per month per year
         this.manualOpeningBalances = new Set(); // Track which balances are manually set
+        this.lockedYears = []; // Closed years: viewable, but their transactions can't be changed
         this.monthlyNotes = new Map(); // Store monthly notes per year
+        this.defaultAccountId = 'main'; // Transactions without an accountId belong to this account
+        this.accounts = [{ id: 'main', name: 'עו"ש', type: 'checking' }]; // Bank accounts and credit cards: { id, name, type }
+        this.exchangeRates = []; // Rates to ILS: { currency, date: 'YYYY-MM-DD', rate }
+        this.tags = []; // Tag names offered for transactions, next to the fixed colors
+        // Recurring transactions: { id, item, amount (signed), type, color, accountId, frequency, dayOfMonth,
+        // startMonth: 'YYYY-MM', endMonth?, note, skipped: ['YYYY-M'] }. Posted transactions carry templateId.
+        this.recurringTemplates = [];
+        this.editingTemplateId = null;
+        this.budgets = []; // Planned spending: { year, category, amounts: [12 monthly amounts] }
+        // Savings goals: { id, name, targetAmount, targetDate: 'YYYY-MM-DD', keyword, isDefault }.
+        // Transactions may carry goalId to assign them by hand ('none' keeps them out of every goal).
+        this.savingsGoals = [];
+        // Loans and installment plans: { id, name, kind: 'loan'|'installments', principal, annualRate, termMonths,
+        // startMonth: 'YYYY-MM', keyword }. Payments link by keyword, or by hand through loanId ('none' = never link).
+        this.loans = [];
+        // Written checks: { id, checkNumber, payeeName, amount, issueDate, dueDate, status: 'issued'|'cleared'|'bounced'|'cancelled',
+        // note, transactionId? (the check transaction it came from), clearedBy? (the statement line that cleared it) }
+        this.checkRegister = [];
+        this.checkbooks = []; // Check number ranges: { id, name, firstNumber, lastNumber, voided: [numbers] }
+        this.payees = []; // Check payees: { id, name, aliases: [variant spellings merged into this payee] }
+        // Bank statement reconciliations: { id, accountId, year, month, statementBalance, bookBalance, difference,
+        // reconciled, reconciledAt? }. Transactions seen on a statement carry clearedAccounts: [account ids]
+        // (a transfer shows up on the statements of both of its accounts).
+        this.reconciliations = [];
+        this.currentFormTags = []; // Tags of the transaction open in the form
+        this.autoFilledRate = null; // Exchange rate the form filled in by itself (a typed rate is never replaced)
+        this.trash = []; // Deleted records: { id, kind: 'transaction'|'checkItem'|'mapping', record, deletedAt, deletedBy }
+        this.trashRetentionDays = 30; // Trash entries older than this are purged on load
         this.currentMonth = new Date().getMonth() + 1;
         this.currentYear = new Date().getFullYear();
         this.currentTab = 'data-entry';
         this.lastSelectedMonth = null; // Remember last selected month for new transactions
         this.lastSelectedYear = null; // Remember last selected year
         this.lastSelectedColor = 'none'; // Remember last selected color for new transactions
+        // Color palette: { id, name, hex, inSummary (checked in the color summary by default), forImports (given to imported rows) }
+        this.colors = SNAPSHOT_DEFAULT_COLORS.map(color => ({ ...color }));
+        this.profiles = new ProfileManager(); // Active ledger - scopes every storage key below
+        // IndexedDB persistence (null when falling back to localStorage)
+        this.storage = new BudgetStorage(
+            this.profiles.getDatabaseName(),
+            this.profiles.getStorageKey('budgetData'),
+            this.profiles.getStorageKey('budgetDataLegacyBackup')
+        );
+        this.migrator = new SchemaMigrator(); // Versioned upgrades for old saved data
+        this.history = new UndoHistory(); // Undo/redo steps recorded by saveData()
 
-        this.initialize();
+        this.ready = this.initialize();
     }
 
     // Initialize the system
-    initialize() {
+    async initialize() {
         // Wait a moment for external libraries to load
         setTimeout(() => {
             // Verify XLSX library is loaded for Excel import functionality
@@ -35,8 +75,10 @@ class BudgetSystem {
 
         this.checkUserSetup(); // Check if user has entered their details
         this.initializeDefaultMappings();
-        this.loadData();
+        await this.loadData();
+        this.history.reset(BudgetSnapshot.fromSystem(this)); // Nothing to undo right after loading
         this.initializeYearSelector();
+        this.initializeProfileSelector();
         this.initializeEventListeners();
         // Don't load color selections - start fresh each time
         this.setCurrentMonth();
@@ -45,7 +87,7 @@ class BudgetSystem {
 
     // Check user setup and show modal if needed
     checkUserSetup() {
-        const userData = localStorage.getItem('budgetUserData');
+        const userData = localStorage.getItem(this.profiles.getStorageKey('budgetUserData'));
         if (!userData) {
             // Show setup modal
             document.getElementById('userSetupModal').style.display = 'flex';
@@ -55,7 +97,7 @@ class BudgetSystem {
 
     // Get user data for reports
     getUserData() {
-        const userData = localStorage.getItem('budgetUserData');
+        const userData = localStorage.getItem(this.profiles.getStorageKey('budgetUserData'));
         if (userData) {
             return JSON.parse(userData);
         }
@@ -70,7 +112,7 @@ class BudgetSystem {
             id: id || '',
             setupDate: new Date().toISOString()
         };
-        localStorage.setItem('budgetUserData', JSON.stringify(userData));
+        localStorage.setItem(this.profiles.getStorageKey('budgetUserData'), JSON.stringify(userData));
         document.getElementById('userSetupModal').style.display = 'none';
         this.showNotification(`ברוך הבא ${name}! המערכת מוכנה לשימוש`, 'success');
     }
@@ -114,10 +156,620 @@ class BudgetSystem {
             setupDate: userData ? userData.setupDate : new Date().toISOString()
         };
         
-        localStorage.setItem('budgetUserData', JSON.stringify(updatedData));
+        localStorage.setItem(this.profiles.getStorageKey('budgetUserData'), JSON.stringify(updatedData));
         this.showNotification('הפרטים עודכנו בהצלחה', 'success');
     }
 
+    // Fill the header profile switcher
+    initializeProfileSelector() {
+        const profileSelect = document.getElementById('profileSelect');
+        profileSelect.innerHTML = '';
+        this.profiles.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === this.profiles.activeId;
+            profileSelect.appendChild(option);
+        });
+
+        profileSelect.onchange = (e) => {
+            this.switchProfile(e.target.value);
+        };
+    }
+
+    // Switch to another profile - reloads the page so every view starts from that profile's data
+    async switchProfile(id) {
+        if (id === this.profiles.activeId) return;
+
+        // Let pending writes of the current profile finish first
+        if (this.storage) {
+            await this.storage.flush();
+        }
+        this.profiles.setActive(id);
+        window.location.reload();
+    }
+
+    // Create a new empty profile from the settings form
+    createProfile() {
+        const nameInput = document.getElementById('newProfileName');
+        const name = nameInput.value.trim();
+
+        if (!name) {
+            this.showNotification('יש להזין שם לפרופיל', 'error');
+            return;
+        }
+        if (this.profiles.isNameTaken(name)) {
+            this.showNotification(`כבר קיים פרופיל בשם "${name}"`, 'error');
+            return;
+        }
+
+        const profile = this.profiles.create(name);
+        nameInput.value = '';
+        this.initializeProfileSelector();
+        this.updateProfilesTable();
+        this.showNotification(`הפרופיל "${name}" נוצר בהצלחה`, 'success');
+
+        if (confirm(`לעבור לפרופיל "${name}" עכשיו?`)) {
+            this.switchProfile(profile.id);
+        }
+    }
+
+    // Rename a profile using the name field in its row
+    renameProfile(id) {
+        const name = document.getElementById(`profileName-${id}`).value.trim();
+
+        if (!name) {
+            this.showNotification('יש להזין שם לפרופיל', 'error');
+            return;
+        }
+        if (this.profiles.isNameTaken(name, id)) {
+            this.showNotification(`כבר קיים פרופיל בשם "${name}"`, 'error');
+            return;
+        }
+
+        this.profiles.rename(id, name);
+        this.initializeProfileSelector();
+        this.updateProfilesTable();
+        this.showNotification('שם הפרופיל עודכן', 'success');
+    }
+
+    // Delete a profile and all of its data
+    async deleteProfile(id) {
+        const profile = this.profiles.getProfile(id);
+        if (!profile) return;
+
+        if (!confirm(`למחוק את הפרופיל "${profile.name}"?\n\n⚠️ כל העסקאות, המיפויים וההגדרות של הפרופיל יימחקו לצמיתות (הקובץ ב-Dropbox לא יימחק).`)) {
+            return;
+        }
+
+        try {
+            await this.profiles.delete(id);
+            this.initializeProfileSelector();
+            this.updateProfilesTable();
+            this.showNotification(`הפרופיל "${profile.name}" נמחק`, 'success');
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            this.showNotification('❌ שגיאה במחיקת הפרופיל', 'error');
+        }
+    }
+
+    // Render the profiles table in settings
+    updateProfilesTable() {
+        const tbody = document.getElementById('profilesBody');
+        tbody.innerHTML = '';
+
+        this.profiles.profiles.forEach(profile => {
+            const isActive = profile.id === this.profiles.activeId;
+            const canDelete = !isActive && !this.profiles.isDefault(profile.id);
+            const row = document.createElement('tr');
+
+            row.innerHTML = `
+                <td>
+                    <input type="text" id="profileName-${profile.id}" value="${profile.name.replace(/"/g, '&quot;')}" style="padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;">
+                    ${isActive ? '<span class="category-badge">פעיל</span>' : ''}
+                </td>
+                <td>${new Date(profile.createdAt).toLocaleDateString('he-IL')}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.renameProfile('${profile.id}')" class="btn btn-secondary btn-small" title="שמור שם">💾</button>
+                    ${!isActive ? `<button onclick="budgetSystem.switchProfile('${profile.id}')" class="btn btn-primary btn-small" title="עבור לפרופיל">↪️</button>` : ''}
+                    ${canDelete ? `<button onclick="budgetSystem.deleteProfile('${profile.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>` : ''}
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Account a transaction belongs to (records from before accounts existed are in the main account)
+    getAccountId(record) {
+        return record.accountId || this.defaultAccountId;
+    }
+
+    getAccount(id) {
+        return this.accounts.find(a => a.id === id) || null;
+    }
+
+    getAccountName(id) {
+        const account = this.getAccount(id);
+        return account ? account.name : id;
+    }
+
+    getAccountTypeLabel(type) {
+        const labels = {
+            checking: 'חשבון בנק',
+            credit: 'כרטיס אשראי',
+            savings: 'חיסכון'
+        };
+        return labels[type] || type;
+    }
+
+    // Opening balance key of an account. The main account keeps the original 'YYYY-M' keys.
+    getBalanceKey(month, year = this.currentYear, accountId = this.defaultAccountId) {
+        return accountId === this.defaultAccountId ? `${year}-${month}` : `${accountId}:${year}-${month}`;
+    }
+
+    // Account chosen in the data entry header, or null for "all accounts"
+    getSelectedAccountId() {
+        if (this.accounts.length === 1) {
+            return this.accounts[0].id;
+        }
+        const value = document.getElementById('dataEntryAccountSelect').value;
+        return value && value !== 'all' ? value : null;
+    }
+
+    // Small account label shown next to an item once there is more than one account
+    getAccountTag(record) {
+        if (record.type === 'transfer' && record.toAccountId) {
+            return ` <small style="color: #1565c0;">🔁 ${this.getAccountName(this.getAccountId(record))} ← ${this.getAccountName(record.toAccountId)}</small>`;
+        }
+        if (this.accounts.length === 1) return '';
+        return ` <small style="color: #1565c0;">🏦 ${this.getAccountName(this.getAccountId(record))}</small>`;
+    }
+
+    // Fill the account filter and the account field of the transaction form.
+    // Both stay hidden while there is only one account.
+    updateAccountSelectors() {
+        const filterSelect = document.getElementById('dataEntryAccountSelect');
+        const formSelect = document.getElementById('transactionAccount');
+        const previousFilter = filterSelect.value || 'all';
+        const options = this.accounts
+            .map(account => `<option value="${account.id}">${account.name}</option>`)
+            .join('');
+
+        filterSelect.innerHTML = `<option value="all">כל החשבונות</option>${options}`;
+        filterSelect.value = this.getAccount(previousFilter) ? previousFilter : 'all';
+        formSelect.innerHTML = options;
+        document.getElementById('transferToAccount').innerHTML = options;
+
+        const isMultiAccount = this.accounts.length > 1;
+        document.getElementById('dataEntryAccountSelector').style.display = isMultiAccount ? '' : 'none';
+        document.getElementById('transactionAccountGroup').style.display = isMultiAccount ? '' : 'none';
+    }
+
+    // Show the destination account while the form is set to a transfer
+    updateTransferFields() {
+        const isTransfer = document.getElementById('typeTransfer').checked;
+        document.getElementById('transferToGroup').style.display = isTransfer ? '' : 'none';
+        document.getElementById('transactionAccountLabel').textContent = isTransfer ? 'מחשבון' : 'חשבון';
+    }
+
+    // Add a bank account or credit card from the settings form
+    createAccount() {
+        const nameInput = document.getElementById('newAccountName');
+        const name = nameInput.value.trim();
+        const type = document.getElementById('newAccountType').value;
+
+        if (!name) {
+            this.showNotification('יש להזין שם לחשבון', 'error');
+            return;
+        }
+        if (this.accounts.some(a => a.name === name)) {
+            this.showNotification(`כבר קיים חשבון בשם "${name}"`, 'error');
+            return;
+        }
+
+        this.accounts.push({ id: `a${Date.now()}`, name: name, type: type });
+        nameInput.value = '';
+        this.saveData(`הוספת חשבון "${name}"`);
+        this.updateDisplay();
+        this.showNotification(`החשבון "${name}" נוסף`, 'success');
+    }
+
+    // Save the name and type from an account's row
+    updateAccount(id) {
+        const account = this.getAccount(id);
+        if (!account) return;
+
+        const name = document.getElementById(`accountName-${id}`).value.trim();
+        const type = document.getElementById(`accountType-${id}`).value;
+        if (!name) {
+            this.showNotification('יש להזין שם לחשבון', 'error');
+            return;
+        }
+        if (this.accounts.some(a => a.id !== id && a.name === name)) {
+            this.showNotification(`כבר קיים חשבון בשם "${name}"`, 'error');
+            return;
+        }
+
+        account.name = name;
+        account.type = type;
+        this.saveData(`עדכון החשבון "${name}"`);
+        this.updateDisplay();
+        this.showNotification('החשבון עודכן', 'success');
+    }
+
+    // Delete an account that has no transactions. The main account can't be deleted.
+    deleteAccount(id) {
+        const account = this.getAccount(id);
+        if (!account || id === this.defaultAccountId) return;
+
+        const usedBy = this.transactions.filter(t => this.getAccountId(t) === id || t.toAccountId === id).length;
+        if (usedBy > 0) {
+            alert(`לא ניתן למחוק את החשבון "${account.name}" - יש בו ${usedBy} עסקאות.\nיש להעביר או למחוק אותן קודם.`);
+            return;
+        }
+        if (!confirm(`למחוק את החשבון "${account.name}"?`)) {
+            return;
+        }
+
+        this.accounts = this.accounts.filter(a => a.id !== id);
+        // Its opening balances and bank reconciliations go with it
+        Array.from(this.openingBalances.keys())
+            .filter(key => key.startsWith(`${id}:`))
+            .forEach(key => {
+                this.openingBalances.delete(key);
+                this.manualOpeningBalances.delete(key);
+            });
+        this.reconciliations = this.reconciliations.filter(r => r.accountId !== id);
+
+        this.saveData(`מחיקת החשבון "${account.name}"`);
+        this.updateDisplay();
+        this.showNotification(`החשבון "${account.name}" נמחק`, 'success');
+    }
+
+    // Render the accounts table in settings
+    updateAccountsTable() {
+        const tbody = document.getElementById('accountsBody');
+        tbody.innerHTML = '';
+
+        this.accounts.forEach(account => {
+            const count = this.transactions.filter(t => this.getAccountId(t) === account.id || t.toAccountId === account.id).length;
+            const typeOptions = ['checking', 'credit', 'savings']
+                .map(type => `<option value="${type}" ${account.type === type ? 'selected' : ''}>${this.getAccountTypeLabel(type)}</option>`)
+                .join('');
+            const row = document.createElement('tr');
+
+            row.innerHTML = `
+                <td>
+                    <input type="text" id="accountName-${account.id}" value="${account.name.replace(/"/g, '&quot;')}" style="padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;">
+                    ${account.id === this.defaultAccountId ? '<span class="category-badge">ראשי</span>' : ''}
+                </td>
+                <td>
+                    <select id="accountType-${account.id}" style="padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;">${typeOptions}</select>
+                </td>
+                <td>${count}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.updateAccount('${account.id}')" class="btn btn-secondary btn-small" title="שמור">💾</button>
+                    ${account.id !== this.defaultAccountId ? `<button onclick="budgetSystem.deleteAccount('${account.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>` : ''}
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Tag names as stored: trimmed, without a leading #
+    normalizeTag(name) {
+        return String(name || '').trim().replace(/^#+/, '').replace(/\s+/g, ' ');
+    }
+
+    // Every known tag - the registered ones and any found on transactions
+    getAllTags() {
+        const tags = new Set(this.tags);
+        this.transactions.forEach(t => (t.tags || []).forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort((a, b) => a.localeCompare(b, 'he'));
+    }
+
+    // Tag badges shown under an item
+    getTagBadges(record) {
+        if (!record.tags || record.tags.length === 0) return '';
+        return `<br>${record.tags.map(tag => `<span class="tag-badge">#${tag}</span>`).join('')}`;
+    }
+
+    // Tags of the transaction being edited in the form
+    addFormTag(name) {
+        const tag = this.normalizeTag(name);
+        if (!tag || this.currentFormTags.includes(tag)) return;
+        this.currentFormTags.push(tag);
+        this.renderFormTags();
+    }
+
+    removeFormTag(index) {
+        this.currentFormTags.splice(index, 1);
+        this.renderFormTags();
+    }
+
+    renderFormTags() {
+        document.getElementById('transactionTagsList').innerHTML = this.currentFormTags
+            .map((tag, index) => `<span class="tag-badge">#${tag} <span style="cursor: pointer;" onclick="budgetSystem.removeFormTag(${index})" title="הסר">✖</span></span>`)
+            .join('');
+    }
+
+    // Fill the tag suggestions and the tag filter (hidden while there are no tags)
+    updateTagSelectors() {
+        const tags = this.getAllTags();
+        const filterSelect = document.getElementById('dataEntryTagSelect');
+        const previousFilter = filterSelect.value || 'all';
+
+        document.getElementById('tagSuggestions').innerHTML = tags.map(tag => `<option value="${tag}">`).join('');
+        filterSelect.innerHTML = `<option value="all">כל התגיות</option>${tags.map(tag => `<option value="${tag}">#${tag}</option>`).join('')}`;
+        filterSelect.value = tags.includes(previousFilter) ? previousFilter : 'all';
+        document.getElementById('dataEntryTagSelector').style.display = tags.length > 0 ? '' : 'none';
+    }
+
+    // Count and total per tag for the transactions shown in the table
+    updateTagSummary(transactions) {
+        const summaryDiv = document.getElementById('tagSummary');
+        const summaryContent = document.getElementById('tagSummaryContent');
+        if (!summaryDiv || !summaryContent) return;
+
+        const selectedAccountId = this.getSelectedAccountId();
+        const tagTotals = {};
+        const tagCounts = {};
+        transactions.forEach(t => {
+            (t.tags || []).forEach(tag => {
+                tagTotals[tag] = (tagTotals[tag] || 0) + (t.type === 'transfer' ? this.getTransferAmount(t, selectedAccountId) : t.amount);
+                tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+            });
+        });
+
+        const tags = Object.keys(tagCounts).sort((a, b) => a.localeCompare(b, 'he'));
+        if (tags.length === 0) {
+            summaryDiv.style.display = 'none';
+            return;
+        }
+
+        summaryDiv.style.display = 'block';
+        summaryContent.innerHTML = tags.map(tag => `
+            <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: white; border-radius: 5px; border-right: 4px solid #5e35b1;">
+                <span style="font-weight: 500;">#${tag} (${tagCounts[tag]}):</span>
+                <span style="font-size: 1.1rem; font-weight: 600; color: ${tagTotals[tag] >= 0 ? '#4caf50' : '#f44336'};">
+                    ${this.formatCurrency(tagTotals[tag])}
+                </span>
+            </div>
+        `).join('');
+    }
+
+    // Add a tag from the settings form
+    createTag() {
+        const nameInput = document.getElementById('newTagName');
+        const tag = this.normalizeTag(nameInput.value);
+
+        if (!tag) {
+            this.showNotification('יש להזין שם לתגית', 'error');
+            return;
+        }
+        if (this.getAllTags().includes(tag)) {
+            this.showNotification(`התגית "${tag}" כבר קיימת`, 'error');
+            return;
+        }
+
+        this.tags.push(tag);
+        nameInput.value = '';
+        this.saveData(`הוספת תגית "${tag}"`);
+        this.updateDisplay();
+        this.showNotification(`התגית "${tag}" נוספה`, 'success');
+    }
+
+    // Replace a tag on every transaction (to a new name, or remove it when newTag is null)
+    replaceTagOnTransactions(oldTag, newTag) {
+        let count = 0;
+        this.transactions.forEach(t => {
+            // Transactions of a locked year keep their tags
+            if (!(t.tags || []).includes(oldTag) || this.isYearLocked(t.year || this.currentYear)) return;
+            const before = t.tags;
+            const after = Array.from(new Set(before.map(tag => tag === oldTag ? newTag : tag).filter(Boolean)));
+            this.addTransactionHistory(t, 'edited', [{ field: 'tags', from: before, to: after }]);
+            if (after.length > 0) {
+                t.tags = after;
+            } else {
+                delete t.tags;
+            }
+            count++;
+        });
+        return count;
+    }
+
+    // Rename a tag using the name field in its row. Renaming to an existing tag merges the two.
+    renameTag(index) {
+        const oldTag = this.getAllTags()[index];
+        const newTag = this.normalizeTag(document.getElementById(`tagName-${index}`).value);
+        if (!oldTag || !newTag || newTag === oldTag) return;
+
+        const count = this.replaceTagOnTransactions(oldTag, newTag);
+        this.tags = Array.from(new Set(this.tags.map(tag => tag === oldTag ? newTag : tag).concat(newTag)));
+        this.saveData(`שינוי שם התגית "${oldTag}" ל-"${newTag}"`);
+        this.updateDisplay();
+        this.showNotification(`התגית עודכנה ב-${count} עסקאות`, 'success');
+    }
+
+    // Delete a tag and remove it from every transaction
+    deleteTag(index) {
+        const tag = this.getAllTags()[index];
+        if (!tag) return;
+
+        const count = this.transactions.filter(t => (t.tags || []).includes(tag) && !this.isYearLocked(t.year || this.currentYear)).length;
+        if (!confirm(`למחוק את התגית "${tag}"?${count > 0 ? `\nהיא תוסר מ-${count} עסקאות.` : ''}`)) {
+            return;
+        }
+
+        this.replaceTagOnTransactions(tag, null);
+        this.tags = this.tags.filter(t => t !== tag);
+        this.saveData(`מחיקת התגית "${tag}"`);
+        this.updateDisplay();
+        this.showNotification(`התגית "${tag}" נמחקה`, 'success');
+    }
+
+    // Render the tag manager in settings
+    updateTagsTable() {
+        const tbody = document.getElementById('tagsBody');
+        tbody.innerHTML = '';
+
+        const tags = this.getAllTags();
+        if (tags.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="3" style="text-align: center; color: #999;">אין תגיות</td></tr>';
+            return;
+        }
+
+        tags.forEach((tag, index) => {
+            const count = this.transactions.filter(t => (t.tags || []).includes(tag)).length;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>
+                    <input type="text" id="tagName-${index}" value="${tag.replace(/"/g, '&quot;')}" style="padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;">
+                </td>
+                <td>${count}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.renameTag(${index})" class="btn btn-secondary btn-small" title="שמור שם">💾</button>
+                    <button onclick="budgetSystem.deleteTag(${index})" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Foreign currencies a transaction can be entered in
+    getCurrencyNames() {
+        return {
+            USD: 'דולר',
+            EUR: 'אירו',
+            GBP: 'ליש"ט'
+        };
+    }
+
+    // Latest stored rate of a currency on or before a date (the latest of all without a date), or null
+    getExchangeRate(currency, date = '') {
+        const rates = this.exchangeRates
+            .filter(r => r.currency === currency && (!date || r.date <= date))
+            .sort((a, b) => b.date.localeCompare(a.date));
+        return rates[0] || null;
+    }
+
+    // Store a rate, replacing the one for the same currency and date
+    setExchangeRate(currency, date, rate) {
+        this.exchangeRates = this.exchangeRates.filter(r => !(r.currency === currency && r.date === date));
+        this.exchangeRates.push({ currency, date, rate });
+    }
+
+    // Add a rate from the settings form
+    addExchangeRate() {
+        const currency = document.getElementById('newRateCurrency').value;
+        const date = this.normalizeTransactionDate(document.getElementById('newRateDate').value);
+        const rate = parseFloat(document.getElementById('newRateValue').value);
+
+        if (!date || !(rate > 0)) {
+            this.showNotification('יש להזין תאריך ושער חיובי', 'error');
+            return;
+        }
+
+        this.setExchangeRate(currency, date, rate);
+        document.getElementById('newRateValue').value = '';
+        this.saveData(`עדכון שער ${this.getCurrencyNames()[currency]} ל-${this.formatDate(date)}`);
+        this.updateExchangeRatesTable();
+        this.showNotification('השער נשמר', 'success');
+    }
+
+    deleteExchangeRate(currency, date) {
+        this.exchangeRates = this.exchangeRates.filter(r => !(r.currency === currency && r.date === date));
+        this.saveData(`מחיקת שער ${this.getCurrencyNames()[currency] || currency} ל-${this.formatDate(date)}`);
+        this.updateExchangeRatesTable();
+    }
+
+    // Load rates from a local file, for working offline.
+    // JSON: [{ currency, date, rate }] or { "USD": { "2026-01-31": 3.65 } }. CSV: currency,date,rate per line.
+    importExchangeRates(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result;
+            let entries = [];
+
+            try {
+                if (file.name.toLowerCase().endsWith('.json')) {
+                    const data = JSON.parse(text);
+                    if (Array.isArray(data)) {
+                        entries = data;
+                    } else {
+                        Object.entries(data).forEach(([currency, rates]) => {
+                            Object.entries(rates || {}).forEach(([date, rate]) => entries.push({ currency, date, rate }));
+                        });
+                    }
+                } else {
+                    entries = text.split('\n')
+                        .map(line => this.parseCSVLine(line.trim()))
+                        .map(([currency, date, rate]) => ({ currency, date, rate }));
+                }
+            } catch (error) {
+                console.error('Error reading rates file:', error);
+                alert(`שגיאה בקריאת קובץ השערים.\n\n${error.message}`);
+                return;
+            }
+
+            // Skip headers and anything that isn't a supported currency with a date and a positive rate
+            let added = 0;
+            let skipped = 0;
+            entries.forEach(entry => {
+                const currency = String(entry.currency || '').trim().toUpperCase();
+                const date = this.normalizeTransactionDate(entry.date);
+                const rate = parseFloat(entry.rate);
+                if (this.getCurrencyNames()[currency] && date && rate > 0) {
+                    this.setExchangeRate(currency, date, rate);
+                    added++;
+                } else if (entry.currency) {
+                    skipped++;
+                }
+            });
+
+            if (added === 0) {
+                alert('לא נמצאו שערים תקינים בקובץ.\nפורמט CSV: מטבע,תאריך,שער (למשל USD,2026-01-31,3.65)');
+                return;
+            }
+
+            this.saveData(`טעינת ${added} שערי חליפין`);
+            this.updateExchangeRatesTable();
+            this.showNotification(`💱 ${added} שערים נטענו${skipped > 0 ? ` (${skipped} שורות דולגו)` : ''}`, 'success');
+        };
+        reader.readAsText(file);
+    }
+
+    // Render the exchange rates table in settings
+    updateExchangeRatesTable() {
+        const tbody = document.getElementById('exchangeRatesBody');
+        tbody.innerHTML = '';
+
+        const currencyNames = this.getCurrencyNames();
+        const sortedRates = [...this.exchangeRates].sort((a, b) =>
+            a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date)
+        );
+
+        if (sortedRates.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">אין שערים שמורים</td></tr>';
+            return;
+        }
+
+        sortedRates.forEach(rate => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${currencyNames[rate.currency] || rate.currency} (${rate.currency})</td>
+                <td>${this.formatDate(rate.date)}</td>
+                <td>${rate.rate}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.deleteExchangeRate('${rate.currency}', '${rate.date}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
     // Initialize default category mappings (fallback)
     initializeDefaultMappings() {
         // Define categories
@@ -247,16 +899,203 @@ class BudgetSystem {
             this.updateDisplay();
             this.showNotification(`עברת לשנת ${this.currentYear}`, 'info');
         });
-    }
 
-    // Set current month
-    setCurrentMonth() {
-        // Use saved month if available, otherwise use current month
-        const savedMonth = this.lastSelectedMonth;
-        const currentMonth = savedMonth || String(new Date().getMonth() + 1).padStart(2, '0');
+        document.getElementById('yearEndWizardBtn').addEventListener('click', () => {
+            this.showYearEndWizard();
+        });
 
-        document.getElementById('monthSelect').value = currentMonth;
-        document.getElementById('dashboardMonth').value = currentMonth;
+        document.getElementById('yearLockBtn').addEventListener('click', () => {
+            this.unlockYear(this.currentYear);
+        });
+    }
+
+    // Switch the whole view to another year
+    selectYear(year) {
+        this.currentYear = year;
+        this.lastSelectedYear = year;
+        document.getElementById('yearSelect').value = year;
+        this.saveData();
+        this.updateDisplay();
+    }
+
+    isYearLocked(year = this.currentYear) {
+        return this.lockedYears.includes(year);
+    }
+
+    // A locked year can be viewed but not changed. Returns false (after telling the user) for a locked year.
+    ensureYearUnlocked(year = this.currentYear) {
+        if (!this.isYearLocked(year)) return true;
+        alert(`שנת ${year} נעולה לעריכה.\nאפשר לבטל את הנעילה בכפתור "🔒 ${year} נעולה" שליד בחירת השנה.`);
+        return false;
+    }
+
+    unlockYear(year) {
+        if (!this.isYearLocked(year) || !confirm(`לבטל את הנעילה של שנת ${year}? אפשר יהיה שוב לערוך את העסקאות שלה`)) {
+            return;
+        }
+        this.lockedYears = this.lockedYears.filter(y => y !== year);
+        this.saveData(`ביטול נעילת שנת ${year}`);
+        this.updateDisplay();
+        this.showNotification(`🔓 שנת ${year} פתוחה לעריכה`, 'info');
+    }
+
+    // Lock indicator next to the year selector
+    updateYearLockIndicator() {
+        const button = document.getElementById('yearLockBtn');
+        if (!button) return;
+        button.style.display = this.isYearLocked() ? '' : 'none';
+        button.textContent = `🔒 ${this.currentYear} נעולה`;
+        button.title = 'לחץ לביטול הנעילה';
+    }
+
+    // Year-end wizard: closes the selected year and prepares the next one
+    showYearEndWizard() {
+        const fromYear = this.currentYear;
+        const toYear = fromYear + 1;
+
+        // Opening balances carried from December
+        const balanceRows = this.accounts.map(account => {
+            const closing = this.getCarriedClosingBalance(12, fromYear, account.id);
+            const januaryKey = this.getBalanceKey(1, toYear, account.id);
+            const manual = this.manualOpeningBalances.has(januaryKey) ? this.openingBalances.get(januaryKey) || 0 : null;
+            return { account, closing, manual };
+        });
+        const hasManualJanuary = balanceRows.some(row => row.manual !== null);
+
+        // Recurring templates still running in December continue unless unchecked
+        const decemberIndex = fromYear * 12 + 11;
+        const toIndex = (value) => {
+            const [y, m] = value.split('-').map(Number);
+            return y * 12 + m - 1;
+        };
+        const runningTemplates = this.recurringTemplates.filter(template =>
+            toIndex(template.startMonth) <= decemberIndex && (!template.endMonth || toIndex(template.endMonth) >= decemberIndex));
+
+        const budgetsToCopy = this.budgets.filter(b => b.year === fromYear &&
+            !this.budgets.some(existing => existing.year === toYear && existing.category === b.category));
+        const mappingCount = this.mappings.size;
+        const sectionStyle = 'background: #f8f9fa; padding: 12px 15px; border-radius: 8px; margin-bottom: 12px;';
+
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 650px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px; text-align: center;">🗓️ סגירת שנת ${fromYear} ומעבר ל-${toYear}</h3>
+                <div style="max-height: 500px; overflow-y: auto; margin-bottom: 20px;">
+                    <div style="${sectionStyle}">
+                        <strong>💰 יתרות פתיחה לינואר ${toYear}</strong>
+                        <ul style="margin: 8px 20px 0 0;">
+                            ${balanceRows.map(row => `
+                                <li>
+                                    ${row.account.name}: יתרת סגירה בדצמבר ${this.formatCurrency(row.closing)}
+                                    ${row.manual !== null ? ` <span style="color: #e65100;">(בינואר ${toYear} נקבעה ידנית יתרה של ${this.formatCurrency(row.manual)})</span>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                        <p style="color: #666; font-size: 0.9rem; margin: 6px 0 0;">יתרת הסגירה של דצמבר עוברת אוטומטית ליתרת הפתיחה של ינואר.</p>
+                        ${hasManualJanuary ? `
+                            <label style="display: block; margin-top: 6px;">
+                                <input type="checkbox" id="wizardReplaceManual"> החלף את היתרות שנקבעו ידנית ביתרת הסגירה של דצמבר
+                            </label>
+                        ` : ''}
+                    </div>
+                    <div style="${sectionStyle}">
+                        <strong>🗂️ מיפויים וקטגוריות</strong>
+                        <p style="color: #666; font-size: 0.9rem; margin: 6px 0 0;">
+                            ✅ ${mappingCount} מיפויים ו-${this.categories.length} קטגוריות משותפים לכל השנים וממשיכים לשנת ${toYear} כמו שהם.
+                        </p>
+                    </div>
+                    <div style="${sectionStyle}">
+                        <strong>📆 עסקאות קבועות</strong>
+                        ${runningTemplates.length === 0 ? `<p style="color: #666; font-size: 0.9rem; margin: 6px 0 0;">אין עסקאות קבועות פעילות בדצמבר ${fromYear}</p>` : `
+                            <p style="color: #666; font-size: 0.9rem; margin: 6px 0;">המסומנות ימשיכו בשנת ${toYear}. ביטול סימון מסיים את התבנית בדצמבר ${fromYear}.</p>
+                            ${runningTemplates.map(template => `
+                                <label style="display: block;">
+                                    <input type="checkbox" class="wizard-template" data-id="${template.id}" checked>
+                                    ${template.item} - ${this.formatCurrency(template.amount)} (${this.getFrequencyLabel(template.frequency)})
+                                </label>
+                            `).join('')}
+                        `}
+                    </div>
+                    <div style="${sectionStyle}">
+                        <strong>🎯 תקציב לפי קטגוריה</strong>
+                        ${budgetsToCopy.length === 0 ? `<p style="color: #666; font-size: 0.9rem; margin: 6px 0 0;">אין תקציב מ-${fromYear} להעתקה</p>` : `
+                            <label style="display: block; margin-top: 6px;">
+                                <input type="checkbox" id="wizardCopyBudgets" checked>
+                                העתק את התקציב של ${budgetsToCopy.length} קטגוריות מ-${fromYear} ל-${toYear}
+                            </label>
+                        `}
+                    </div>
+                    <div style="${sectionStyle}">
+                        <strong>🔒 נעילה</strong>
+                        <label style="display: block; margin-top: 6px;">
+                            <input type="checkbox" id="wizardLockYear" ${this.isYearLocked(fromYear) ? 'checked disabled' : ''}>
+                            נעל את שנת ${fromYear} לעריכה (אפשר לבטל את הנעילה בהמשך)
+                        </label>
+                    </div>
+                </div>
+                <div style="display: flex; gap: 10px; justify-content: center;">
+                    <button id="finishYearEndBtn" class="btn btn-primary">✅ סיים ועבור ל-${toYear}</button>
+                    <button id="cancelYearEndBtn" class="btn btn-secondary">בטל</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('finishYearEndBtn').addEventListener('click', () => {
+            const replaceManual = document.getElementById('wizardReplaceManual')?.checked;
+            const copyBudgets = document.getElementById('wizardCopyBudgets')?.checked;
+            const lockYear = document.getElementById('wizardLockYear').checked;
+            const continuing = new Set(Array.from(modal.querySelectorAll('.wizard-template:checked')).map(cb => cb.dataset.id));
+
+            if (replaceManual) {
+                // January goes back to the automatic carry-over
+                balanceRows.filter(row => row.manual !== null).forEach(row => {
+                    const key = this.getBalanceKey(1, toYear, row.account.id);
+                    this.manualOpeningBalances.delete(key);
+                    this.openingBalances.delete(key);
+                });
+            }
+            runningTemplates.filter(template => !continuing.has(String(template.id))).forEach(template => {
+                template.endMonth = `${fromYear}-12`;
+            });
+            if (copyBudgets) {
+                budgetsToCopy.forEach(b => {
+                    this.budgets.push({ year: toYear, category: b.category, amounts: [...b.amounts] });
+                });
+            }
+            if (lockYear && !this.isYearLocked(fromYear)) {
+                this.lockedYears.push(fromYear);
+            }
+
+            document.body.removeChild(modal);
+            this.saveData(`סגירת שנת ${fromYear}`);
+            this.selectYear(toYear);
+            this.showNotification(`🗓️ שנת ${fromYear} נסגרה - עברת לשנת ${toYear}`, 'success');
+        });
+
+        document.getElementById('cancelYearEndBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+    }
+
+    // Set current month
+    setCurrentMonth() {
+        // Use saved month if available, otherwise use current month
+        const savedMonth = this.lastSelectedMonth;
+        const currentMonth = savedMonth || String(new Date().getMonth() + 1).padStart(2, '0');
+
+        document.getElementById('monthSelect').value = currentMonth;
+        document.getElementById('dashboardMonth').value = currentMonth;
         document.getElementById('dataEntryMonthSelect').value = currentMonth;
         this.currentMonth = parseInt(currentMonth);
     }
@@ -348,6 +1187,65 @@ class BudgetSystem {
             // Reset color selections when changing month
             this.resetColorSelections();
             this.updateTransactionsTable();
+
+            // Offer the recurring transactions due in the opened month
+            if (selectedValue && selectedValue !== 'all') {
+                this.reviewRecurringTransactions(parseInt(selectedValue), this.currentYear);
+            }
+        });
+
+        // Data entry account filter
+        document.getElementById('dataEntryAccountSelect').addEventListener('change', () => {
+            this.updateTransactionsTable();
+        });
+
+        // Data entry tag filter
+        document.getElementById('dataEntryTagSelect').addEventListener('change', () => {
+            this.updateTransactionsTable();
+        });
+
+        // Tags field - Enter or a comma adds the typed tag, picking a suggestion adds it too
+        const tagInput = document.getElementById('tagInput');
+        tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                this.addFormTag(tagInput.value);
+                tagInput.value = '';
+            }
+        });
+        tagInput.addEventListener('change', () => {
+            this.addFormTag(tagInput.value);
+            tagInput.value = '';
+        });
+
+        document.getElementById('createTagBtn').addEventListener('click', () => {
+            this.createTag();
+        });
+
+        // Split lines editor
+        document.getElementById('addSplitLineBtn').addEventListener('click', () => {
+            this.addSplitLine();
+        });
+        document.getElementById('amount').addEventListener('input', () => {
+            this.updateSplitRemainder();
+            this.updateExchangeRateHint();
+        });
+
+        // Foreign currency - the rate is filled from stored rates for the transaction date
+        document.getElementById('transactionCurrency').addEventListener('change', () => {
+            this.updateCurrencyFields(true);
+        });
+        document.getElementById('transactionDate').addEventListener('change', () => {
+            this.updateCurrencyFields(this.isExchangeRateAutoFilled());
+        });
+        document.getElementById('exchangeRate').addEventListener('input', () => {
+            this.updateExchangeRateHint();
+            this.updateSplitRemainder();
+        });
+
+        // Transaction type - a transfer also needs a destination account
+        document.querySelectorAll('input[name="transactionType"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateTransferFields());
         });
 
         // Export monthly report
@@ -376,7 +1274,10 @@ class BudgetSystem {
 
         // Export/Import
         document.getElementById('exportBtn').addEventListener('click', () => {
-            this.exportData();
+            this.exportData().catch(error => {
+                console.error('Export failed:', error);
+                this.showNotification('❌ שגיאה בייצוא הנתונים', 'error');
+            });
         });
 
         document.getElementById('exportMappingsBtn').addEventListener('click', () => {
@@ -391,17 +1292,124 @@ class BudgetSystem {
             this.importData(e.target.files[0]);
         });
 
+        // Exchange rates
+        document.getElementById('addExchangeRateBtn').addEventListener('click', () => {
+            this.addExchangeRate();
+        });
+
+        document.getElementById('importRatesBtn').addEventListener('click', () => {
+            document.getElementById('importRatesFile').click();
+        });
+
+        document.getElementById('importRatesFile').addEventListener('change', (e) => {
+            this.importExchangeRates(e.target.files[0]);
+            e.target.value = ''; // Reset file input
+        });
+
         // Update report producer details
         document.getElementById('updateProducerBtn').addEventListener('click', () => {
             this.updateReportProducer();
         });
 
-        // Color checkboxes for summary
-        document.querySelectorAll('.color-check').forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                this.saveSelectedColors();
-                this.updateTransactionsTable();
-            });
+        // Undo/redo
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+        this.updateUndoButtons();
+
+        document.addEventListener('keydown', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+
+            // Keep native undo inside text fields
+            const target = e.target;
+            if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+            // e.code so the shortcuts also work with a Hebrew keyboard layout
+            if (e.code === 'KeyZ' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Trash bin
+        document.getElementById('trashRetentionDays').addEventListener('change', (e) => {
+            this.setTrashRetentionDays(e.target.value);
+        });
+
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+            this.emptyTrash();
+        });
+
+        // Profiles
+        document.getElementById('createAccountBtn').addEventListener('click', () => {
+            this.createAccount();
+        });
+
+        document.getElementById('createProfileBtn').addEventListener('click', () => {
+            this.createProfile();
+        });
+
+        // Color checkboxes for summary (rendered from the palette)
+        document.getElementById('colorSummaryChecks').addEventListener('change', () => {
+            this.saveSelectedColors();
+            this.updateTransactionsTable();
+        });
+
+        document.getElementById('createPayeeBtn').addEventListener('click', () => {
+            const input = document.getElementById('newPayeeName');
+            if (this.rememberPayee(input.value)) {
+                input.value = '';
+                this.saveData('הוספת מוטב');
+                this.updateDisplay();
+            } else if (input.value.trim()) {
+                this.showNotification('המוטב כבר קיים', 'error');
+            }
+        });
+
+        document.getElementById('createCheckbookBtn').addEventListener('click', () => {
+            this.createCheckbook();
+        });
+
+        document.getElementById('newCheckBtn').addEventListener('click', () => {
+            this.showNewCheckModal();
+        });
+
+        document.getElementById('createLoanBtn').addEventListener('click', () => {
+            this.createLoan();
+        });
+
+        document.getElementById('createGoalBtn').addEventListener('click', () => {
+            this.createGoal();
+        });
+
+        document.getElementById('pairDepositsBtn').addEventListener('click', () => {
+            this.showDepositPairing();
+        });
+
+        document.getElementById('assignGoalsBtn').addEventListener('click', () => {
+            this.showGoalAssignments();
+        });
+
+        document.getElementById('setBudgetBtn').addEventListener('click', () => {
+            this.setCategoryBudget();
+        });
+
+        document.getElementById('saveTemplateBtn').addEventListener('click', () => {
+            this.saveTemplate();
+        });
+
+        document.getElementById('cancelTemplateEditBtn').addEventListener('click', () => {
+            this.resetTemplateForm();
+        });
+
+        document.getElementById('createColorBtn').addEventListener('click', () => {
+            this.createColor();
+        });
+
+        document.getElementById('importColorSelect').addEventListener('change', (e) => {
+            this.setImportColor(e.target.value);
         });
     }
 
@@ -434,19 +1442,38 @@ class BudgetSystem {
                 this.updateDashboard();
             } else if (tabId === 'settings') {
                 this.updateMappingTable();
+                this.updateProfilesTable();
+                this.updateAccountsTable();
+                this.updateExchangeRatesTable();
+                this.updateTagsTable();
+                this.updateColorsTable();
+                this.updateTemplatesTable();
+                this.updateBudgetsTable();
+                this.updateGoalsTable();
+                this.updateLoansTable();
+                this.updateCheckbooksTable();
+                this.updatePayeesTable();
             }
         }, 100);
     }
 
     // Transaction management
     showTransactionForm(editData = null) {
+        if (!this.ensureYearUnlocked(editData ? editData.year || this.currentYear : this.currentYear)) {
+            return;
+        }
         document.getElementById('transactionForm').style.display = 'block';
         
         if (editData) {
             // Fill form with existing data for editing
             document.getElementById('item').value = editData.item;
-            document.getElementById('amount').value = Math.abs(editData.amount);
+            // Foreign currency transactions are edited in their original currency
+            document.getElementById('amount').value = Math.abs(editData.originalCurrency ? editData.originalAmount : editData.amount);
+            document.getElementById('transactionCurrency').value = editData.originalCurrency || 'ILS';
+            document.getElementById('exchangeRate').value = editData.exchangeRate || '';
             document.getElementById('note').value = editData.note || '';
+            document.getElementById('transactionDate').value = editData.date || '';
+            document.getElementById('transactionAccount').value = this.getAccountId(editData);
             
             // Handle check data
             const isCheck = editData.paymentMethod === 'check';
@@ -462,6 +1489,15 @@ class BudgetSystem {
             
             // Show/hide check info
             this.updateCheckInfoDisplay();
+
+            this.updateCurrencyFields(false);
+
+            // Split lines
+            this.clearSplitLines();
+            (editData.splits || []).forEach(split => this.addSplitLine(split));
+
+            this.currentFormTags = [...(editData.tags || [])];
+            this.renderFormTags();
             
             // Set color
             document.getElementById('transactionColor').value = editData.color || 'none';
@@ -469,9 +1505,13 @@ class BudgetSystem {
             // Set transaction type radio button
             if (editData.type === 'income') {
                 document.getElementById('typeIncome').checked = true;
+            } else if (editData.type === 'transfer') {
+                document.getElementById('typeTransfer').checked = true;
+                document.getElementById('transferToAccount').value = editData.toAccountId || '';
             } else {
                 document.getElementById('typeExpense').checked = true;
             }
+            this.updateTransferFields();
             
             // Change form title and button text
             document.querySelector('#transactionForm h3').textContent = 'עריכת עסקה';
@@ -486,12 +1526,21 @@ class BudgetSystem {
             document.getElementById('isSpecialCheckItem').checked = false;
             delete this.currentCheckData;
             this.updateCheckInfoDisplay();
+            this.clearSplitLines();
+            document.getElementById('transactionCurrency').value = 'ILS';
+            this.updateCurrencyFields(false);
+            this.currentFormTags = [];
+            this.renderFormTags();
             
             // Use last selected color
             document.getElementById('transactionColor').value = this.lastSelectedColor;
+
+            // Default to the account the table is filtered by
+            document.getElementById('transactionAccount').value = this.getSelectedAccountId() || this.defaultAccountId;
             
             // Set default transaction type to expense
             document.getElementById('typeExpense').checked = true;
+            this.updateTransferFields();
             
             document.querySelector('#transactionForm h3').textContent = 'עסקה חדשה';
             document.querySelector('#newTransactionForm button[type="submit"]').innerHTML = '💾 שמור';
@@ -508,8 +1557,13 @@ class BudgetSystem {
         document.getElementById('isCheck').checked = false;
         document.getElementById('isSpecialCheckItem').checked = false;
         document.getElementById('typeExpense').checked = true; // Reset to default type
+        this.updateTransferFields();
         // Don't reset color - it will be set from lastSelectedColor when opening next time
         delete this.currentCheckData;
+        this.clearSplitLines();
+        this.updateCurrencyFields(false);
+        this.currentFormTags = [];
+        this.renderFormTags();
         
         // Reset form to "new transaction" mode
         document.querySelector('#transactionForm h3').textContent = 'עסקה חדשה';
@@ -520,6 +1574,9 @@ class BudgetSystem {
     addTransaction() {
         const form = document.getElementById('newTransactionForm');
         const isEditing = !!form.dataset.editId;
+        if (!this.ensureYearUnlocked()) {
+            return;
+        }
         
         // For editing, use the original month; for new transactions, use the selected month from header
         const selectedMonth = isEditing
@@ -540,15 +1597,44 @@ class BudgetSystem {
             isCheck: document.getElementById('isCheck').checked,
             isSpecialCheckItem: document.getElementById('isSpecialCheckItem').checked,
             color: document.getElementById('transactionColor').value,
-            type: document.querySelector('input[name="transactionType"]:checked').value
+            type: document.querySelector('input[name="transactionType"]:checked').value,
+            date: this.normalizeTransactionDate(document.getElementById('transactionDate').value),
+            accountId: document.getElementById('transactionAccount').value || this.defaultAccountId,
+            toAccountId: document.getElementById('transferToAccount').value,
+            currency: document.getElementById('transactionCurrency').value,
+            exchangeRate: parseFloat(document.getElementById('exchangeRate').value)
         };
 
+        // A tag still being typed counts too
+        this.addFormTag(document.getElementById('tagInput').value);
+        document.getElementById('tagInput').value = '';
+        formData.tags = [...this.currentFormTags];
+
         // Validate data
         if (!formData.month || !formData.item || isNaN(formData.amount)) {
             alert('אנא מלא את כל השדות החובה');
             return;
         }
 
+        // An exact date decides the month; it has to be in the selected year
+        if (formData.date) {
+            if (parseInt(formData.date.substring(0, 4)) !== this.currentYear) {
+                alert(`התאריך חייב להיות בשנה הנבחרת (${this.currentYear})`);
+                return;
+            }
+            formData.month = parseInt(formData.date.substring(5, 7));
+        }
+
+        // Amounts in a foreign currency are converted to shekels with the entered rate
+        const isForeignCurrency = formData.currency !== 'ILS';
+        if (isForeignCurrency && !(formData.exchangeRate > 0)) {
+            alert('יש להזין שער המרה לשקל');
+            return;
+        }
+        const amountInShekels = isForeignCurrency
+            ? Math.round(Math.abs(formData.amount) * formData.exchangeRate * 100) / 100
+            : Math.abs(formData.amount);
+
         // Handle special check item (שיק)
         if (formData.isSpecialCheckItem) {
             // Create imported check item
@@ -556,7 +1642,7 @@ class BudgetSystem {
             const checkItem = {
                 id: Date.now() + Math.random(),
                 item: formData.item,
-                amount: -Math.abs(formData.amount), // Always negative for expense
+                amount: -amountInShekels, // Always negative for expense
                 month: formData.month,
                 year: this.currentYear,
                 note: formData.note,
@@ -564,9 +1650,17 @@ class BudgetSystem {
                 payeeName: '',
                 color: 'purple' // Special color for imported check items
             };
+            if (formData.date) {
+                checkItem.date = formData.date;
+            }
+            if (isForeignCurrency) {
+                checkItem.originalCurrency = formData.currency;
+                checkItem.originalAmount = -Math.abs(formData.amount);
+                checkItem.exchangeRate = formData.exchangeRate;
+            }
 
             this.importedCheckItems.push(checkItem);
-            this.saveData();
+            this.saveData(`הוספת פריט שיק "${checkItem.item}"`);
             this.updateImportedCheckItemsSummary();
             this.hideTransactionForm();
             this.updateDisplay();
@@ -574,12 +1668,46 @@ class BudgetSystem {
             return;
         }
 
+        // A transfer moves money between two different accounts
+        if (formData.type === 'transfer') {
+            if (this.accounts.length < 2) {
+                alert('להעברה נדרשים לפחות שני חשבונות.\nניתן להוסיף חשבון חיסכון או כרטיס אשראי בטאב "הגדרות".');
+                return;
+            }
+            if (!formData.toAccountId || formData.toAccountId === formData.accountId) {
+                alert('יש לבחור חשבון יעד שונה מחשבון המקור');
+                return;
+            }
+        }
+
         // Validate check data if needed
         if (formData.isCheck && !this.currentCheckData) {
             alert('אנא הזן את פרטי הצ\'יק');
             return;
         }
 
+        // Split lines have to add up to the transaction amount
+        const splitLines = this.getSplitLinesFromForm();
+        if (splitLines.length > 0) {
+            if (formData.type === 'transfer') {
+                alert('לא ניתן לפצל העברה בין חשבונות');
+                return;
+            }
+            if (splitLines.length < 2) {
+                alert('פיצול צריך לכלול לפחות שתי שורות');
+                return;
+            }
+            if (splitLines.some(line => isNaN(line.amount) || line.amount <= 0 || !line.category)) {
+                alert('בכל שורת פיצול יש להזין סכום חיובי ולבחור קטגוריה');
+                return;
+            }
+            const splitTotal = splitLines.reduce((sum, line) => sum + line.amount, 0);
+            if (Math.abs(splitTotal - amountInShekels) >= 0.01) {
+                alert(`סכום שורות הפיצול (${this.formatCurrency(splitTotal)}) אינו שווה לסכום העסקה בשקלים (${this.formatCurrency(amountInShekels)})`);
+                return;
+            }
+        }
+
 
         // Use manually selected type
         const type = formData.type;
@@ -598,14 +1726,42 @@ class BudgetSystem {
             month: formData.month,
             year: this.currentYear, // Add year to transaction
             item: formData.item,
-            amount: type === 'expense' ? -Math.abs(formData.amount) : Math.abs(formData.amount),
+            amount: type === 'expense' ? -amountInShekels : amountInShekels, // Transfers keep the amount moved
             type: type,
             category: this.getCategoryForItem(formData.item),
             note: finalNote,
             paymentMethod: formData.isCheck ? 'check' : 'cash',
             checkDetails: formData.isCheck ? this.currentCheckData : null,
-            color: formData.color === 'none' ? null : formData.color
+            color: formData.color === 'none' ? null : formData.color,
+            accountId: formData.accountId
         };
+        if (formData.date) {
+            transactionData.date = formData.date;
+        }
+        if (type === 'transfer') {
+            transactionData.toAccountId = formData.toAccountId;
+        }
+        if (formData.tags.length > 0) {
+            transactionData.tags = formData.tags;
+            // New tags become suggestions
+            formData.tags.forEach(tag => {
+                if (!this.tags.includes(tag)) this.tags.push(tag);
+            });
+        }
+        if (isForeignCurrency) {
+            // Keep what was actually paid; amount stays the shekel figure every summary uses
+            transactionData.originalCurrency = formData.currency;
+            transactionData.originalAmount = type === 'expense' ? -Math.abs(formData.amount) : Math.abs(formData.amount);
+            transactionData.exchangeRate = formData.exchangeRate;
+        }
+        if (splitLines.length > 0) {
+            // Lines carry the sign of the transaction, like its amount
+            transactionData.splits = splitLines.map(line => ({
+                amount: type === 'expense' ? -line.amount : line.amount,
+                category: line.category,
+                note: line.note
+            }));
+        }
 
         if (isEditing) {
             // Update existing transaction
@@ -613,11 +1769,50 @@ class BudgetSystem {
             const transactionIndex = this.transactions.findIndex(t => t.id === editId);
             
             if (transactionIndex !== -1) {
+                const original = this.transactions[transactionIndex];
+                if (original.attachments) {
+                    // Files are managed from the attachments viewer, not the form
+                    transactionData.attachments = original.attachments;
+                }
+                if (original.templateId) {
+                    transactionData.templateId = original.templateId;
+                }
+                if (original.goalId) {
+                    transactionData.goalId = original.goalId;
+                }
+                if (original.maturityDate) {
+                    transactionData.maturityDate = original.maturityDate;
+                }
+                if (original.depositId) {
+                    transactionData.depositId = original.depositId;
+                }
+                if (original.loanId) {
+                    transactionData.loanId = original.loanId;
+                }
+                if (original.clearedAccounts) {
+                    transactionData.clearedAccounts = original.clearedAccounts;
+                }
+                const changes = this.diffTransaction(original, transactionData);
+
                 // Keep the original ID, update all fields including color
                 this.transactions[transactionIndex] = {
                     id: editId, // Preserve original ID
-                    ...transactionData
+                    ...transactionData,
+                    history: original.history || []
                 };
+
+                if (changes.length > 0) {
+                    // Name the entry after what changed: only the month/year, only the color, or anything else
+                    const fields = changes.map(c => c.field);
+                    let action = 'edited';
+                    if (fields.every(f => f === 'month' || f === 'year' || f === 'date' || f === 'accountId' || f === 'toAccountId')) {
+                        action = 'moved';
+                    } else if (fields.every(f => f === 'color')) {
+                        action = 'recolored';
+                    }
+                    this.addTransactionHistory(this.transactions[transactionIndex], action, changes);
+                }
+                this.syncCheckRegister(this.transactions[transactionIndex]);
                 
                 console.log('Transaction updated:', this.transactions[transactionIndex]);
                 this.showNotification('העסקה עודכנה בהצלחה!', 'success');
@@ -632,15 +1827,17 @@ class BudgetSystem {
                 id: Date.now() + Math.random(),
                 ...transactionData
             };
+            this.addTransactionHistory(transaction, 'created');
 
             // Save the selected color for next transaction
             this.lastSelectedColor = formData.color;
 
             this.transactions.push(transaction);
+            this.syncCheckRegister(transaction);
             this.showNotification('העסקה נוספה בהצלחה!', 'success');
         }
 
-        this.saveData();
+        this.saveData(isEditing ? `עריכת עסקה "${transactionData.item}"` : `הוספת עסקה "${transactionData.item}"`);
         this.updateTransactionsTable();
         this.hideTransactionForm();
         this.updateDisplay();
@@ -660,6 +1857,32 @@ class BudgetSystem {
         }
     }
 
+    // Original foreign currency amount shown under the shekel amount
+    getOriginalAmountTag(transaction) {
+        if (!transaction.originalCurrency) return '';
+        return `<br><small style="color: #666;">${this.formatCurrency(transaction.originalAmount, transaction.originalCurrency)} × ${transaction.exchangeRate}</small>`;
+    }
+
+    // Lines a transaction contributes to category totals: its split lines, or the transaction itself
+    getCategoryLines(transaction) {
+        if (!Array.isArray(transaction.splits) || transaction.splits.length === 0) {
+            return [transaction];
+        }
+        return transaction.splits.map(split => ({
+            ...transaction,
+            amount: split.amount,
+            category: split.category,
+            note: split.note || transaction.note,
+            splits: undefined
+        }));
+    }
+
+    // Category text of a transaction - "category: amount" per line for split transactions
+    getCategoryLabel(transaction) {
+        if (!transaction.splits) return transaction.category;
+        return transaction.splits.map(split => `${split.category}: ${this.formatCurrency(split.amount)}`).join(', ');
+    }
+
     getCategoryForItem(item) {
         // Normalize item name - remove quote characters
         const normalizedItem = item.trim().replace(/["״]/g, '');
@@ -711,21 +1934,10 @@ class BudgetSystem {
 
     // Determine transaction type based on item name
     getTransactionType(item) {
-        // Normalize item name
-        const normalizedItem = item.trim().toLowerCase();
-        
-        // Special handling: משיכה/פרעון/ריבית מפקדון = הכנסה
-        if (normalizedItem.includes('פקדון') || normalizedItem.includes('פיקדון')) {
-            // משיכת פקדון, פרעון פקדון, ריבית מפקדון = הכנסה
-            if (normalizedItem.includes('משיכ') || 
-                normalizedItem.includes('פרעון') || 
-                normalizedItem.includes('ריבית')) {
-                return 'income';
-            }
-            // הפקדה לפקדון = הוצאה
-            if (normalizedItem.includes('הפקד')) {
-                return 'expense';
-            }
+        // Special handling: משיכה/פרעון/ריבית מפקדון = הכנסה, הפקדה לפקדון = הוצאה
+        const depositMovement = this.getDepositMovement(item);
+        if (depositMovement) {
+            return depositMovement === 'deposit' ? 'expense' : 'income';
         }
         
         // Check for exact matches first
@@ -744,6 +1956,30 @@ class BudgetSystem {
         return 'expense';
     }
 
+    // Kind of a deposit (פקדון/פיקדון) movement by its item name: 'deposit', 'withdrawal', 'interest' or null
+    getDepositMovement(item) {
+        const normalizedItem = item.trim().toLowerCase();
+        if (!normalizedItem.includes('פקדון') && !normalizedItem.includes('פיקדון')) {
+            return null;
+        }
+
+        // ריבית מפקדון
+        if (normalizedItem.includes('ריבית')) {
+            return 'interest';
+        }
+        // משיכת פקדון, פרעון פקדון
+        if (normalizedItem.includes('משיכ') ||
+            normalizedItem.includes('פרעון') ||
+            normalizedItem.includes('פירעון')) {
+            return 'withdrawal';
+        }
+        // הפקדה לפקדון
+        if (normalizedItem.includes('הפקד')) {
+            return 'deposit';
+        }
+        return null;
+    }
+
     // Setup item autocomplete functionality
     setupItemAutocomplete() {
         const itemInput = document.getElementById('item');
@@ -1024,7 +2260,7 @@ class BudgetSystem {
                             category: result.category,
                             includeInMonthlyExpenses: true
                         });
-                        this.saveData();
+                        this.saveData(`הוספת מיפוי "${item}"`);
                         this.updateMappingTable();
                         this.showNotification(`הפריט "${item}" נוסף למיפויים בקטגוריה "${result.category}"`, 'success');
                     } else {
@@ -1073,6 +2309,120 @@ class BudgetSystem {
         });
     }
     
+    // Show the rate field for a foreign currency. With fillRate the rate is taken from the stored rates.
+    updateCurrencyFields(fillRate) {
+        const currency = document.getElementById('transactionCurrency').value;
+        const isForeignCurrency = currency !== 'ILS';
+        document.getElementById('exchangeRateGroup').style.display = isForeignCurrency ? '' : 'none';
+
+        if (!isForeignCurrency) {
+            document.getElementById('exchangeRate').value = '';
+            this.autoFilledRate = null;
+        } else if (fillRate) {
+            const date = this.normalizeTransactionDate(document.getElementById('transactionDate').value);
+            const rate = this.getExchangeRate(currency, date);
+            document.getElementById('exchangeRate').value = rate ? rate.rate : '';
+            this.autoFilledRate = document.getElementById('exchangeRate').value;
+        }
+        this.updateExchangeRateHint();
+        this.updateSplitRemainder();
+    }
+
+    // Whether the rate field is empty or still holds the rate the form filled in
+    isExchangeRateAutoFilled() {
+        const value = document.getElementById('exchangeRate').value;
+        return value === '' || value === this.autoFilledRate;
+    }
+
+    // Shekel amount of the form, and where the rate came from
+    updateExchangeRateHint() {
+        const hint = document.getElementById('exchangeRateHint');
+        const currency = document.getElementById('transactionCurrency').value;
+        if (currency === 'ILS') {
+            hint.textContent = '';
+            return;
+        }
+
+        const rateValue = parseFloat(document.getElementById('exchangeRate').value);
+        if (!(rateValue > 0)) {
+            hint.textContent = 'אין שער שמור למטבע זה - יש להזין שער';
+            return;
+        }
+        hint.textContent = `= ${this.formatCurrency(this.getFormAmountInShekels())}`;
+    }
+
+    // Amount entered in the form, converted to shekels (always positive)
+    getFormAmountInShekels() {
+        const amount = Math.abs(parseFloat(document.getElementById('amount').value) || 0);
+        if (document.getElementById('transactionCurrency').value === 'ILS') {
+            return amount;
+        }
+        const rate = parseFloat(document.getElementById('exchangeRate').value) || 0;
+        return Math.round(amount * rate * 100) / 100;
+    }
+
+    // Add a line to the split editor of the transaction form
+    addSplitLine(split = {}) {
+        const line = document.createElement('div');
+        line.className = 'split-line';
+        line.style.cssText = 'display: flex; gap: 8px; margin-bottom: 8px; align-items: center;';
+
+        const categoryOptions = [...this.categories]
+            .sort((a, b) => a.localeCompare(b, 'he'))
+            .map(cat => `<option value="${cat}" ${cat === split.category ? 'selected' : ''}>${cat}</option>`)
+            .join('');
+        line.innerHTML = `
+            <input type="number" class="split-amount" step="0.01" placeholder="סכום" value="${split.amount !== undefined ? Math.abs(split.amount) : ''}" style="width: 120px; padding: 8px; border: 1px solid #ddd; border-radius: 6px;">
+            <select class="split-category" style="padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;">
+                <option value="">בחר קטגוריה</option>
+                ${categoryOptions}
+            </select>
+            <input type="text" class="split-note" placeholder="הערה (אופציונלי)" value="${(split.note || '').replace(/"/g, '&quot;')}" style="flex: 1; padding: 8px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;">
+            <button type="button" class="btn btn-danger btn-small" title="הסר שורה">✖</button>
+        `;
+
+        line.querySelector('button').addEventListener('click', () => {
+            line.remove();
+            this.updateSplitRemainder();
+        });
+        line.querySelector('.split-amount').addEventListener('input', () => this.updateSplitRemainder());
+
+        document.getElementById('splitLines').appendChild(line);
+        this.updateSplitRemainder();
+    }
+
+    clearSplitLines() {
+        document.getElementById('splitLines').innerHTML = '';
+        this.updateSplitRemainder();
+    }
+
+    // Split lines as entered in the form (positive amounts)
+    getSplitLinesFromForm() {
+        return Array.from(document.querySelectorAll('#splitLines .split-line')).map(line => ({
+            amount: parseFloat(line.querySelector('.split-amount').value),
+            category: line.querySelector('.split-category').value,
+            note: line.querySelector('.split-note').value.trim()
+        }));
+    }
+
+    // Show how much of the transaction amount is not split yet
+    updateSplitRemainder() {
+        const hint = document.getElementById('splitRemainder');
+        const lines = this.getSplitLinesFromForm();
+
+        if (lines.length === 0) {
+            hint.textContent = 'אופציונלי - חלוקת עסקה אחת (למשל קנייה בסופר) לכמה קטגוריות';
+            hint.style.color = '#666';
+            return;
+        }
+
+        const total = this.getFormAmountInShekels();
+        const remainder = total - lines.reduce((sum, line) => sum + (line.amount || 0), 0);
+        const isBalanced = Math.abs(remainder) < 0.01;
+        hint.textContent = isBalanced ? '✅ סכום השורות שווה לסכום העסקה' : `נותר לחלק: ${this.formatCurrency(remainder)}`;
+        hint.style.color = isBalanced ? '#2e7d32' : '#c62828';
+    }
+
     // Update check info display in the form
     updateCheckInfoDisplay() {
         // Find or create the check info display element
@@ -1098,6 +2448,9 @@ class BudgetSystem {
             const payee = this.currentCheckData.payeeName && this.currentCheckData.payeeName !== 'לא צוין'
                 ? this.currentCheckData.payeeName
                 : '(לא הוזן)';
+            const dueDate = this.currentCheckData.dueDate && this.currentCheckData.dueDate !== this.currentCheckData.issueDate
+                ? `<br>לפירעון: <strong>${this.formatDate(this.currentCheckData.dueDate)}</strong> (צ'יק דחוי)`
+                : '';
             
             // Show check details with edit button
             checkInfoDiv.innerHTML = `
@@ -1107,7 +2460,7 @@ class BudgetSystem {
                             <div style="font-weight: 500; margin-bottom: 5px;">📋 פרטי הצ'יק:</div>
                             <div style="font-size: 0.9rem; color: #555;">
                                 מס' צ'יק: <strong>${checkNum}</strong><br>
-                                מוטב: <strong>${payee}</strong>
+                                מוטב: <strong>${payee}</strong>${dueDate}
                             </div>
                         </div>
                         <button type="button" id="editCheckDetailsBtn" class="btn btn-secondary btn-small" style="min-width: 80px;">✏️ ערוך</button>
@@ -1137,6 +2490,8 @@ class BudgetSystem {
             // Clean up N/A values from old data
             const checkNumber = (existingData?.checkNumber && existingData.checkNumber !== 'N/A') ? existingData.checkNumber : '';
             const payeeName = (existingData?.payeeName && existingData.payeeName !== 'לא צוין') ? existingData.payeeName : '';
+            const issueDate = existingData?.issueDate || document.getElementById('transactionDate')?.value || new Date().toISOString().slice(0, 10);
+            const dueDate = existingData?.dueDate || issueDate;
             
             modal.innerHTML = `
                 <div class="check-modal-content">
@@ -1147,7 +2502,15 @@ class BudgetSystem {
                     </div>
                     <div class="check-form-group">
                         <label for="payeeName">שם המוטב (למי התשלום) *</label>
-                        <input type="text" id="payeeName" value="${payeeName}" placeholder="שם המוטב" required>
+                        <input type="text" id="payeeName" value="${payeeName}" placeholder="שם המוטב" list="payeeSuggestions" autocomplete="off" required>
+                    </div>
+                    <div class="check-form-group">
+                        <label for="checkIssueDate">תאריך כתיבה</label>
+                        <input type="date" id="checkIssueDate" value="${issueDate}">
+                    </div>
+                    <div class="check-form-group">
+                        <label for="checkDueDate">תאריך פירעון (לצ'יק דחוי)</label>
+                        <input type="date" id="checkDueDate" value="${dueDate}">
                     </div>
                     <div style="display: flex; gap: 10px; justify-content: center; margin-top: 20px;">
                         <button id="saveCheckBtn" class="btn btn-primary">שמור פרטי צ'יק</button>
@@ -1166,16 +2529,30 @@ class BudgetSystem {
             document.getElementById('saveCheckBtn').addEventListener('click', () => {
                 const checkNumber = checkNumberInput.value.trim();
                 const payeeName = payeeNameInput.value.trim();
+                const issueDate = document.getElementById('checkIssueDate').value;
+                const dueDate = document.getElementById('checkDueDate').value || issueDate;
                 
                 if (!checkNumber || !payeeName) {
                     alert('אנא מלא את כל השדות החובה');
                     return;
                 }
+                if (!this.confirmCheckNumber(checkNumber, existingData?.checkNumber, true)) {
+                    return;
+                }
+                if (issueDate && dueDate < issueDate) {
+                    alert('תאריך הפירעון לא יכול להיות לפני תאריך הכתיבה');
+                    return;
+                }
+                this.rememberPayee(payeeName);
                 
                 this.currentCheckData = {
                     checkNumber: checkNumber,
                     payeeName: payeeName
                 };
+                if (issueDate) {
+                    this.currentCheckData.issueDate = issueDate;
+                    this.currentCheckData.dueDate = dueDate;
+                }
                 
                 document.body.removeChild(modal);
                 resolve({ saved: true, data: this.currentCheckData });
@@ -1201,12 +2578,21 @@ class BudgetSystem {
     }
 
     deleteTransaction(id) {
-        if (confirm('האם אתה בטוח שברצונך למחוק את העסקה?')) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (transaction && !this.ensureYearUnlocked(transaction.year || this.currentYear)) {
+            return;
+        }
+        if (confirm('האם להעביר את העסקה לסל המחזור?')) {
+            if (!transaction) return;
+            this.moveToTrash('transaction', transaction);
             this.transactions = this.transactions.filter(t => t.id !== id);
-            this.saveData();
+            // A check not yet cashed leaves the register with it (restoring the transaction brings it back)
+            this.checkRegister = this.checkRegister.filter(c => c.transactionId !== id || c.status !== 'issued');
+            this.setRecurringInstanceSkipped(transaction, true);
+            this.saveData(`מחיקת עסקה "${transaction.item}"`);
             this.updateTransactionsTable();
             this.updateDisplay();
-            this.showNotification('העסקה נמחקה', 'info');
+            this.showNotification('העסקה הועברה לסל המחזור', 'info');
         }
     }
 
@@ -1230,6 +2616,18 @@ class BudgetSystem {
             return transactionYear === this.currentYear;
         });
         
+        // Filter by account if one is selected
+        const selectedAccountId = this.getSelectedAccountId();
+        if (selectedAccountId && this.accounts.length > 1) {
+            currentYearTransactions = currentYearTransactions.filter(t => this.getAccountId(t) === selectedAccountId || t.toAccountId === selectedAccountId);
+        }
+
+        // Filter by tag if one is selected
+        const selectedTag = document.getElementById('dataEntryTagSelect').value;
+        if (selectedTag && selectedTag !== 'all') {
+            currentYearTransactions = currentYearTransactions.filter(t => (t.tags || []).includes(selectedTag));
+        }
+
         // Filter by month if a specific month is selected (not "all")
         if (selectedMonth && selectedMonth !== 'all') {
             const monthNumber = parseInt(selectedMonth);
@@ -1239,10 +2637,10 @@ class BudgetSystem {
             console.log(`Showing all ${currentYearTransactions.length} transactions for year ${this.currentYear}`);
         }
 
-        const sortedTransactions = [...currentYearTransactions].sort((a, b) => {
-            // Sort alphabetically by item name (א-ב)
-            return a.item.localeCompare(b.item, 'he');
-        });
+        // Chronologically where dates exist, otherwise alphabetically by item name (א-ב)
+        const sortedTransactions = [...currentYearTransactions].sort((a, b) =>
+            this.compareByDate(a, b, () => a.item.localeCompare(b.item, 'he'))
+        );
 
         sortedTransactions.forEach(transaction => {
             const row = document.createElement('tr');
@@ -1271,868 +2669,3874 @@ class BudgetSystem {
             const colorCell = this.createColorSelector(transaction);
             
             row.innerHTML = `
-                <td>${this.getMonthName(transaction.month)}</td>
-                <td>${transaction.item}</td>
-                <td class="amount ${transaction.type}">${this.formatCurrency(transaction.amount)}</td>
+                <td>${this.getMonthName(transaction.month)}${transaction.date ? `<br><small style="color: #666;">${this.formatDate(transaction.date)}</small>` : ''}</td>
+                <td>${transaction.item}${transaction.templateId ? ' <small title="עסקה קבועה">📆</small>' : ''}${this.getAccountTag(transaction)}${this.getTagBadges(transaction)}</td>
+                <td class="amount ${transaction.type}">${this.formatCurrency(transaction.amount)}${this.getOriginalAmountTag(transaction)}</td>
                 <td><span class="type-badge ${transaction.type}">${this.getTypeLabel(transaction.type)}</span></td>
-                <td><span class="category-badge">${transaction.category}</span></td>
+                <td><span class="category-badge" ${transaction.splits ? `title="${this.getCategoryLabel(transaction)}"` : ''}>${transaction.splits ? `✂️ ${transaction.splits.length} קטגוריות` : transaction.category}</span></td>
                 <td>${transaction.note || ''}</td>
                 <td>${checkInfo}</td>
                 <td class="color-selector-cell">${colorCell}</td>
                 <td class="action-buttons">
                     <button onclick="budgetSystem.editTransaction(${transaction.id})" class="btn btn-secondary btn-small" title="ערוך">✏️</button>
+                    <button onclick="budgetSystem.showTransactionHistory(${transaction.id})" class="btn btn-secondary btn-small" title="היסטוריית שינויים">📜</button>
+                    <button onclick="budgetSystem.showAttachments('transaction', ${transaction.id})" class="btn btn-secondary btn-small" title="קבצים מצורפים">📎${transaction.attachments && transaction.attachments.length > 0 ? transaction.attachments.length : ''}</button>
                     <button onclick="budgetSystem.deleteTransaction(${transaction.id})" class="btn btn-danger btn-small" title="מחק">🗑️</button>
                 </td>
             `;
             tbody.appendChild(row);
         });
         
-        // Update color summary
+        // Update color and tag summaries
         this.updateColorSummary(currentYearTransactions);
+        this.updateTagSummary(currentYearTransactions);
 
         // Update imported check items summary
         this.updateImportedCheckItemsSummary();
     }
     
-    // Get color code from color name
+    // Palette entry by id (null for 'none' or a color that is no longer in the palette)
+    getColor(colorId) {
+        return this.colors.find(c => c.id === colorId) || null;
+    }
+
+    getColorName(colorId) {
+        const color = this.getColor(colorId);
+        return color ? color.name : colorId;
+    }
+
+    // Color given to rows created by bank imports, or null for none
+    getImportColorId() {
+        const color = this.colors.find(c => c.forImports);
+        return color ? color.id : null;
+    }
+
+    // Mix a palette hex with white (0 = the color itself, 1 = white)
+    tintColor(hex, amount) {
+        const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        return '#' + channels
+            .map(c => Math.round(c + (255 - c) * amount).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    // Get a light version of the color (summary borders)
     getColorCode(colorName) {
-        const colors = {
-            'yellow': '#fff9c4',
-            'green': '#c8e6c9',
-            'blue': '#bbdefb',
-            'pink': '#f8bbd0',
-            'none': 'transparent'
-        };
-        return colors[colorName] || 'transparent';
+        const color = this.getColor(colorName);
+        return color ? this.tintColor(color.hex, 0.7) : 'transparent';
     }
     
     // Get color gradient for table rows
     getColorGradient(colorName) {
-        const gradients = {
-            'yellow': 'linear-gradient(135deg, #fffde7 0%, #ffd54f 25%, #fff59d 50%, #fff9c4 75%, #fffde7 100%)',
-            'green': 'linear-gradient(135deg, #e8f5e9 0%, #4caf50 25%, #81c784 50%, #a5d6a7 75%, #e8f5e9 100%)',
-            'blue': 'linear-gradient(135deg, #e3f2fd 0%, #42a5f5 25%, #64b5f6 50%, #90caf9 75%, #e3f2fd 100%)',
-            'pink': 'linear-gradient(135deg, #fce4ec 0%, #ec407a 25%, #f06292 50%, #f48fb1 75%, #fce4ec 100%)',
-            'none': 'transparent'
-        };
-        return gradients[colorName] || 'transparent';
+        const color = this.getColor(colorName);
+        if (!color) return 'transparent';
+        const light = this.tintColor(color.hex, 0.88);
+        return `linear-gradient(135deg, ${light} 0%, ${color.hex} 25%, ${this.tintColor(color.hex, 0.3)} 50%, ${this.tintColor(color.hex, 0.6)} 75%, ${light} 100%)`;
     }
     
     // Get color shadow for table rows
     getColorShadow(colorName) {
-        const shadows = {
-            'yellow': '0 2px 8px rgba(255, 213, 79, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.5)',
-            'green': '0 2px 8px rgba(76, 175, 80, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.5)',
-            'blue': '0 2px 8px rgba(66, 165, 245, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.5)',
-            'pink': '0 2px 8px rgba(236, 64, 122, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.5)',
-            'none': 'none'
-        };
-        return shadows[colorName] || 'none';
+        const color = this.getColor(colorName);
+        if (!color) return 'none';
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(color.hex.slice(i, i + 2), 16));
+        return `0 2px 8px rgba(${r}, ${g}, ${b}, 0.3), inset 0 1px 0 rgba(255, 255, 255, 0.5)`;
     }
     
     // Get border color for table rows
     getColorBorder(colorName) {
-        const borders = {
-            'yellow': '3px solid #ffc107',
-            'green': '3px solid #4caf50',
-            'blue': '3px solid #2196f3',
-            'pink': '3px solid #e91e63',
-            'none': 'none'
-        };
-        return borders[colorName] || 'none';
+        const color = this.getColor(colorName);
+        return color ? `3px solid ${color.hex}` : 'none';
     }
     
     // Create color selector HTML
     createColorSelector(transaction) {
         const colors = [
-            { name: 'none', label: '—', color: '#f5f5f5' },
-            { name: 'yellow', label: '●', color: '#ffd54f' },
-            { name: 'green', label: '●', color: '#8ef393' },
-            { name: 'blue', label: '●', color: '#64b5f6' },
-            { name: 'pink', label: '●', color: '#f581e1' }
+            { id: 'none', name: 'ללא צבע', hex: '#f5f5f5' },
+            ...this.colors
         ];
         
         return colors.map(c => {
-            const isSelected = transaction.color === c.name;
+            const isSelected = (transaction.color || 'none') === c.id;
             return `<span class="color-btn ${isSelected ? 'selected' : ''}" 
-                         onclick="budgetSystem.changeTransactionColor(${transaction.id}, '${c.name}')"
-                         style="background-color: ${c.color}; cursor: pointer; display: inline-block; width: 20px; height: 20px; border-radius: 3px; margin: 1px; border: ${isSelected ? '2px solid #333' : '1px solid #ccc'};"
-                         title="${c.name === 'none' ? 'ללא צבע' : c.name}">
+                         onclick="budgetSystem.changeTransactionColor(${transaction.id}, '${c.id}')"
+                         style="background-color: ${c.hex}; cursor: pointer; display: inline-block; width: 20px; height: 20px; border-radius: 3px; margin: 1px; border: ${isSelected ? '2px solid #333' : '1px solid #ccc'};"
+                         title="${c.name}">
                     </span>`;
         }).join('');
     }
+
+    // Fill the form's color select, the summary checkboxes and the import color select from the palette
+    updateColorControls() {
+        const colorSelect = document.getElementById('transactionColor');
+        const previousColor = colorSelect.value;
+        colorSelect.innerHTML = '<option value="none">ללא צבע</option>' + this.colors
+            .map(c => `<option value="${c.id}" style="background: ${this.tintColor(c.hex, 0.6)};">${c.name}</option>`)
+            .join('');
+        colorSelect.value = this.getColor(previousColor) ? previousColor : 'none';
+
+        // Keep the user's summary selection; colors never selected use their default
+        const saved = localStorage.getItem(this.profiles.getStorageKey('selectedColors'));
+        let selected = null;
+        try {
+            selected = saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error('Error loading selected colors:', e);
+        }
+        document.getElementById('colorSummaryChecks').innerHTML = this.colors.map(c => `
+            <label style="display: flex; align-items: center; gap: 5px; cursor: pointer; font-size: 0.9rem;">
+                <input type="checkbox" class="color-check" value="${c.id}" ${(selected ? selected.includes(c.id) : c.inSummary) ? 'checked' : ''} style="cursor: pointer;">
+                <span style="display: inline-block; width: 12px; height: 12px; border-radius: 3px; background: ${c.hex};"></span>
+                <span>${c.name}</span>
+            </label>
+        `).join('');
+
+        const importSelect = document.getElementById('importColorSelect');
+        importSelect.innerHTML = '<option value="none">ללא צבע</option>' + this.colors
+            .map(c => `<option value="${c.id}">${c.name}</option>`)
+            .join('');
+        importSelect.value = this.getImportColorId() || 'none';
+    }
+
+    // Add a color to the palette from the settings form
+    createColor() {
+        const nameInput = document.getElementById('newColorName');
+        const name = nameInput.value.trim();
+        const hex = document.getElementById('newColorHex').value;
+
+        if (!name) {
+            this.showNotification('יש להזין שם לצבע', 'error');
+            return;
+        }
+        if (this.colors.some(c => c.name === name)) {
+            this.showNotification(`הצבע "${name}" כבר קיים`, 'error');
+            return;
+        }
+
+        this.colors.push({ id: `c${Date.now()}`, name: name, hex: hex, inSummary: true, forImports: false });
+        nameInput.value = '';
+        this.saveData(`הוספת צבע "${name}"`);
+        this.updateDisplay();
+        this.showNotification(`הצבע "${name}" נוסף`, 'success');
+    }
+
+    // Save a palette row (name, hex, summary default) from its inputs
+    updateColor(colorId) {
+        const color = this.getColor(colorId);
+        if (!color) return;
+
+        const name = document.getElementById(`colorName-${colorId}`).value.trim();
+        if (!name) {
+            this.showNotification('יש להזין שם לצבע', 'error');
+            return;
+        }
+        if (this.colors.some(c => c.id !== colorId && c.name === name)) {
+            this.showNotification(`הצבע "${name}" כבר קיים`, 'error');
+            return;
+        }
+
+        color.name = name;
+        color.hex = document.getElementById(`colorHex-${colorId}`).value;
+        color.inSummary = document.getElementById(`colorInSummary-${colorId}`).checked;
+        this.saveData(`עדכון הצבע "${name}"`);
+        this.updateDisplay();
+        this.showNotification(`הצבע "${name}" עודכן`, 'success');
+    }
+
+    // Choose the color given to imported rows ('none' for no color)
+    setImportColor(colorId) {
+        this.colors.forEach(c => {
+            c.forImports = c.id === colorId;
+        });
+        this.saveData('שינוי צבע השורות המיובאות');
+        this.showNotification(colorId === 'none' ? 'שורות מיובאות לא יסומנו בצבע' : `שורות מיובאות יסומנו ב"${this.getColorName(colorId)}"`, 'success');
+    }
+
+    // Remove a color from the palette and from every transaction marked with it
+    deleteColor(colorId) {
+        const color = this.getColor(colorId);
+        if (!color) return;
+
+        const marked = this.transactions.filter(t => t.color === colorId);
+        if (!confirm(`למחוק את הצבע "${color.name}"?${marked.length > 0 ? `\nהסימון יוסר מ-${marked.length} עסקאות.` : ''}`)) {
+            return;
+        }
+
+        marked.forEach(t => {
+            this.addTransactionHistory(t, 'recolored', [{ field: 'color', from: colorId, to: null }]);
+            t.color = null;
+        });
+        this.colors = this.colors.filter(c => c.id !== colorId);
+        if (this.lastSelectedColor === colorId) {
+            this.lastSelectedColor = 'none';
+        }
+        this.saveData(`מחיקת הצבע "${color.name}"`);
+        this.updateDisplay();
+        this.showNotification(`הצבע "${color.name}" נמחק`, 'success');
+    }
+
+    // Render the palette in settings
+    updateColorsTable() {
+        const tbody = document.getElementById('colorsBody');
+        tbody.innerHTML = '';
+
+        this.colors.forEach(color => {
+            const count = this.transactions.filter(t => t.color === color.id).length;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="color" id="colorHex-${color.id}" value="${color.hex}" style="width: 50px; height: 32px; border: none; cursor: pointer;"></td>
+                <td>
+                    <input type="text" id="colorName-${color.id}" value="${color.name.replace(/"/g, '&quot;')}" style="padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;">
+                </td>
+                <td><input type="checkbox" id="colorInSummary-${color.id}" ${color.inSummary ? 'checked' : ''}></td>
+                <td>${count}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.updateColor('${color.id}')" class="btn btn-secondary btn-small" title="שמור">💾</button>
+                    <button onclick="budgetSystem.deleteColor('${color.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
     
     // Change transaction color
     changeTransactionColor(transactionId, color) {
         const transaction = this.transactions.find(t => t.id === transactionId);
+        if (transaction && !this.ensureYearUnlocked(transaction.year || this.currentYear)) {
+            this.updateTransactionsTable(); // Put the select back
+            return;
+        }
         if (transaction) {
-            transaction.color = color === 'none' ? null : color;
-            this.saveData();
+            const newColor = color === 'none' ? null : color;
+            if ((transaction.color || null) === newColor) return;
+            this.addTransactionHistory(transaction, 'recolored', [{ field: 'color', from: transaction.color || null, to: newColor }]);
+            transaction.color = newColor;
+            this.saveData(`שינוי צבע לעסקה "${transaction.item}"`);
             this.updateTransactionsTable();
         }
     }
-    
-    // Get selected colors from checkboxes
-    getSelectedColors() {
-        const checkboxes = document.querySelectorAll('.color-check');
-        const selected = [];
-        checkboxes.forEach(cb => {
-            if (cb.checked) {
-                selected.push(cb.value);
-            }
-        });
-        return selected; // Return only selected colors, empty array if none
+
+    // Recurring templates
+    getFrequencyLabel(frequency) {
+        const labels = {
+            monthly: 'כל חודש',
+            bimonthly: 'כל חודשיים',
+            quarterly: 'כל רבעון',
+            semiannual: 'כל חצי שנה',
+            yearly: 'כל שנה'
+        };
+        return labels[frequency] || frequency;
     }
-    
-    // Save selected colors to localStorage
-    saveSelectedColors() {
-        const selected = this.getSelectedColors();
-        localStorage.setItem('selectedColors', JSON.stringify(selected));
+
+    // Months between two instances
+    getFrequencyInterval(frequency) {
+        return { monthly: 1, bimonthly: 2, quarterly: 3, semiannual: 6, yearly: 12 }[frequency] || 1;
     }
-    
-    // Load selected colors from localStorage
-    loadSelectedColors() {
-        const saved = localStorage.getItem('selectedColors');
-        if (saved) {
-            try {
-                const selected = JSON.parse(saved);
-                document.querySelectorAll('.color-check').forEach(cb => {
-                    cb.checked = selected.includes(cb.value);
-                });
-            } catch (e) {
-                console.error('Error loading selected colors:', e);
-            }
-        }
+
+    // Whether a template has an instance in the given month (from its start, every interval, until its end)
+    isTemplateDue(template, month, year) {
+        const toIndex = (value) => {
+            const [y, m] = value.split('-').map(Number);
+            return y * 12 + m - 1;
+        };
+        const index = year * 12 + month - 1;
+        const start = toIndex(template.startMonth);
+        if (index < start) return false;
+        if (template.endMonth && index > toIndex(template.endMonth)) return false;
+        return (index - start) % this.getFrequencyInterval(template.frequency) === 0;
     }
-    
-    // Reset all color selections
-    resetColorSelections() {
-        document.querySelectorAll('.color-check').forEach(cb => {
-            // Set default: green, blue, pink are checked; yellow is not
-            cb.checked = (cb.value === 'green' || cb.value === 'blue' || cb.value === 'pink');
-        });
-        this.saveSelectedColors();
+
+    // Date of a template's instance - its day of month, capped at the month's last day
+    getTemplateDate(template, month, year) {
+        const lastDay = new Date(year, month, 0).getDate();
+        const day = Math.min(template.dayOfMonth, lastDay);
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
     }
-    
-    // Update color summary
-    updateColorSummary(transactions) {
-        const summaryDiv = document.getElementById('colorSummary');
-        const summaryContent = document.getElementById('colorSummaryContent');
-        
-        if (!summaryDiv || !summaryContent) return;
-        
-        // Get selected colors from checkboxes
-        const selectedColors = this.getSelectedColors();
-        
-        // Calculate totals and counts by color
-        const colorTotals = {
-            'yellow': 0,
-            'green': 0,
-            'blue': 0,
-            'pink': 0
-        };
-        
-        const colorCounts = {
-            'yellow': 0,
-            'green': 0,
-            'blue': 0,
-            'pink': 0
-        };
-        
-        transactions.forEach(t => {
-            if (t.color && colorTotals[t.color] !== undefined) {
-                colorTotals[t.color] += t.amount;
-                colorCounts[t.color]++;
-            }
-        });
-        
-        // Always show the summary div (so checkboxes are visible)
-        summaryDiv.style.display = 'block';
-        
-        // Get selected month for later use
-        const selectedMonth = document.getElementById('dataEntryMonthSelect')?.value;
-        const hasSelectedMonth = selectedMonth && selectedMonth !== 'all';
-        
-        // If no colors are selected, show empty content
-        if (selectedColors.length === 0) {
-            summaryContent.innerHTML = '<p style="color: #999; font-style: italic;">בחר צבעים כדי לראות סיכום</p>';
-            return;
-        }
-        
-        const colorNames = {
-            'yellow': '🟨 צהוב',
-            'green': '🟩 ירוק',
-            'blue': '🟦 כחול',
-            'pink': '🟪 ורוד'
+
+    // Mark the month of a posted recurring transaction as skipped when it is deleted
+    // (so the review doesn't offer it again), and as pending again when it is restored
+    setRecurringInstanceSkipped(transaction, skipped) {
+        const template = transaction.templateId && this.recurringTemplates.find(t => t.id === transaction.templateId);
+        if (!template) return;
+        const key = `${transaction.year || this.currentYear}-${transaction.month}`;
+        const others = (template.skipped || []).filter(k => k !== key);
+        template.skipped = skipped ? [...others, key] : others;
+    }
+
+    // Instances due in a month that were neither posted nor skipped
+    getPendingRecurring(month, year) {
+        return this.recurringTemplates.filter(template =>
+            this.isTemplateDue(template, month, year) &&
+            !(template.skipped || []).includes(`${year}-${month}`) &&
+            !this.transactions.some(t => t.templateId === template.id && t.month === month && (t.year || this.currentYear) === year)
+        );
+    }
+
+    // Fields a template gives its transactions
+    getTemplateTransactionFields(template, month, year) {
+        return {
+            month: month,
+            year: year,
+            date: this.getTemplateDate(template, month, year),
+            item: template.item,
+            amount: template.amount,
+            type: template.type,
+            category: this.getCategoryForItem(template.item),
+            note: template.note || '',
+            color: template.color || null,
+            accountId: this.getAccount(template.accountId) ? template.accountId : this.defaultAccountId
         };
-        
-        // Show all selected colors, even if they have 0 transactions
-        let htmlContent = selectedColors.map(color => {
-            const total = colorTotals[color] || 0;
-            const count = colorCounts[color] || 0;
-            
-            return `
-                <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: white; border-radius: 5px; border-right: 4px solid ${this.getColorCode(color)};">
-                    <span style="font-weight: 500;">${colorNames[color]} (${count}):</span>
-                    <span style="font-size: 1.1rem; font-weight: 600; color: ${total >= 0 ? '#4caf50' : '#f44336'};">
-                        ${this.formatCurrency(total)}
-                    </span>
-                </div>
-            `;
-        }).join('');
-        
-        // Add total summary of selected colors only
-        const totalSelectedColors = Object.entries(colorTotals)
-            .filter(([color, _]) => selectedColors.includes(color))
-            .reduce((sum, [_, val]) => sum + val, 0);
-        const totalSelectedCount = Object.entries(colorCounts)
-            .filter(([color, _]) => selectedColors.includes(color))
-            .reduce((sum, [_, val]) => sum + val, 0);
-        
-        // Always show total if colors are selected
-        if (selectedColors.length > 0) {
-            htmlContent += `
-                <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: #e3f2fd; border-radius: 5px; border-right: 4px solid #1976d2; margin-top: 8px; font-weight: 600;">
-                    <span style="font-weight: 600;">סה"כ צבעים נבחרים (${totalSelectedCount}):</span>
-                    <span style="font-size: 1.1rem; font-weight: 700; color: ${totalSelectedColors >= 0 ? '#2e7d32' : '#c62828'};">
-                        ${this.formatCurrency(totalSelectedColors)}
-                    </span>
-                </div>
-            `;
-        }
-        
-        // Add closing balance if a specific month is selected
-        if (hasSelectedMonth) {
-            const monthNumber = parseInt(selectedMonth);
-            const monthName = this.getMonthName(monthNumber);
-            
-            // Calculate previous month's closing balance
-            const prevMonth = monthNumber === 1 ? 12 : monthNumber - 1;
-            const prevYear = monthNumber === 1 ? this.currentYear - 1 : this.currentYear;
-            const prevClosingBalance = this.calculateClosingBalance(prevMonth, prevYear);
-            
-            // Add colored items total to previous month's closing balance
-            const balanceByColors = prevClosingBalance + totalSelectedColors;
-            
-            htmlContent += `
-                <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: #e3f2fd; border-radius: 5px; border-right: 4px solid #1976d2; margin-top: 8px; font-weight: 600;">
-                    <span style="font-weight: 600;">יתרת עו"ש לחודש ${monthName} לפי סימון צבעים:</span>
-                    <span style="font-size: 1.1rem; font-weight: 700; color: ${balanceByColors >= 0 ? '#1976d2' : '#f44336'};">
-                        ${this.formatCurrency(balanceByColors)}
-                    </span>
-                </div>
-            `;
-        }
-        
-        summaryContent.innerHTML = htmlContent;
     }
 
-    // Update imported check items summary
-    updateImportedCheckItemsSummary() {
-        const container = document.getElementById('importedCheckItemsList');
-        const summaryCard = document.getElementById('importedCheckItemsSummary');
+    // Ask which of the month's due recurring transactions to post
+    reviewRecurringTransactions(month, year) {
+        const pending = this.getPendingRecurring(month, year);
+        if (pending.length === 0 || document.getElementById('recurringReviewModal') || this.isYearLocked(year)) return;
 
-        if (!container || !summaryCard) return;
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.id = 'recurringReviewModal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 650px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 10px; text-align: center;">📆 עסקאות קבועות ל${this.getMonthName(month)} ${year}</h3>
+                <p style="color: #666; margin-bottom: 15px;">סמן את העסקאות לרישום וניתן לעדכן את הסכום. עסקאות שאינן מסומנות ידולגו בחודש זה.</p>
+                <table class="data-table" style="margin-bottom: 20px;">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>פריט</th>
+                            <th>תאריך</th>
+                            <th>סכום</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pending.map(template => `
+                            <tr>
+                                <td><input type="checkbox" class="recurring-check" value="${template.id}" checked></td>
+                                <td>${template.item}</td>
+                                <td>${this.formatDate(this.getTemplateDate(template, month, year))}</td>
+                                <td><input type="number" id="recurringAmount-${template.id}" value="${Math.abs(template.amount)}" step="0.01" min="0" style="width: 110px;"> ${template.type === 'income' ? 'הכנסה' : 'הוצאה'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div style="display: flex; justify-content: center; gap: 10px;">
+                    <button id="postRecurringBtn" class="btn btn-primary">✅ רשום את המסומנות</button>
+                    <button id="laterRecurringBtn" class="btn btn-secondary">אחר כך</button>
+                </div>
+            </div>
+        `;
 
-        // Get selected month filter from data entry tab
-        const selectedMonth = document.getElementById('dataEntryMonthSelect')?.value;
+        document.body.appendChild(modal);
 
-        // Filter check items by current year and selected month
-        let filteredCheckItems = this.importedCheckItems.filter(item => {
-            const itemYear = item.year || this.currentYear;
-            if (itemYear !== this.currentYear) return false;
+        document.getElementById('postRecurringBtn').addEventListener('click', () => {
+            const checked = Array.from(modal.querySelectorAll('.recurring-check'))
+                .filter(cb => cb.checked)
+                .map(cb => parseFloat(cb.value));
+            const amounts = new Map(checked.map(id => [id, parseFloat(document.getElementById(`recurringAmount-${id}`).value)]));
+            if (Array.from(amounts.values()).some(amount => isNaN(amount) || amount <= 0)) {
+                alert('יש להזין סכום חיובי לכל עסקה מסומנת');
+                return;
+            }
+            document.body.removeChild(modal);
+            this.postRecurring(pending, amounts, month, year);
+        });
 
-            // Filter by month if specific month is selected
-            if (selectedMonth && selectedMonth !== 'all') {
-                return item.month === parseInt(selectedMonth);
+        // Nothing is posted or skipped - the review comes back next time the month is opened
+        document.getElementById('laterRecurringBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+    }
+
+    // Post the approved instances; the others are marked as skipped for that month
+    postRecurring(pending, amounts, month, year) {
+        let posted = 0;
+        pending.forEach(template => {
+            if (!amounts.has(template.id)) {
+                template.skipped = [...(template.skipped || []), `${year}-${month}`];
+                return;
             }
-            return true;
+            const fields = this.getTemplateTransactionFields(template, month, year);
+            const amount = amounts.get(template.id);
+            const transaction = {
+                id: Date.now() + Math.random(),
+                ...fields,
+                amount: template.type === 'expense' ? -amount : amount,
+                paymentMethod: 'cash',
+                checkDetails: null,
+                templateId: template.id
+            };
+            this.addTransactionHistory(transaction, 'created', [], 'recurring');
+            this.transactions.push(transaction);
+            posted++;
         });
 
-        if (filteredCheckItems.length === 0) {
-            summaryCard.style.display = 'none';
-            return;
+        this.saveData(posted > 0 ? `רישום ${posted} עסקאות קבועות ל${this.getMonthName(month)}` : `דילוג על עסקאות קבועות ב${this.getMonthName(month)}`);
+        this.updateDisplay();
+        if (posted > 0) {
+            this.showNotification(`📆 נרשמו ${posted} עסקאות קבועות`, 'success');
         }
+    }
 
-        summaryCard.style.display = 'block';
+    // Read the template form. Returns null (after telling the user) when it is incomplete.
+    getTemplateFromForm() {
+        const item = document.getElementById('templateItem').value.trim();
+        const amount = parseFloat(document.getElementById('templateAmount').value);
+        const type = document.getElementById('templateType').value;
+        const dayOfMonth = parseInt(document.getElementById('templateDay').value);
+        const startMonth = document.getElementById('templateStart').value;
+        const endMonth = document.getElementById('templateEnd').value;
+        const color = document.getElementById('templateColor').value;
 
-        // Update the title with month name
-        const titleElement = summaryCard.querySelector('h3');
-        if (titleElement && selectedMonth && selectedMonth !== 'all') {
-            const monthName = this.getMonthName(parseInt(selectedMonth));
-            titleElement.textContent = `🏦 פרטי צ׳יק הוצאות חודש ${monthName}`;
-        } else {
-            titleElement.textContent = '🏦 פרטי צ׳יק הוצאות';
+        if (!item || isNaN(amount) || amount <= 0) {
+            alert('יש להזין פריט וסכום חיובי');
+            return null;
+        }
+        if (!/^\d{4}-\d{2}$/.test(startMonth)) {
+            alert('יש לבחור חודש התחלה');
+            return null;
+        }
+        if (endMonth && endMonth < startMonth) {
+            alert('חודש הסיום חייב להיות אחרי חודש ההתחלה');
+            return null;
+        }
+        if (!(dayOfMonth >= 1 && dayOfMonth <= 31)) {
+            alert('יום בחודש חייב להיות בין 1 ל-31');
+            return null;
         }
 
-        container.innerHTML = '';
+        const template = {
+            item: item,
+            amount: type === 'expense' ? -amount : amount,
+            type: type,
+            color: color === 'none' ? null : color,
+            accountId: document.getElementById('templateAccount').value || this.defaultAccountId,
+            frequency: document.getElementById('templateFrequency').value,
+            dayOfMonth: dayOfMonth,
+            startMonth: startMonth,
+            note: document.getElementById('templateNote').value.trim()
+        };
+        if (endMonth) {
+            template.endMonth = endMonth;
+        }
+        return template;
+    }
 
-        filteredCheckItems.forEach(checkItem => {
-            const checkNum = checkItem.checkNumber || '(לא הוזן)';
-            const payee = checkItem.payeeName || '(לא הוזן)';
+    // Add a template, or save the one being edited
+    saveTemplate() {
+        const fields = this.getTemplateFromForm();
+        if (!fields) return;
+
+        if (!this.editingTemplateId) {
+            this.recurringTemplates.push({ id: Date.now(), ...fields, skipped: [] });
+            this.saveData(`הוספת עסקה קבועה "${fields.item}"`);
+            this.resetTemplateForm();
+            this.updateTemplatesTable();
+            this.showNotification(`📆 העסקה הקבועה "${fields.item}" נוספה`, 'success');
+            return;
+        }
 
-            const item = document.createElement('div');
-            item.className = 'imported-check-item';
-            item.innerHTML = `
-                <div class="check-payment-details">
-                    <div class="check-payment-number">צ'יק מספר: ${checkNum}</div>
-                    <div class="check-payment-payee">מוטב: ${payee}</div>
-                    <div style="margin-top: 5px;">
-                        <strong>עבור:</strong> ${checkItem.item}
-                        ${checkItem.note ? `<div class="check-payment-note">הערה: ${checkItem.note}</div>` : ''}
-                    </div>
-                    <div style="font-size: 0.85rem; color: #666; margin-top: 5px;">
-                        ${this.getMonthName(checkItem.month)} ${checkItem.year}
-                    </div>
-                </div>
-                <div class="check-payment-amount" style="padding-left: 20px;">${this.formatCurrency(checkItem.amount)}</div>
-                <div style="display: flex; gap: 5px; align-items: center;">
-                    <button onclick="budgetSystem.editImportedCheckItem(${checkItem.id})" 
-                            class="btn-edit" 
-                            title="ערוך פרטי צ'יק"
-                            style="padding: 5px 10px; background: #2196f3; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.9rem;">
-                        ✏️
-                    </button>
-                    <button onclick="budgetSystem.deleteImportedCheckItem(${checkItem.id})" 
-                            class="btn-delete" 
-                            title="מחק פריט שיק"
-                            style="padding: 5px 10px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.9rem;">
-                        🗑️
-                    </button>
-                </div>
-            `;
-            container.appendChild(item);
+        const template = this.recurringTemplates.find(t => t.id === this.editingTemplateId);
+        if (!template) return;
+        const previous = { ...template };
+        Object.keys(template).forEach(key => {
+            if (key !== 'id' && key !== 'skipped') delete template[key];
         });
-
-        // Add total if more than one check item
-        if (filteredCheckItems.length > 1) {
-            const totalAmount = filteredCheckItems.reduce((sum, item) => sum + Math.abs(item.amount), 0);
-            const totalItem = document.createElement('div');
-            totalItem.style.cssText = `
-                background: #f5f5f5;
-                border: 2px solid #666;
-                border-radius: 8px;
-                padding: 10px 15px;
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                font-weight: 600;
-                margin-top: 10px;
-            `;
-            totalItem.innerHTML = `
-                <span>סה"כ פריטי שיק (${filteredCheckItems.length} פריטים):</span>
-                <span style="color: #d32f2f; font-size: 1.1rem;">${this.formatCurrency(totalAmount)}</span>
-            `;
-            container.appendChild(totalItem);
+        Object.assign(template, fields);
+
+        // Instances already posted for this month onward can follow the change.
+        // Split or foreign currency instances are left alone (their lines and original amount would no longer match),
+        // and on the others only fields still holding the template's previous value are replaced, so edits made
+        // to a single instance are kept.
+        const now = new Date();
+        const currentIndex = now.getFullYear() * 12 + now.getMonth();
+        const future = this.transactions.filter(t =>
+            t.templateId === template.id && (t.year || this.currentYear) * 12 + t.month - 1 >= currentIndex &&
+            this.isTemplateDue(template, t.month, t.year || this.currentYear) && !this.isYearLocked(t.year || this.currentYear));
+        const kept = future.filter(t => t.splits || t.originalCurrency);
+        const updatable = future.filter(t => !kept.includes(t));
+        const keptNote = kept.length > 0
+            ? `\n\nלא יעודכנו (פיצול או מטבע זר): ${kept.map(t => `${this.getMonthName(t.month)} ${t.year || this.currentYear}`).join(', ')}`
+            : '';
+        let updated = 0;
+        if (updatable.length > 0 && confirm(`לעדכן גם ${updatable.length} עסקאות שכבר נרשמו מהחודש הנוכחי והלאה?\nשינויים שנעשו בעסקה בודדת יישמרו.${keptNote}`)) {
+            updatable.forEach(t => {
+                const year = t.year || this.currentYear;
+                const before = this.getTemplateTransactionFields(previous, t.month, year);
+                const after = this.getTemplateTransactionFields(template, t.month, year);
+                const next = { ...t };
+                Object.keys(after).forEach(field => {
+                    if (JSON.stringify(t[field] === undefined ? null : t[field]) === JSON.stringify(before[field])) {
+                        next[field] = after[field];
+                    }
+                });
+                const changes = this.diffTransaction(t, next);
+                if (changes.length === 0) return;
+                this.addTransactionHistory(t, 'edited', changes, 'recurring');
+                Object.assign(t, next, { history: t.history });
+                updated++;
+            });
         }
+
+        this.saveData(`עדכון עסקה קבועה "${template.item}"`);
+        this.resetTemplateForm();
+        this.updateDisplay();
+        this.showNotification(`📆 העסקה הקבועה עודכנה${updated > 0 ? ` (וגם ${updated} עסקאות רשומות)` : ''}`, 'success');
     }
 
-    // Delete imported check item
-    deleteImportedCheckItem(itemId) {
-        if (!confirm('האם למחוק את פריט השיק הזה?')) {
+    // Load a template into the form for editing
+    editTemplate(id) {
+        const template = this.recurringTemplates.find(t => t.id === id);
+        if (!template) return;
+
+        this.editingTemplateId = id;
+        document.getElementById('templateItem').value = template.item;
+        document.getElementById('templateAmount').value = Math.abs(template.amount);
+        document.getElementById('templateType').value = template.type;
+        document.getElementById('templateColor').value = template.color || 'none';
+        document.getElementById('templateAccount').value = this.getAccount(template.accountId) ? template.accountId : this.defaultAccountId;
+        document.getElementById('templateFrequency').value = template.frequency;
+        document.getElementById('templateDay').value = template.dayOfMonth;
+        document.getElementById('templateStart').value = template.startMonth;
+        document.getElementById('templateEnd').value = template.endMonth || '';
+        document.getElementById('templateNote').value = template.note || '';
+        document.getElementById('saveTemplateBtn').textContent = '💾 עדכן עסקה קבועה';
+        document.getElementById('cancelTemplateEditBtn').style.display = '';
+        document.getElementById('templateItem').focus();
+    }
+
+    resetTemplateForm() {
+        this.editingTemplateId = null;
+        ['templateItem', 'templateAmount', 'templateEnd', 'templateNote'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('templateDay').value = 1;
+        document.getElementById('templateStart').value = `${this.currentYear}-${String(new Date().getMonth() + 1).padStart(2, '0')}`;
+        document.getElementById('saveTemplateBtn').textContent = '➕ הוסף עסקה קבועה';
+        document.getElementById('cancelTemplateEditBtn').style.display = 'none';
+    }
+
+    // Delete a template. Transactions it already posted stay as they are.
+    deleteTemplate(id) {
+        const template = this.recurringTemplates.find(t => t.id === id);
+        if (!template || !confirm(`למחוק את העסקה הקבועה "${template.item}"?\nעסקאות שכבר נרשמו יישארו.`)) {
             return;
         }
 
-        const index = this.importedCheckItems.findIndex(item => item.id === itemId);
-        if (index !== -1) {
-            this.importedCheckItems.splice(index, 1);
-            this.saveData();
-            this.updateImportedCheckItemsSummary();
-            this.showNotification('פריט שיק נמחק בהצלחה', 'success');
+        this.recurringTemplates = this.recurringTemplates.filter(t => t.id !== id);
+        if (this.editingTemplateId === id) {
+            this.resetTemplateForm();
         }
+        this.saveData(`מחיקת עסקה קבועה "${template.item}"`);
+        this.updateTemplatesTable();
+        this.showNotification(`העסקה הקבועה "${template.item}" נמחקה`, 'success');
     }
 
-    // Edit imported check item
-    editImportedCheckItem(itemId) {
-        const checkItem = this.importedCheckItems.find(item => item.id === itemId);
-        if (!checkItem) return;
+    // Render the templates in settings and fill the form's color and account selects
+    updateTemplatesTable() {
+        const colorSelect = document.getElementById('templateColor');
+        const previousColor = colorSelect.value;
+        colorSelect.innerHTML = '<option value="none">ללא צבע</option>' + this.colors
+            .map(c => `<option value="${c.id}">${c.name}</option>`)
+            .join('');
+        colorSelect.value = this.getColor(previousColor) ? previousColor : 'none';
 
-        // Create modal for editing
-        const modal = document.createElement('div');
-        modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.5);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 10000;
-        `;
+        const accountSelect = document.getElementById('templateAccount');
+        const previousAccount = accountSelect.value;
+        accountSelect.innerHTML = this.accounts
+            .map(a => `<option value="${a.id}">${a.name}</option>`)
+            .join('');
+        accountSelect.value = this.getAccount(previousAccount) ? previousAccount : this.defaultAccountId;
+        document.getElementById('templateAccountGroup').style.display = this.accounts.length > 1 ? '' : 'none';
 
-        const form = document.createElement('div');
-        form.style.cssText = `
-            background: white;
-            padding: 30px;
-            border-radius: 12px;
-            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-            max-width: 500px;
-            width: 90%;
-        `;
+        if (!document.getElementById('templateStart').value) {
+            document.getElementById('templateStart').value = `${this.currentYear}-${String(new Date().getMonth() + 1).padStart(2, '0')}`;
+        }
 
-        form.innerHTML = `
-            <h3 style="margin: 0 0 20px 0; color: #1f4e79; text-align: right;">✏️ עריכת פרטי צ'יק</h3>
-            
-            <div style="margin-bottom: 15px;">
-                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">מספר צ'יק:</label>
-                <input type="text" id="editCheckNumber" value="${checkItem.checkNumber || ''}" 
-                       placeholder="הזן מספר צ'יק"
-                       style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem;">
-            </div>
+        const tbody = document.getElementById('templatesBody');
+        tbody.innerHTML = '';
 
-            <div style="margin-bottom: 15px;">
-                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">שם המוטב:</label>
-                <input type="text" id="editPayeeName" value="${checkItem.payeeName || ''}" 
-                       placeholder="הזן שם מוטב"
-                       style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem;">
-            </div>
+        if (this.recurringTemplates.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #999;">אין עסקאות קבועות</td></tr>';
+            return;
+        }
 
-            <div style="margin-bottom: 15px;">
-                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">עבור:</label>
-                <input type="text" id="editItemName" value="${checkItem.item}" 
-                       placeholder="עבור מה הצ'יק"
-                       style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem;">
-            </div>
+        const formatMonth = (value) => {
+            const [year, month] = value.split('-').map(Number);
+            return `${this.getMonthName(month)} ${year}`;
+        };
 
-            <div style="margin-bottom: 20px;">
-                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">הערה (אופציונלי):</label>
-                <textarea id="editNote" 
-                          placeholder="הוסף הערה"
-                          style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem; min-height: 60px;">${checkItem.note || ''}</textarea>
-            </div>
+        this.recurringTemplates.forEach(template => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${template.item}${this.getAccountTag(template)}</td>
+                <td class="amount ${template.type}">${this.formatCurrency(template.amount)}</td>
+                <td>${this.getFrequencyLabel(template.frequency)}</td>
+                <td>${template.dayOfMonth}</td>
+                <td>${formatMonth(template.startMonth)} - ${template.endMonth ? formatMonth(template.endMonth) : 'ללא הגבלה'}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.editTemplate(${template.id})" class="btn btn-secondary btn-small" title="ערוך">✏️</button>
+                    <button onclick="budgetSystem.deleteTemplate(${template.id})" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
 
-            <div style="display: flex; gap: 10px; justify-content: flex-end;">
-                <button id="cancelEditBtn" 
-                        style="padding: 10px 20px; background: #999; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 1rem;">
-                    ❌ ביטול
-                </button>
-                <button id="saveEditBtn" 
-                        style="padding: 10px 20px; background: #4caf50; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 1rem;">
-                    💾 שמור
-                </button>
+    // Attachments
+    // record.attachments holds { id, name, type, size }; the files themselves are in the storage's attachments store
+    getAttachmentOwner(kind, id) {
+        const records = kind === 'checkItem' ? this.importedCheckItems : this.transactions;
+        return records.find(r => r.id === id) || null;
+    }
+
+    // Every attachment some record (including ones in the trash) still refers to
+    getReferencedAttachments() {
+        const records = [
+            ...this.transactions,
+            ...this.importedCheckItems,
+            ...this.trash.filter(entry => entry.kind !== 'mapping').map(entry => entry.record)
+        ];
+        return records.flatMap(r => r.attachments || []);
+    }
+
+    // Show the files attached to a transaction or an imported check item
+    showAttachments(kind, id) {
+        const owner = this.getAttachmentOwner(kind, id);
+        if (!owner) return;
+
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.id = 'attachmentsModal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 750px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px; text-align: center;">📎 קבצים מצורפים - ${owner.item}</h3>
+                <div id="attachmentsList" style="margin-bottom: 15px;"></div>
+                <div id="attachmentPreview" style="margin-bottom: 15px;"></div>
+                <div style="display: flex; justify-content: center; gap: 10px;">
+                    <button id="addAttachmentBtn" class="btn btn-primary">➕ צרף קובץ</button>
+                    <input type="file" id="attachmentFile" accept="image/*,application/pdf" multiple style="display: none;">
+                    <button id="closeAttachmentsBtn" class="btn btn-secondary">סגור</button>
+                </div>
             </div>
         `;
 
-        modal.appendChild(form);
         document.body.appendChild(modal);
+        this.renderAttachmentsList(kind, id);
 
-        // Cancel button
-        document.getElementById('cancelEditBtn').onclick = () => {
+        const closeModal = () => {
+            const preview = document.getElementById('attachmentPreview');
+            if (preview && preview.dataset.url) URL.revokeObjectURL(preview.dataset.url);
             document.body.removeChild(modal);
         };
 
-        // Save button
-        document.getElementById('saveEditBtn').onclick = () => {
-            const checkNumber = document.getElementById('editCheckNumber').value.trim();
-            const payeeName = document.getElementById('editPayeeName').value.trim();
-            const itemName = document.getElementById('editItemName').value.trim();
-            const note = document.getElementById('editNote').value.trim();
+        document.getElementById('addAttachmentBtn').addEventListener('click', () => {
+            document.getElementById('attachmentFile').click();
+        });
+        document.getElementById('attachmentFile').addEventListener('change', async (e) => {
+            await this.addAttachments(kind, id, Array.from(e.target.files));
+            e.target.value = '';
+        });
+        document.getElementById('closeAttachmentsBtn').addEventListener('click', closeModal);
 
-            if (!itemName) {
-                alert('נא למלא את השדה "עבור"');
-                return;
-            }
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeModal();
+        });
+    }
 
-            // Update the check item
-            checkItem.checkNumber = checkNumber;
-            checkItem.payeeName = payeeName;
-            checkItem.item = itemName;
-            checkItem.note = note;
+    // List the attachments in the open viewer
+    renderAttachmentsList(kind, id) {
+        const list = document.getElementById('attachmentsList');
+        const owner = this.getAttachmentOwner(kind, id);
+        if (!list || !owner) return;
+
+        const attachments = owner.attachments || [];
+        list.innerHTML = attachments.length === 0
+            ? '<p style="color: #666; text-align: center;">אין קבצים מצורפים. אפשר לצרף תמונות או קובצי PDF (למשל קבלות לצורך החזר מס).</p>'
+            : attachments.map(a => `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; border-bottom: 1px solid #eee; padding: 8px 0;">
+                    <span>${a.type === 'application/pdf' ? '📄' : '🖼️'} ${a.name} <small style="color: #666;">(${Math.ceil(a.size / 1024)} KB)</small></span>
+                    <span class="action-buttons">
+                        <button onclick="budgetSystem.viewAttachment('${a.id}')" class="btn btn-secondary btn-small" title="הצג">👁️</button>
+                        <button onclick="budgetSystem.downloadAttachment('${a.id}')" class="btn btn-secondary btn-small" title="הורד">⬇️</button>
+                        <button onclick="budgetSystem.removeAttachment('${kind}', ${id}, '${a.id}')" class="btn btn-danger btn-small" title="הסר">🗑️</button>
+                    </span>
+                </div>
+            `).join('');
+    }
 
-            this.saveData();
-            this.updateImportedCheckItemsSummary();
-            document.body.removeChild(modal);
-            this.showNotification('פרטי הצ\'יק עודכנו בהצלחה', 'success');
-        };
+    // Store picked files and attach them to the record
+    async addAttachments(kind, id, files) {
+        const owner = this.getAttachmentOwner(kind, id);
+        if (!owner || files.length === 0 || !this.ensureYearUnlocked(owner.year || this.currentYear)) return;
+        if (!this.storage) {
+            this.showNotification('❌ צירוף קבצים דורש IndexedDB, שאינו זמין בדפדפן זה', 'error');
+            return;
+        }
 
-        // Close on background click
-        modal.onclick = (e) => {
-            if (e.target === modal) {
-                document.body.removeChild(modal);
+        const maxSize = 10 * 1024 * 1024;
+        const before = owner.attachments || [];
+        const added = [];
+        for (const file of files) {
+            if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+                this.showNotification(`❌ ${file.name}: ניתן לצרף תמונות או PDF בלבד`, 'error');
+                continue;
             }
-        };
-    }
-
-    // Mapping management
-    showMappingForm(editData = null) {
-        document.getElementById('mappingForm').style.display = 'block';
+            if (file.size > maxSize) {
+                this.showNotification(`❌ ${file.name}: הקובץ גדול מ-10MB`, 'error');
+                continue;
+            }
+            const attachment = {
+                id: `a${Date.now()}${Math.random().toString(36).slice(2, 8)}`,
+                name: file.name,
+                type: file.type,
+                size: file.size
+            };
+            try {
+                await this.storage.putAttachment({ ...attachment, blob: file });
+                added.push(attachment);
+            } catch (error) {
+                console.error('Error storing attachment:', error);
+                this.showNotification(`❌ שגיאה בשמירת ${file.name}`, 'error');
+            }
+        }
+        if (added.length === 0) return;
 
-        if (editData) {
-            // Fill form with existing data for editing
-            document.getElementById('mappingItem').value = editData.item;
-            document.getElementById('mappingItem').readOnly = true; // Can't change item name, only category
-            document.getElementById('mappingCategory').value = editData.category;
-            document.getElementById('includeInMonthlyExpenses').checked = editData.includeInMonthlyExpenses !== false;
+        owner.attachments = [...before, ...added];
+        if (kind === 'transaction') {
+            this.addTransactionHistory(owner, 'edited', [{ field: 'attachments', from: before, to: owner.attachments }]);
+        }
+        this.saveData(`צירוף ${added.length} קבצים ל"${owner.item}"`);
+        this.renderAttachmentsList(kind, id);
+        this.updateTransactionsTable();
+        this.showNotification(`📎 צורפו ${added.length} קבצים`, 'success');
+    }
 
-            // Change form title and button text
-            document.querySelector('#mappingForm h3').textContent = 'עריכת מיפוי';
-            document.querySelector('#newMappingForm button[type="submit"]').innerHTML = '💾 עדכן';
+    // Detach a file. The file itself stays stored until the next startup cleanup, so undo can bring it back.
+    removeAttachment(kind, id, attachmentId) {
+        const owner = this.getAttachmentOwner(kind, id);
+        if (!owner || !owner.attachments || !this.ensureYearUnlocked(owner.year || this.currentYear)) return;
 
-            // Store the original item for updating
-            document.getElementById('newMappingForm').dataset.editItem = editData.item;
-        } else {
-            // New mapping mode
-            document.getElementById('mappingItem').readOnly = false;
-            document.querySelector('#mappingForm h3').textContent = 'מיפוי חדש';
-            document.querySelector('#newMappingForm button[type="submit"]').innerHTML = '💾 שמור';
-            delete document.getElementById('newMappingForm').dataset.editItem;
+        const attachment = owner.attachments.find(a => a.id === attachmentId);
+        if (!attachment || !confirm(`להסיר את הקובץ "${attachment.name}"?`)) {
+            return;
         }
 
-        document.getElementById('mappingItem').focus();
+        const before = owner.attachments;
+        owner.attachments = before.filter(a => a.id !== attachmentId);
+        if (kind === 'transaction') {
+            this.addTransactionHistory(owner, 'edited', [{ field: 'attachments', from: before, to: owner.attachments }]);
+        }
+        if (owner.attachments.length === 0) {
+            delete owner.attachments;
+        }
+        this.saveData(`הסרת הקובץ "${attachment.name}"`);
+        this.renderAttachmentsList(kind, id);
+        this.updateTransactionsTable();
     }
 
-    hideMappingForm() {
-        document.getElementById('mappingForm').style.display = 'none';
-        document.getElementById('newMappingForm').reset();
-        document.getElementById('mappingItem').readOnly = false;
+    // Load a stored file, telling the user when it is not on this device
+    async loadAttachment(attachmentId) {
+        const stored = this.storage ? await this.storage.getAttachment(attachmentId) : null;
+        if (!stored) {
+            this.showNotification('❌ הקובץ אינו שמור במכשיר הזה (ייתכן שלא סונכרן)', 'error');
+            return null;
+        }
+        return stored;
+    }
 
-        // Reset form to "new mapping" mode
-        document.querySelector('#mappingForm h3').textContent = 'מיפוי חדש';
-        document.querySelector('#newMappingForm button[type="submit"]').innerHTML = '💾 שמור';
-        delete document.getElementById('newMappingForm').dataset.editItem;
+    // Show an image or a PDF inside the viewer
+    async viewAttachment(attachmentId) {
+        const stored = await this.loadAttachment(attachmentId);
+        const preview = document.getElementById('attachmentPreview');
+        if (!stored || !preview) return;
+
+        if (preview.dataset.url) URL.revokeObjectURL(preview.dataset.url);
+        const url = URL.createObjectURL(stored.blob);
+        preview.dataset.url = url;
+        preview.innerHTML = stored.type === 'application/pdf'
+            ? `<iframe src="${url}" style="width: 100%; height: 500px; border: 1px solid #ddd; border-radius: 8px;"></iframe>`
+            : `<img src="${url}" alt="${stored.name}" style="max-width: 100%; max-height: 500px; display: block; margin: 0 auto; border-radius: 8px;">`;
     }
 
-    addMapping() {
-        const form = document.getElementById('newMappingForm');
-        const isEditing = !!form.dataset.editItem;
+    async downloadAttachment(attachmentId) {
+        const stored = await this.loadAttachment(attachmentId);
+        if (!stored) return;
 
-        const item = document.getElementById('mappingItem').value.trim();
-        const category = document.getElementById('mappingCategory').value;
-        const includeInMonthlyExpenses = document.getElementById('includeInMonthlyExpenses').checked;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(stored.blob);
+        link.download = stored.name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
 
-        if (!item || !category) {
-            alert('אנא מלא את כל השדות');
-            return;
+    // Delete stored files that no record refers to
+    async cleanupAttachments() {
+        if (!this.storage) return;
+        try {
+            const referenced = new Set(this.getReferencedAttachments().map(a => a.id));
+            const orphans = (await this.storage.getAttachmentIds()).filter(id => !referenced.has(id));
+            await this.storage.deleteAttachments(orphans);
+            if (orphans.length > 0) {
+                console.log(`📎 Removed ${orphans.length} unreferenced attachments`);
+            }
+        } catch (error) {
+            console.error('Error cleaning up attachments:', error);
         }
+    }
 
-        if (isEditing) {
-            // Update existing mapping
-            const oldItem = form.dataset.editItem;
-
-            // If item name hasn't changed (it shouldn't since it's readonly), just update category and flag
-            this.mappings.set(oldItem, {
-                category: category,
-                includeInMonthlyExpenses: includeInMonthlyExpenses
+    // Attached files as { id, name, type, size, data: data URL } for a backup file
+    async getAttachmentFilesForExport() {
+        if (!this.storage) return [];
+
+        const files = [];
+        for (const attachment of this.getReferencedAttachments()) {
+            const stored = await this.storage.getAttachment(attachment.id);
+            if (!stored) continue;
+            const data = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(stored.blob);
             });
+            files.push({ id: stored.id, name: stored.name, type: stored.type, size: stored.size, data });
+        }
+        return files;
+    }
 
-            this.saveData();
-            this.updateMappingTable();
-            this.updateTransactionsTable(); // Refresh transactions to show updated categories
-            this.hideMappingForm();
-            this.showNotification(`המיפוי עודכן בהצלחה: "${item}" → "${category}"`, 'success');
-        } else {
-            // Add new mapping
-            if (this.mappings.has(item)) {
-                if (!confirm(`המיפוי "${item}" כבר קיים. האם לעדכן אותו?`)) {
-                    return;
-                }
-            }
+    // Store the files carried by a backup file
+    async importAttachmentFiles(files) {
+        if (!this.storage || !Array.isArray(files)) return;
 
-            this.mappings.set(item, {
-                category: category,
-                includeInMonthlyExpenses: includeInMonthlyExpenses
-            });
-            this.saveData();
-            this.updateMappingTable();
-            this.updateTransactionsTable(); // Refresh transactions to show updated categories
-            this.hideMappingForm();
-            this.showNotification(`המיפוי נוסף בהצלחה: "${item}" → "${category}"`, 'success');
+        for (const file of files) {
+            try {
+                const blob = await (await fetch(file.data)).blob();
+                await this.storage.putAttachment({ id: file.id, name: file.name, type: file.type, size: file.size, blob });
+            } catch (error) {
+                console.error(`Error importing attachment ${file.name}:`, error);
+            }
         }
+        console.log(`📎 Imported ${files.length} attachments`);
     }
 
-    editMapping(item, category, includeInMonthlyExpenses) {
-        this.showMappingForm({ item, category, includeInMonthlyExpenses });
+    // Fields compared for the audit trail, with their Hebrew labels
+    getTrackedTransactionFields() {
+        return {
+            date: 'תאריך',
+            month: 'חודש',
+            year: 'שנה',
+            item: 'פריט',
+            amount: 'סכום',
+            type: 'סוג',
+            category: 'קטגוריה',
+            note: 'הערה',
+            paymentMethod: 'אמצעי תשלום',
+            checkDetails: 'פרטי צ\'יק',
+            color: 'צבע',
+            accountId: 'חשבון',
+            toAccountId: 'לחשבון',
+            splits: 'פיצול',
+            originalCurrency: 'מטבע',
+            originalAmount: 'סכום במטבע מקורי',
+            exchangeRate: 'שער המרה',
+            tags: 'תגיות',
+            attachments: 'קבצים מצורפים',
+            goalId: 'יעד חיסכון',
+            maturityDate: 'מועד פירעון',
+            depositId: 'פיקדון',
+            loanId: 'הלוואה',
+            clearedAccounts: 'נוקה בבנק'
+        };
     }
 
-    // Count how many transactions use a specific item
-    countTransactionsUsingItem(item) {
-        return this.transactions.filter(t => t.item === item).length;
+    // Field-by-field differences between two versions of a transaction
+    diffTransaction(before, after) {
+        const changes = [];
+        Object.keys(this.getTrackedTransactionFields()).forEach(field => {
+            let from = before[field] === undefined ? null : before[field];
+            let to = after[field] === undefined ? null : after[field];
+            if (field === 'accountId') {
+                // Records from before accounts existed are in the main account
+                from = this.getAccountId(before);
+                to = this.getAccountId(after);
+            }
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ field, from, to });
+            }
+        });
+        return changes;
     }
 
-    deleteMapping(item) {
-        // Check if item is being used in transactions
-        const usageCount = this.countTransactionsUsingItem(item);
-
-        if (usageCount > 0) {
-            alert(`❌ לא ניתן למחוק את המיפוי "${item}"\n\nהפריט בשימוש ב-${usageCount} עסקאות.\nמחק תחילה את כל העסקאות המשתמשות בפריט זה.`);
-            return;
-        }
-
-        if (confirm(`האם אתה בטוח שברצונך למחוק את המיפוי של "${item}"?`)) {
-            this.mappings.delete(item);
-            this.saveData();
-            this.updateMappingTable();
-            this.updateTransactionsTable(); // Refresh transactions
-            this.showNotification('המיפוי נמחק', 'info');
+    // Append an audit entry (created/edited/recolored/moved) stamped with the report producer
+    addTransactionHistory(transaction, action, changes = [], source = null) {
+        const userData = this.getUserData();
+        const entry = {
+            at: new Date().toISOString(),
+            by: userData ? { name: userData.name, id: userData.id || '' } : null,
+            action: action,
+            changes: changes
+        };
+        if (source) {
+            entry.source = source;
         }
+        transaction.history = [...(transaction.history || []), entry];
     }
 
-    updateMappingTable() {
-        const tbody = document.getElementById('mappingBody');
-        tbody.innerHTML = '';
+    // Describe a value from the audit trail for display
+    formatHistoryValue(field, value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (field === 'amount') return this.formatCurrency(value);
+        if (field === 'month') return this.getMonthName(value);
+        if (field === 'date') return this.formatDate(value);
+        if (field === 'type') return this.getTypeLabel(value);
+        if (field === 'paymentMethod') return value === 'check' ? 'צ\'יק' : 'מזומן/העברה';
+        if (field === 'checkDetails') return `צ'יק ${value.checkNumber || ''} ${value.payeeName || ''}${value.dueDate ? ` לפירעון ${this.formatDate(value.dueDate)}` : ''}`.trim();
+        if (field === 'accountId' || field === 'toAccountId') return this.getAccountName(value);
+        if (field === 'color') return this.getColorName(value);
+        if (field === 'loanId') return value === 'none' ? 'ללא הלוואה' : (this.loans.find(l => l.id === value) || { name: value }).name;
+        if (field === 'maturityDate') return this.formatDate(value);
+        if (field === 'clearedAccounts') return value.map(id => this.getAccountName(id)).join(', ');
+        if (field === 'depositId') return (this.transactions.find(t => t.id === value) || { item: value }).item;
+        if (field === 'goalId') return value === 'none' ? 'ללא יעד' : (this.savingsGoals.find(g => g.id === value) || { name: value }).name;
+        if (field === 'attachments') return value.length > 0 ? value.map(a => a.name).join(', ') : '—';
+        if (field === 'tags') return value.length > 0 ? value.join(', ') : '—';
+        if (field === 'splits') return value.map(split => `${split.category}: ${this.formatCurrency(split.amount)}`).join(', ');
+        return value;
+    }
 
-        // Convert mappings to array and sort by item name
-        const sortedMappings = Array.from(this.mappings.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+    // Show the change history of a transaction
+    showTransactionHistory(id) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (!transaction) return;
 
-        sortedMappings.forEach(([item, mapping]) => {
-            const row = document.createElement('tr');
+        const actionLabels = {
+            created: '➕ נוצרה',
+            edited: '✏️ נערכה',
+            recolored: '🎨 צבע שונה',
+            moved: '📅 הועברה'
+        };
+        const fieldLabels = this.getTrackedTransactionFields();
+        const entries = [...(transaction.history || [])].reverse(); // Newest first
+
+        const entriesHTML = entries.length === 0
+            ? '<p style="color: #666;">אין היסטוריה לעסקה זו (נוצרה לפני הפעלת מעקב השינויים)</p>'
+            : entries.map(entry => `
+                <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
+                    <div style="display: flex; justify-content: space-between; gap: 10px; margin-bottom: 5px;">
+                        <strong>${actionLabels[entry.action] || entry.action}${entry.source === 'import' ? ' (ייבוא)' : entry.source === 'recurring' ? ' (עסקה קבועה)' : ''}</strong>
+                        <span style="color: #666; font-size: 0.9rem;">${new Date(entry.at).toLocaleString('he-IL')}</span>
+                    </div>
+                    <div style="color: #555; font-size: 0.9rem; margin-bottom: 5px;">👤 ${entry.by ? entry.by.name : 'לא צוין'}</div>
+                    ${entry.changes.map(change => `
+                        <div style="font-size: 0.9rem;">
+                            ${fieldLabels[change.field] || change.field}:
+                            <span style="color: #c62828; text-decoration: line-through;">${this.formatHistoryValue(change.field, change.from)}</span>
+                            ← <span style="color: #2e7d32;">${this.formatHistoryValue(change.field, change.to)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('');
 
-            // Count how many transactions use this item
-            const usageCount = this.countTransactionsUsingItem(item);
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 550px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px; text-align: center;">📜 היסטוריית שינויים - ${transaction.item}</h3>
+                <div style="max-height: 400px; overflow-y: auto; margin-bottom: 20px;">
+                    ${entriesHTML}
+                </div>
+                <div style="display: flex; justify-content: center;">
+                    <button id="closeHistoryBtn" class="btn btn-secondary">סגור</button>
+                </div>
+            </div>
+        `;
 
-            // Create usage indicator
-            let usageIndicator = '';
-            if (usageCount > 0) {
-                usageIndicator = `<span class="usage-badge" title="${usageCount} עסקאות משתמשות בפריט זה">📊 ${usageCount}</span>`;
-            } else {
-                usageIndicator = `<span class="no-usage-badge" title="אין עסקאות משתמשות בפריט זה">⚪ 0</span>`;
-            }
+        document.body.appendChild(modal);
 
-            // Create monthly expenses indicator
-            const monthlyExpensesIndicator = mapping.includeInMonthlyExpenses
-                ? '<span class="monthly-expense-badge yes" title="נכלל בטבלת הוצאות החודש">✅</span>'
-                : '<span class="monthly-expense-badge no" title="לא נכלל בטבלת הוצאות החודש">❌</span>';
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
 
-            row.innerHTML = `
-                <td>${item}</td>
-                <td><span class="category-badge">${mapping.category}</span></td>
-                <td class="usage-cell">${usageIndicator}</td>
-                <td class="monthly-expense-cell">${monthlyExpensesIndicator}</td>
-                <td class="action-buttons">
-                    <button onclick="budgetSystem.editMapping('${item}', '${mapping.category}', ${mapping.includeInMonthlyExpenses})" class="btn btn-secondary btn-small" title="ערוך">✏️</button>
-                    <button onclick="budgetSystem.deleteMapping('${item}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
-                </td>
-            `;
-            tbody.appendChild(row);
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
         });
     }
-
-    // Monthly view
-    updateMonthlyView() {
-        const selectedMonth = parseInt(document.getElementById('monthSelect').value);
-        this.updateBalanceSummary(selectedMonth);
-        this.updateCategorySummary(selectedMonth);
-        this.updateActualExpensesSummary(selectedMonth);
-        this.updateMonthlyTransactions(selectedMonth);
-        this.updateCheckPaymentsSummary(selectedMonth);
-        this.updateImportedCheckItemsMonthly(selectedMonth);
+    
+    // Get selected colors from checkboxes
+    getSelectedColors() {
+        const checkboxes = document.querySelectorAll('.color-check');
+        const selected = [];
+        checkboxes.forEach(cb => {
+            if (cb.checked) {
+                selected.push(cb.value);
+            }
+        });
+        return selected; // Return only selected colors, empty array if none
     }
-
-    // Update balance summary table
-    updateBalanceSummary(month) {
-        const container = document.getElementById('balanceSummary');
-        // Filter transactions - handle both old data (without year) and new data (with year)
-        const monthlyTransactions = this.transactions.filter(t => {
-            const transactionYear = t.year || this.currentYear; // Use current year if no year specified
-            return t.month === month && transactionYear === this.currentYear;
+    
+    // Save selected colors to localStorage
+    saveSelectedColors() {
+        const selected = this.getSelectedColors();
+        localStorage.setItem(this.profiles.getStorageKey('selectedColors'), JSON.stringify(selected));
+    }
+    
+    // Load selected colors from localStorage
+    loadSelectedColors() {
+        const saved = localStorage.getItem(this.profiles.getStorageKey('selectedColors'));
+        if (saved) {
+            try {
+                const selected = JSON.parse(saved);
+                document.querySelectorAll('.color-check').forEach(cb => {
+                    cb.checked = selected.includes(cb.value);
+                });
+            } catch (e) {
+                console.error('Error loading selected colors:', e);
+            }
+        }
+    }
+    
+    // Reset all color selections to the palette defaults
+    resetColorSelections() {
+        document.querySelectorAll('.color-check').forEach(cb => {
+            const color = this.getColor(cb.value);
+            cb.checked = !!(color && color.inSummary);
         });
+        this.saveSelectedColors();
+    }
+    
+    // Update color summary
+    updateColorSummary(transactions) {
+        const summaryDiv = document.getElementById('colorSummary');
+        const summaryContent = document.getElementById('colorSummaryContent');
         
-        console.log(`Found ${monthlyTransactions.length} transactions for month ${month}, year ${this.currentYear}`);
-        
-        // Calculate totals
-        const income = monthlyTransactions
-            .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + t.amount, 0);
+        if (!summaryDiv || !summaryContent) return;
         
-        const expenses = monthlyTransactions
-            .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+        // Get selected colors from checkboxes
+        const selectedColors = this.getSelectedColors();
         
-        const transfers = monthlyTransactions
-            .filter(t => t.type === 'transfer')
-            .reduce((sum, t) => sum + t.amount, 0);
+        // Calculate totals and counts by color
+        const colorTotals = {};
+        const colorCounts = {};
+        this.colors.forEach(c => {
+            colorTotals[c.id] = 0;
+            colorCounts[c.id] = 0;
+        });
         
-        // Get opening balance for this month, auto-set from previous month if not manually set
-        const key = `${this.currentYear}-${month}`;
-        let openingBalance = this.openingBalances.get(key);
-        if ((openingBalance === undefined || !this.manualOpeningBalances.has(key)) && month !== 1) {
-            // Auto-set from previous month (unless manually overridden)
-            const prevMonth = month === 1 ? 12 : month - 1;
-            const prevYear = month === 1 ? this.currentYear - 1 : this.currentYear;
-            const autoBalance = this.calculateClosingBalance(prevMonth, prevYear);
-            if (autoBalance !== 0) {
-                openingBalance = autoBalance;
-                this.openingBalances.set(key, autoBalance);
-                // Don't add to manualOpeningBalances - this is automatic
-                this.saveData();
-            } else {
-                openingBalance = 0;
+        const selectedAccountId = this.getSelectedAccountId();
+        transactions.forEach(t => {
+            if (t.color && colorTotals[t.color] !== undefined) {
+                colorTotals[t.color] += t.type === 'transfer' ? this.getTransferAmount(t, selectedAccountId) : t.amount;
+                colorCounts[t.color]++;
             }
-        } else if (openingBalance === undefined) {
-            openingBalance = 0;
+        });
+        
+        // Always show the summary div (so checkboxes are visible)
+        summaryDiv.style.display = 'block';
+        
+        // Get selected month for later use
+        const selectedMonth = document.getElementById('dataEntryMonthSelect')?.value;
+        const hasSelectedMonth = selectedMonth && selectedMonth !== 'all';
+        
+        // If no colors are selected, show empty content
+        if (selectedColors.length === 0) {
+            summaryContent.innerHTML = '<p style="color: #999; font-style: italic;">בחר צבעים כדי לראות סיכום</p>';
+            return;
         }
         
-        // Calculate closing balance with transfers
-        const netChange = income - expenses + transfers;
-        const closingBalance = openingBalance + netChange;
+        // Show all selected colors, even if they have 0 transactions
+        let htmlContent = selectedColors.map(color => {
+            const total = colorTotals[color] || 0;
+            const count = colorCounts[color] || 0;
+            
+            return `
+                <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: white; border-radius: 5px; border-right: 4px solid ${this.getColorCode(color)};">
+                    <span style="font-weight: 500;">${this.getColorName(color)} (${count}):</span>
+                    <span style="font-size: 1.1rem; font-weight: 600; color: ${total >= 0 ? '#4caf50' : '#f44336'};">
+                        ${this.formatCurrency(total)}
+                    </span>
+                </div>
+            `;
+        }).join('');
         
-        // Get monthly notes
-        const monthlyNotes = this.getMonthlyNotes(month) || '';
+        // Add total summary of selected colors only
+        const totalSelectedColors = Object.entries(colorTotals)
+            .filter(([color, _]) => selectedColors.includes(color))
+            .reduce((sum, [_, val]) => sum + val, 0);
+        const totalSelectedCount = Object.entries(colorCounts)
+            .filter(([color, _]) => selectedColors.includes(color))
+            .reduce((sum, [_, val]) => sum + val, 0);
         
-        container.innerHTML = `
-            <div class="balance-row opening">
-                <span class="balance-label">
-                    <button class="settings-btn" onclick="budgetSystem.showOpeningBalanceModal(${month})" title="ערוך יתרת פתיחה">⚙️</button>
-                    יתרת עו"ש תחילת חודש:
-                </span>
-                <span class="balance-amount opening">${this.formatCurrency(openingBalance)}</span>
-            </div>
-            <div class="balance-row">
-                <span class="balance-label">סיכום הכנסות:</span>
-                <span class="balance-amount positive">${this.formatCurrency(income)}</span>
-            </div>
-            <div class="balance-row">
-                <span class="balance-label">סיכום הוצאות:</span>
-                <span class="balance-amount negative">${this.formatCurrency(expenses)}</span>
+        // Always show total if colors are selected
+        if (selectedColors.length > 0) {
+            htmlContent += `
+                <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: #e3f2fd; border-radius: 5px; border-right: 4px solid #1976d2; margin-top: 8px; font-weight: 600;">
+                    <span style="font-weight: 600;">סה"כ צבעים נבחרים (${totalSelectedCount}):</span>
+                    <span style="font-size: 1.1rem; font-weight: 700; color: ${totalSelectedColors >= 0 ? '#2e7d32' : '#c62828'};">
+                        ${this.formatCurrency(totalSelectedColors)}
+                    </span>
+                </div>
+            `;
+        }
+        
+        // Add closing balance if a specific month is selected
+        if (hasSelectedMonth) {
+            const monthNumber = parseInt(selectedMonth);
+            const monthName = this.getMonthName(monthNumber);
+            
+            // Calculate previous month's closing balance
+            const prevMonth = monthNumber === 1 ? 12 : monthNumber - 1;
+            const prevYear = monthNumber === 1 ? this.currentYear - 1 : this.currentYear;
+            const accountId = this.getSelectedAccountId();
+            const prevClosingBalance = accountId
+                ? this.calculateClosingBalance(prevMonth, prevYear, accountId)
+                : this.calculateCombinedClosingBalance(prevMonth, prevYear);
+            
+            // Add colored items total to previous month's closing balance
+            const balanceByColors = prevClosingBalance + totalSelectedColors;
+            
+            htmlContent += `
+                <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background: #e3f2fd; border-radius: 5px; border-right: 4px solid #1976d2; margin-top: 8px; font-weight: 600;">
+                    <span style="font-weight: 600;">יתרת ${accountId ? this.getAccountName(accountId) : 'כל החשבונות'} לחודש ${monthName} לפי סימון צבעים:</span>
+                    <span style="font-size: 1.1rem; font-weight: 700; color: ${balanceByColors >= 0 ? '#1976d2' : '#f44336'};">
+                        ${this.formatCurrency(balanceByColors)}
+                    </span>
+                </div>
+            `;
+        }
+        
+        summaryContent.innerHTML = htmlContent;
+    }
+
+    // Update imported check items summary
+    updateImportedCheckItemsSummary() {
+        const container = document.getElementById('importedCheckItemsList');
+        const summaryCard = document.getElementById('importedCheckItemsSummary');
+
+        if (!container || !summaryCard) return;
+
+        // Get selected month filter from data entry tab
+        const selectedMonth = document.getElementById('dataEntryMonthSelect')?.value;
+
+        // Filter check items by current year and selected month
+        let filteredCheckItems = this.importedCheckItems.filter(item => {
+            const itemYear = item.year || this.currentYear;
+            if (itemYear !== this.currentYear) return false;
+
+            // Filter by month if specific month is selected
+            if (selectedMonth && selectedMonth !== 'all') {
+                return item.month === parseInt(selectedMonth);
+            }
+            return true;
+        });
+
+        if (filteredCheckItems.length === 0) {
+            summaryCard.style.display = 'none';
+            return;
+        }
+
+        summaryCard.style.display = 'block';
+
+        // Update the title with month name
+        const titleElement = summaryCard.querySelector('h3');
+        if (titleElement && selectedMonth && selectedMonth !== 'all') {
+            const monthName = this.getMonthName(parseInt(selectedMonth));
+            titleElement.textContent = `🏦 פרטי צ׳יק הוצאות חודש ${monthName}`;
+        } else {
+            titleElement.textContent = '🏦 פרטי צ׳יק הוצאות';
+        }
+
+        container.innerHTML = '';
+
+        filteredCheckItems.forEach(checkItem => {
+            const checkNum = checkItem.checkNumber || '(לא הוזן)';
+            const payee = checkItem.payeeName || '(לא הוזן)';
+
+            const item = document.createElement('div');
+            item.className = 'imported-check-item';
+            item.innerHTML = `
+                <div class="check-payment-details">
+                    <div class="check-payment-number">צ'יק מספר: ${checkNum}</div>
+                    <div class="check-payment-payee">מוטב: ${payee}</div>
+                    <div style="margin-top: 5px;">
+                        <strong>עבור:</strong> ${checkItem.item}
+                        ${checkItem.note ? `<div class="check-payment-note">הערה: ${checkItem.note}</div>` : ''}
+                    </div>
+                    <div style="font-size: 0.85rem; color: #666; margin-top: 5px;">
+                        ${this.getMonthName(checkItem.month)} ${checkItem.year}
+                    </div>
+                </div>
+                <div class="check-payment-amount" style="padding-left: 20px;">${this.formatCurrency(checkItem.amount)}${this.getOriginalAmountTag(checkItem)}</div>
+                <div style="display: flex; gap: 5px; align-items: center;">
+                    <button onclick="budgetSystem.showAttachments('checkItem', ${checkItem.id})"
+                            title="קבצים מצורפים"
+                            style="padding: 5px 10px; background: #607d8b; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.9rem;">
+                        📎${checkItem.attachments && checkItem.attachments.length > 0 ? checkItem.attachments.length : ''}
+                    </button>
+                    <button onclick="budgetSystem.editImportedCheckItem(${checkItem.id})" 
+                            class="btn-edit" 
+                            title="ערוך פרטי צ'יק"
+                            style="padding: 5px 10px; background: #2196f3; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.9rem;">
+                        ✏️
+                    </button>
+                    <button onclick="budgetSystem.deleteImportedCheckItem(${checkItem.id})" 
+                            class="btn-delete" 
+                            title="מחק פריט שיק"
+                            style="padding: 5px 10px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.9rem;">
+                        🗑️
+                    </button>
+                </div>
+            `;
+            container.appendChild(item);
+        });
+
+        // Add total if more than one check item
+        if (filteredCheckItems.length > 1) {
+            const totalAmount = filteredCheckItems.reduce((sum, item) => sum + Math.abs(item.amount), 0);
+            const totalItem = document.createElement('div');
+            totalItem.style.cssText = `
+                background: #f5f5f5;
+                border: 2px solid #666;
+                border-radius: 8px;
+                padding: 10px 15px;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-weight: 600;
+                margin-top: 10px;
+            `;
+            totalItem.innerHTML = `
+                <span>סה"כ פריטי שיק (${filteredCheckItems.length} פריטים):</span>
+                <span style="color: #d32f2f; font-size: 1.1rem;">${this.formatCurrency(totalAmount)}</span>
+            `;
+            container.appendChild(totalItem);
+        }
+    }
+
+    // Delete imported check item
+    deleteImportedCheckItem(itemId) {
+        const checkItem = this.importedCheckItems.find(item => item.id === itemId);
+        if (checkItem && !this.ensureYearUnlocked(checkItem.year || this.currentYear)) {
+            return;
+        }
+        if (!confirm('האם להעביר את פריט השיק הזה לסל המחזור?')) {
+            return;
+        }
+
+        const index = this.importedCheckItems.findIndex(item => item.id === itemId);
+        if (index !== -1) {
+            const [removed] = this.importedCheckItems.splice(index, 1);
+            this.moveToTrash('checkItem', removed);
+            this.saveData(`מחיקת פריט שיק "${removed.item}"`);
+            this.updateImportedCheckItemsSummary();
+            this.updateTrashTable();
+            this.showNotification('פריט השיק הועבר לסל המחזור', 'success');
+        }
+    }
+
+    // Edit imported check item
+    editImportedCheckItem(itemId) {
+        const checkItem = this.importedCheckItems.find(item => item.id === itemId);
+        if (!checkItem || !this.ensureYearUnlocked(checkItem.year || this.currentYear)) return;
+
+        // Create modal for editing
+        const modal = document.createElement('div');
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.5);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 10000;
+        `;
+
+        const form = document.createElement('div');
+        form.style.cssText = `
+            background: white;
+            padding: 30px;
+            border-radius: 12px;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+            max-width: 500px;
+            width: 90%;
+        `;
+
+        form.innerHTML = `
+            <h3 style="margin: 0 0 20px 0; color: #1f4e79; text-align: right;">✏️ עריכת פרטי צ'יק</h3>
+            
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">מספר צ'יק:</label>
+                <input type="text" id="editCheckNumber" value="${checkItem.checkNumber || ''}" 
+                       placeholder="הזן מספר צ'יק"
+                       style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem;">
             </div>
-            ${transfers !== 0 ? `
-            <div class="balance-row">
-                <span class="balance-label">העברות:</span>
-                <span class="balance-amount ${transfers >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(transfers)}</span>
-            </div>` : ''}
-            <div class="balance-row net-change">
-                <span class="balance-label">שינוי נטו בחודש:</span>
-                <span class="balance-amount ${netChange >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(netChange)}</span>
+
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">שם המוטב:</label>
+                <input type="text" id="editPayeeName" value="${checkItem.payeeName || ''}" 
+                       placeholder="הזן שם מוטב" list="payeeSuggestions" autocomplete="off"
+                       style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem;">
             </div>
-            <div class="balance-row closing">
-                <span class="balance-label">יתרת עו"ש סוף חודש:</span>
-                <span class="balance-amount closing">${this.formatCurrency(closingBalance)}</span>
+
+            <div style="margin-bottom: 15px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">עבור:</label>
+                <input type="text" id="editItemName" value="${checkItem.item}" 
+                       placeholder="עבור מה הצ'יק"
+                       style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem;">
+            </div>
+
+            <div style="margin-bottom: 20px;">
+                <label style="display: block; margin-bottom: 5px; font-weight: 600; text-align: right;">הערה (אופציונלי):</label>
+                <textarea id="editNote" 
+                          placeholder="הוסף הערה"
+                          style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 6px; text-align: right; font-size: 1rem; min-height: 60px;">${checkItem.note || ''}</textarea>
+            </div>
+
+            <div style="display: flex; gap: 10px; justify-content: flex-end;">
+                <button id="cancelEditBtn" 
+                        style="padding: 10px 20px; background: #999; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 1rem;">
+                    ❌ ביטול
+                </button>
+                <button id="saveEditBtn" 
+                        style="padding: 10px 20px; background: #4caf50; color: white; border: none; border-radius: 6px; cursor: pointer; font-size: 1rem;">
+                    💾 שמור
+                </button>
+            </div>
+        `;
+
+        modal.appendChild(form);
+        document.body.appendChild(modal);
+
+        // Cancel button
+        document.getElementById('cancelEditBtn').onclick = () => {
+            document.body.removeChild(modal);
+        };
+
+        // Save button
+        document.getElementById('saveEditBtn').onclick = () => {
+            const checkNumber = document.getElementById('editCheckNumber').value.trim();
+            const payeeName = document.getElementById('editPayeeName').value.trim();
+            const itemName = document.getElementById('editItemName').value.trim();
+            const note = document.getElementById('editNote').value.trim();
+
+            if (!itemName) {
+                alert('נא למלא את השדה "עבור"');
+                return;
+            }
+            if (checkNumber && !this.confirmCheckNumber(checkNumber, checkItem.checkNumber)) {
+                return;
+            }
+            this.rememberPayee(payeeName);
+
+            // Update the check item
+            checkItem.checkNumber = checkNumber;
+            checkItem.payeeName = payeeName;
+            checkItem.item = itemName;
+            checkItem.note = note;
+
+            this.saveData(`עריכת פריט שיק "${itemName}"`);
+            this.updateImportedCheckItemsSummary();
+            document.body.removeChild(modal);
+            this.showNotification('פרטי הצ\'יק עודכנו בהצלחה', 'success');
+        };
+
+        // Close on background click
+        modal.onclick = (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        };
+    }
+
+    // Mapping management
+    showMappingForm(editData = null) {
+        document.getElementById('mappingForm').style.display = 'block';
+
+        if (editData) {
+            // Fill form with existing data for editing
+            document.getElementById('mappingItem').value = editData.item;
+            document.getElementById('mappingItem').readOnly = true; // Can't change item name, only category
+            document.getElementById('mappingCategory').value = editData.category;
+            document.getElementById('includeInMonthlyExpenses').checked = editData.includeInMonthlyExpenses !== false;
+
+            // Change form title and button text
+            document.querySelector('#mappingForm h3').textContent = 'עריכת מיפוי';
+            document.querySelector('#newMappingForm button[type="submit"]').innerHTML = '💾 עדכן';
+
+            // Store the original item for updating
+            document.getElementById('newMappingForm').dataset.editItem = editData.item;
+        } else {
+            // New mapping mode
+            document.getElementById('mappingItem').readOnly = false;
+            document.querySelector('#mappingForm h3').textContent = 'מיפוי חדש';
+            document.querySelector('#newMappingForm button[type="submit"]').innerHTML = '💾 שמור';
+            delete document.getElementById('newMappingForm').dataset.editItem;
+        }
+
+        document.getElementById('mappingItem').focus();
+    }
+
+    hideMappingForm() {
+        document.getElementById('mappingForm').style.display = 'none';
+        document.getElementById('newMappingForm').reset();
+        document.getElementById('mappingItem').readOnly = false;
+
+        // Reset form to "new mapping" mode
+        document.querySelector('#mappingForm h3').textContent = 'מיפוי חדש';
+        document.querySelector('#newMappingForm button[type="submit"]').innerHTML = '💾 שמור';
+        delete document.getElementById('newMappingForm').dataset.editItem;
+    }
+
+    addMapping() {
+        const form = document.getElementById('newMappingForm');
+        const isEditing = !!form.dataset.editItem;
+
+        const item = document.getElementById('mappingItem').value.trim();
+        const category = document.getElementById('mappingCategory').value;
+        const includeInMonthlyExpenses = document.getElementById('includeInMonthlyExpenses').checked;
+
+        if (!item || !category) {
+            alert('אנא מלא את כל השדות');
+            return;
+        }
+
+        if (isEditing) {
+            // Update existing mapping
+            const oldItem = form.dataset.editItem;
+
+            // If item name hasn't changed (it shouldn't since it's readonly), just update category and flag
+            this.mappings.set(oldItem, {
+                category: category,
+                includeInMonthlyExpenses: includeInMonthlyExpenses
+            });
+
+            this.saveData(`עריכת מיפוי "${oldItem}"`);
+            this.updateMappingTable();
+            this.updateTransactionsTable(); // Refresh transactions to show updated categories
+            this.hideMappingForm();
+            this.showNotification(`המיפוי עודכן בהצלחה: "${item}" → "${category}"`, 'success');
+        } else {
+            // Add new mapping
+            if (this.mappings.has(item)) {
+                if (!confirm(`המיפוי "${item}" כבר קיים. האם לעדכן אותו?`)) {
+                    return;
+                }
+            }
+
+            this.mappings.set(item, {
+                category: category,
+                includeInMonthlyExpenses: includeInMonthlyExpenses
+            });
+            this.saveData(`הוספת מיפוי "${item}"`);
+            this.updateMappingTable();
+            this.updateTransactionsTable(); // Refresh transactions to show updated categories
+            this.hideMappingForm();
+            this.showNotification(`המיפוי נוסף בהצלחה: "${item}" → "${category}"`, 'success');
+        }
+    }
+
+    editMapping(item, category, includeInMonthlyExpenses) {
+        this.showMappingForm({ item, category, includeInMonthlyExpenses });
+    }
+
+    // Count how many transactions use a specific item
+    countTransactionsUsingItem(item) {
+        return this.transactions.filter(t => t.item === item).length;
+    }
+
+    deleteMapping(item) {
+        // Check if item is being used in transactions
+        const usageCount = this.countTransactionsUsingItem(item);
+
+        if (usageCount > 0) {
+            alert(`❌ לא ניתן למחוק את המיפוי "${item}"\n\nהפריט בשימוש ב-${usageCount} עסקאות.\nמחק תחילה את כל העסקאות המשתמשות בפריט זה.`);
+            return;
+        }
+
+        if (confirm(`האם להעביר את המיפוי של "${item}" לסל המחזור?`)) {
+            this.moveToTrash('mapping', { item: item, ...this.mappings.get(item) });
+            this.mappings.delete(item);
+            this.saveData(`מחיקת מיפוי "${item}"`);
+            this.updateMappingTable();
+            this.updateTrashTable();
+            this.updateTransactionsTable(); // Refresh transactions
+            this.showNotification('המיפוי הועבר לסל המחזור', 'info');
+        }
+    }
+
+    updateMappingTable() {
+        const tbody = document.getElementById('mappingBody');
+        tbody.innerHTML = '';
+
+        // Convert mappings to array and sort by item name
+        const sortedMappings = Array.from(this.mappings.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+
+        sortedMappings.forEach(([item, mapping]) => {
+            const row = document.createElement('tr');
+
+            // Count how many transactions use this item
+            const usageCount = this.countTransactionsUsingItem(item);
+
+            // Create usage indicator
+            let usageIndicator = '';
+            if (usageCount > 0) {
+                usageIndicator = `<span class="usage-badge" title="${usageCount} עסקאות משתמשות בפריט זה">📊 ${usageCount}</span>`;
+            } else {
+                usageIndicator = `<span class="no-usage-badge" title="אין עסקאות משתמשות בפריט זה">⚪ 0</span>`;
+            }
+
+            // Create monthly expenses indicator
+            const monthlyExpensesIndicator = mapping.includeInMonthlyExpenses
+                ? '<span class="monthly-expense-badge yes" title="נכלל בטבלת הוצאות החודש">✅</span>'
+                : '<span class="monthly-expense-badge no" title="לא נכלל בטבלת הוצאות החודש">❌</span>';
+
+            row.innerHTML = `
+                <td>${item}</td>
+                <td><span class="category-badge">${mapping.category}</span></td>
+                <td class="usage-cell">${usageIndicator}</td>
+                <td class="monthly-expense-cell">${monthlyExpensesIndicator}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.editMapping('${item}', '${mapping.category}', ${mapping.includeInMonthlyExpenses})" class="btn btn-secondary btn-small" title="ערוך">✏️</button>
+                    <button onclick="budgetSystem.deleteMapping('${item}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Trash bin
+    // Keep a deleted record so it can be restored until the retention period ends
+    moveToTrash(kind, record) {
+        const userData = this.getUserData();
+        this.trash.push({
+            id: Date.now() + Math.random(),
+            kind: kind,
+            record: record,
+            deletedAt: new Date().toISOString(),
+            deletedBy: userData ? userData.name : null
+        });
+    }
+
+    // Remove trash entries older than the retention period. Returns how many were removed.
+    purgeExpiredTrash() {
+        const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const before = this.trash.length;
+        this.trash = this.trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+        const removed = before - this.trash.length;
+        if (removed > 0) {
+            console.log(`🗑️ Purged ${removed} expired trash entries (older than ${this.trashRetentionDays} days)`);
+        }
+        return removed;
+    }
+
+    // Put a trashed record back where it came from
+    restoreFromTrash(entryId) {
+        const entry = this.trash.find(e => e.id === entryId);
+        if (!entry) return;
+
+        if (entry.kind !== 'mapping' && !this.ensureYearUnlocked(entry.record.year || this.currentYear)) {
+            return;
+        }
+
+        const label = this.getTrashEntryLabel(entry);
+        if (entry.kind === 'transaction') {
+            if (this.transactions.some(t => t.id === entry.record.id)) {
+                alert('העסקה כבר קיימת ברשימת העסקאות');
+                return;
+            }
+            if (!this.getAccount(this.getAccountId(entry.record))) {
+                // Its account was deleted meanwhile
+                entry.record.accountId = this.defaultAccountId;
+            }
+            if (entry.record.toAccountId && !this.getAccount(entry.record.toAccountId)) {
+                entry.record.toAccountId = this.defaultAccountId;
+            }
+            this.transactions.push(entry.record);
+            this.syncCheckRegister(entry.record);
+            this.setRecurringInstanceSkipped(entry.record, false);
+        } else if (entry.kind === 'checkItem') {
+            if (this.importedCheckItems.some(item => item.id === entry.record.id)) {
+                alert('פריט השיק כבר קיים');
+                return;
+            }
+            this.importedCheckItems.push(entry.record);
+        } else if (entry.kind === 'mapping') {
+            const { item, ...mapping } = entry.record;
+            if (this.mappings.has(item) && !confirm(`המיפוי "${item}" כבר קיים. האם להחליף אותו בגרסה מסל המחזור?`)) {
+                return;
+            }
+            this.mappings.set(item, mapping);
+        }
+
+        this.trash = this.trash.filter(e => e.id !== entryId);
+        this.saveData(`שחזור מסל המחזור: ${label}`);
+        this.updateDisplay();
+        this.updateImportedCheckItemsSummary();
+        this.showNotification(`♻️ ${label} שוחזר`, 'success');
+    }
+
+    // Permanently delete one trash entry
+    purgeTrashEntry(entryId) {
+        const entry = this.trash.find(e => e.id === entryId);
+        if (!entry) return;
+
+        const label = this.getTrashEntryLabel(entry);
+        if (!confirm(`למחוק לצמיתות את ${label}?`)) {
+            return;
+        }
+
+        this.trash = this.trash.filter(e => e.id !== entryId);
+        this.saveData(`מחיקה לצמיתות: ${label}`);
+        this.updateTrashTable();
+        this.showNotification('הפריט נמחק לצמיתות', 'info');
+    }
+
+    // Permanently delete everything in the trash
+    emptyTrash() {
+        if (this.trash.length === 0) {
+            this.showNotification('סל המחזור ריק', 'info');
+            return;
+        }
+        if (!confirm(`למחוק לצמיתות ${this.trash.length} פריטים מסל המחזור?`)) {
+            return;
+        }
+
+        const count = this.trash.length;
+        this.trash = [];
+        this.saveData(`ריקון סל המחזור (${count} פריטים)`);
+        this.updateTrashTable();
+        this.showNotification('סל המחזור רוקן', 'info');
+    }
+
+    // Update how many days deleted records are kept
+    setTrashRetentionDays(days) {
+        const value = parseInt(days);
+        if (!value || value < 1 || value > 365) {
+            this.showNotification('תקופת השמירה חייבת להיות בין 1 ל-365 ימים', 'error');
+            document.getElementById('trashRetentionDays').value = this.trashRetentionDays;
+            return;
+        }
+
+        this.trashRetentionDays = value;
+        this.purgeExpiredTrash();
+        this.saveData(`תקופת שמירה בסל המחזור: ${value} ימים`);
+        this.updateTrashTable();
+        this.showNotification(`פריטים יישמרו בסל המחזור ${value} ימים`, 'success');
+    }
+
+    // Short Hebrew description of a trash entry
+    getTrashEntryLabel(entry) {
+        if (entry.kind === 'transaction') return `עסקה "${entry.record.item}"`;
+        if (entry.kind === 'checkItem') return `פריט שיק "${entry.record.item}"`;
+        if (entry.kind === 'mapping') return `מיפוי "${entry.record.item}"`;
+        return entry.kind;
+    }
+
+    // Render the trash table in settings
+    updateTrashTable() {
+        const tbody = document.getElementById('trashBody');
+        if (!tbody) return;
+        tbody.innerHTML = '';
+
+        document.getElementById('trashRetentionDays').value = this.trashRetentionDays;
+
+        if (this.trash.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #666;">סל המחזור ריק</td></tr>';
+            return;
+        }
+
+        const kindLabels = { transaction: 'עסקה', checkItem: 'פריט שיק', mapping: 'מיפוי' };
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        // Most recently deleted first
+        [...this.trash].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)).forEach(entry => {
+            const record = entry.record;
+            let details = record.item;
+            if (entry.kind === 'mapping') {
+                details += ` → ${record.category}`;
+            } else {
+                details += ` | ${this.getMonthName(record.month)} ${record.year || ''} | ${this.formatCurrency(record.amount)}`;
+            }
+
+            const daysLeft = Math.max(0, Math.ceil((new Date(entry.deletedAt).getTime() + this.trashRetentionDays * dayMs - Date.now()) / dayMs));
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${kindLabels[entry.kind] || entry.kind}</td>
+                <td>${details}</td>
+                <td>${new Date(entry.deletedAt).toLocaleString('he-IL')}${entry.deletedBy ? `<br><small style="color: #666;">👤 ${entry.deletedBy}</small>` : ''}</td>
+                <td>${daysLeft}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.restoreFromTrash(${entry.id})" class="btn btn-primary btn-small" title="שחזר">♻️</button>
+                    <button onclick="budgetSystem.purgeTrashEntry(${entry.id})" class="btn btn-danger btn-small" title="מחק לצמיתות">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Monthly view
+    updateMonthlyView() {
+        const selectedMonth = parseInt(document.getElementById('monthSelect').value);
+        this.updateBalanceSummary(selectedMonth);
+        this.updateCategorySummary(selectedMonth);
+        this.updateBudgetComparison(selectedMonth, 'monthlyBudgetCard', 'monthlyBudgetSummary');
+        this.updateActualExpensesSummary(selectedMonth);
+        this.updateMonthlyTransactions(selectedMonth);
+        this.updateCheckPaymentsSummary(selectedMonth);
+        this.updateImportedCheckItemsMonthly(selectedMonth);
+        this.updateCheckSequenceSummary();
+    }
+
+    // Update balance summary table
+    updateBalanceSummary(month) {
+        const container = document.getElementById('balanceSummary');
+
+        // Opening balance of each account, auto-set from the previous month if not manually set
+        let openingBalancesChanged = false;
+        const accountBalances = this.accounts.map(account => {
+            const { balance, changed } = this.getOpeningBalance(month, account.id);
+            const totals = this.getMonthTotals(month, this.currentYear, account.id);
+            openingBalancesChanged = openingBalancesChanged || changed;
+            return { account, openingBalance: balance, netChange: totals.netChange, closingBalance: balance + totals.netChange };
+        });
+        if (openingBalancesChanged) {
+            // Don't add to manualOpeningBalances - this is automatic (and not an undo step)
+            this.saveData(null);
+        }
+
+        // Totals of all accounts together
+        const { income, expenses, transfers, netChange } = this.getMonthTotals(month);
+        const openingBalance = accountBalances.reduce((sum, b) => sum + b.openingBalance, 0);
+        const closingBalance = openingBalance + netChange;
+        const isMultiAccount = this.accounts.length > 1;
+        const balanceName = isMultiAccount ? 'כל החשבונות' : this.accounts[0].name;
+        
+        // Get monthly notes
+        const monthlyNotes = this.getMonthlyNotes(month) || '';
+        
+        container.innerHTML = `
+            <div class="balance-row opening">
+                <span class="balance-label">
+                    ${!isMultiAccount ? `<button class="settings-btn" onclick="budgetSystem.showOpeningBalanceModal(${month})" title="ערוך יתרת פתיחה">⚙️</button>` : ''}
+                    יתרת ${balanceName} תחילת חודש:
+                </span>
+                <span class="balance-amount opening">${this.formatCurrency(openingBalance)}</span>
+            </div>
+            <div class="balance-row">
+                <span class="balance-label">סיכום הכנסות:</span>
+                <span class="balance-amount positive">${this.formatCurrency(income)}</span>
+            </div>
+            <div class="balance-row">
+                <span class="balance-label">סיכום הוצאות:</span>
+                <span class="balance-amount negative">${this.formatCurrency(expenses)}</span>
+            </div>
+            ${transfers !== 0 ? `
+            <div class="balance-row">
+                <span class="balance-label">העברות:</span>
+                <span class="balance-amount ${transfers >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(transfers)}</span>
+            </div>` : ''}
+            <div class="balance-row net-change">
+                <span class="balance-label">שינוי נטו בחודש:</span>
+                <span class="balance-amount ${netChange >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(netChange)}</span>
+            </div>
+            <div class="balance-row closing">
+                <span class="balance-label">יתרת ${balanceName} סוף חודש:</span>
+                <span class="balance-amount closing">${this.formatCurrency(closingBalance)}</span>
+            </div>
+            ${isMultiAccount ? `
+            <table class="data-table" style="margin-top: 10px; font-size: 0.9rem;">
+                <thead>
+                    <tr>
+                        <th>חשבון</th>
+                        <th>יתרת פתיחה</th>
+                        <th>שינוי נטו</th>
+                        <th>יתרת סגירה</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${accountBalances.map(b => `
+                    <tr>
+                        <td>
+                            <button class="settings-btn" onclick="budgetSystem.showOpeningBalanceModal(${month}, '${b.account.id}')" title="ערוך יתרת פתיחה">⚙️</button>
+                            ${b.account.name}
+                        </td>
+                        <td>${this.formatCurrency(b.openingBalance)}</td>
+                        <td class="amount ${b.netChange >= 0 ? 'income' : 'expense'}">${this.formatCurrency(b.netChange)}</td>
+                        <td><strong>${this.formatCurrency(b.closingBalance)}</strong></td>
+                    </tr>`).join('')}
+                    <tr style="font-weight: 700; background: #f5f5f5;">
+                        <td>סה"כ</td>
+                        <td>${this.formatCurrency(openingBalance)}</td>
+                        <td class="amount ${netChange >= 0 ? 'income' : 'expense'}">${this.formatCurrency(netChange)}</td>
+                        <td>${this.formatCurrency(closingBalance)}</td>
+                    </tr>
+                </tbody>
+            </table>` : ''}
+            <div style="margin-top: 10px; font-size: 0.9rem;">
+                ${this.accounts.map(account => `
+                <div style="display: flex; align-items: center; justify-content: space-between; padding: 4px 0;">
+                    <span>🏦 ${isMultiAccount ? `${account.name}: ` : ''}${this.getReconciliationLabel(month, this.currentYear, account.id)}</span>
+                    <button class="btn btn-secondary btn-small" onclick="budgetSystem.showReconciliationModal(${month}, '${account.id}')">התאמה לדף הבנק</button>
+                </div>`).join('')}
+            </div>
+            <div class="balance-notes">
+                <div class="notes-header">
+                    <span class="notes-label">הערות לחודש:</span>
+                    <button class="settings-btn" onclick="budgetSystem.showMonthlyNotesModal(${month})" title="ערוך הערות">📝</button>
+                </div>
+                <div class="notes-content">
+                    ${monthlyNotes || '<span style="color: #999; font-style: italic;">אין הערות</span>'}
+                </div>
+            </div>
+        `;
+    }
+
+    // Show modal to edit the opening balance of an account
+    showOpeningBalanceModal(month, accountId = this.defaultAccountId) {
+        const monthName = this.getMonthName(month);
+        const accountName = this.getAccountName(accountId);
+        
+        // Get current balance or calculate from previous month
+        const key = this.getBalanceKey(month, this.currentYear, accountId);
+        if (!this.ensureYearUnlocked()) {
+            return;
+        }
+        let currentBalance = this.openingBalances.get(key);
+        // January carries over from December of the previous year when that year has data
+        const carriesOver = month !== 1 || this.hasYearData(this.currentYear - 1);
+        if (currentBalance === undefined && carriesOver) {
+            // Calculate from previous month but don't save yet
+            currentBalance = month === 1
+                ? this.getCarriedClosingBalance(12, this.currentYear - 1, accountId)
+                : this.calculateClosingBalance(month - 1, this.currentYear, accountId);
+        } else if (currentBalance === undefined) {
+            currentBalance = 0;
+        }
+        
+        const showInfo = carriesOver;
+        
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content">
+                <h3 style="color: #1f4e79; margin-bottom: 15px;">יתרת פתיחה - ${monthName}${this.accounts.length > 1 ? ` (${accountName})` : ''}</h3>
+                ${showInfo ? `
+                    <div style="background: #e8f5e8; padding: 15px; border-radius: 8px; margin-bottom: 20px; border: 2px solid #4caf50;">
+                        <p style="margin: 0 0 10px 0; font-weight: 500; color: #2e7d32;">ℹ️ מידע:</p>
+                        <p style="margin: 0; font-size: 0.9rem; color: #333;">
+                            יתרת הפתיחה מחושבת אוטומטית מיתרת הסגירה של ${month === 1 ? `דצמבר ${this.currentYear - 1}` : this.getMonthName(month - 1)}.
+                            תוכל לערוך את הסכום אם נדרש.
+                        </p>
+                    </div>
+                ` : ''}
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">יתרת ${accountName} בתחילת ${monthName}:</label>
+                    <input type="number" id="openingBalanceInput" step="0.01" value="${currentBalance}" 
+                           style="width: 100%; padding: 10px; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem;">
+                </div>
+                <div style="display: flex; gap: 10px; justify-content: center;">
+                    <button id="saveBalanceBtn" class="btn btn-primary">שמור</button>
+                    <button id="cancelBalanceBtn" class="btn btn-secondary">בטל</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        document.getElementById('openingBalanceInput').focus();
+        document.getElementById('openingBalanceInput').select();
+        
+        document.getElementById('saveBalanceBtn').addEventListener('click', () => {
+            const newBalance = parseFloat(document.getElementById('openingBalanceInput').value) || 0;
+            this.openingBalances.set(key, newBalance);
+            this.manualOpeningBalances.add(key); // Mark as manually set
+            this.saveData(`עדכון יתרת פתיחה ל${monthName}${this.accounts.length > 1 ? ` (${accountName})` : ''}`);
+            this.updateBalanceSummary(month);
+            document.body.removeChild(modal);
+            this.showNotification(`יתרת הפתיחה ל${monthName} ${this.currentYear} עודכנה`, 'success');
+        });
+        
+        document.getElementById('cancelBalanceBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+        
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+        
+        // Save on Enter
+        document.getElementById('openingBalanceInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                document.getElementById('saveBalanceBtn').click();
+            }
+        });
+    }
+
+    // Show modal to edit monthly notes
+    showMonthlyNotesModal(month) {
+        if (!this.ensureYearUnlocked()) {
+            return;
+        }
+        const monthName = this.getMonthName(month);
+        const currentNotes = this.getMonthlyNotes(month) || '';
+        
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="width: 500px; max-width: 90vw;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px;">הערות לחודש ${monthName}</h3>
+                <div style="margin-bottom: 20px;">
+                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">הערות והוצאות מיוחדות:</label>
+                    <textarea id="monthlyNotesInput" rows="4" placeholder="לדוגמה: בונוס שנתי, חופשה, תיקונים בבית..."
+                              style="width: 100%; padding: 12px; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem; resize: vertical; font-family: inherit;">${currentNotes}</textarea>
+                </div>
+                <div style="display: flex; gap: 10px; justify-content: center;">
+                    <button id="saveNotesBtn" class="btn btn-primary">שמור</button>
+                    <button id="cancelNotesBtn" class="btn btn-secondary">בטל</button>
+                </div>
+            </div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        document.getElementById('monthlyNotesInput').focus();
+        
+        document.getElementById('saveNotesBtn').addEventListener('click', () => {
+            const newNotes = document.getElementById('monthlyNotesInput').value.trim();
+            this.setMonthlyNotes(month, newNotes);
+            this.saveData(`עדכון הערות ל${this.getMonthName(month)}`);
+            this.updateBalanceSummary(month);
+            document.body.removeChild(modal);
+            this.showNotification(`הערות ל${monthName} ${this.currentYear} עודכנו`, 'success');
+        });
+        
+        document.getElementById('cancelNotesBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+        
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+    }
+
+    // Get monthly notes
+    getMonthlyNotes(month) {
+        if (!this.monthlyNotes) {
+            this.monthlyNotes = new Map();
+        }
+        return this.monthlyNotes.get(`${this.currentYear}-${month}`);
+    }
+
+    // Set monthly notes
+    setMonthlyNotes(month, notes) {
+        if (this.isYearLocked()) return;
+        if (!this.monthlyNotes) {
+            this.monthlyNotes = new Map();
+        }
+        this.monthlyNotes.set(`${this.currentYear}-${month}`, notes);
+    }
+
+    // Income, expenses and transfers in a month - of one account, or of all accounts when accountId is null
+    getMonthTotals(month, year = this.currentYear, accountId = null) {
+        const monthlyTransactions = this.transactions.filter(t => {
+            const transactionYear = t.year || year;
+            return t.month === month && transactionYear === year;
+        });
+        const accountTransactions = accountId
+            ? monthlyTransactions.filter(t => this.getAccountId(t) === accountId)
+            : monthlyTransactions;
+        const income = accountTransactions
+            .filter(t => t.type === 'income')
+            .reduce((sum, t) => sum + t.amount, 0);
+        const expenses = accountTransactions
+            .filter(t => t.type === 'expense')
+            .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+        // Transfers are counted on both sides, so incoming ones are taken from all transactions
+        const transfers = monthlyTransactions
+            .filter(t => t.type === 'transfer')
+            .reduce((sum, t) => sum + this.getTransferAmount(t, accountId), 0);
+
+        return { income, expenses, transfers, netChange: income - expenses + transfers };
+    }
+
+    // What a transfer adds to an account's balance (accountId null = all accounts together).
+    // A transfer between two accounts only moves money inside the ledger, so it adds nothing to the combined balance.
+    getTransferAmount(transaction, accountId = null) {
+        if (!transaction.toAccountId) {
+            // One-sided transfer - signed amount on its own account
+            return !accountId || this.getAccountId(transaction) === accountId ? transaction.amount : 0;
+        }
+        const amount = Math.abs(transaction.amount);
+        if (transaction.toAccountId === accountId) return amount;
+        if (this.getAccountId(transaction) === accountId) return -amount;
+        return 0;
+    }
+
+    // Calculate closing balance of an account for a month
+    calculateClosingBalance(month, year = this.currentYear, accountId = this.defaultAccountId) {
+        const openingBalance = this.openingBalances.get(this.getBalanceKey(month, year, accountId)) || 0;
+        return openingBalance + this.getMonthTotals(month, year, accountId).netChange;
+    }
+
+    // Closing balance of all accounts together
+    calculateCombinedClosingBalance(month, year = this.currentYear) {
+        return this.accounts.reduce((sum, account) => sum + this.calculateClosingBalance(month, year, account.id), 0);
+    }
+
+    // Whether a year has any transactions or opening balances
+    hasYearData(year) {
+        return this.transactions.some(t => (t.year || this.currentYear) === year) ||
+            Array.from(this.openingBalances.keys()).some(key => key.split(':').pop().startsWith(`${year}-`));
+    }
+
+    // Closing balance of an account for a month, following the carry-over back to the last balance set by hand
+    // (or to a year without data) instead of relying on automatic values stored when each month was viewed
+    getCarriedClosingBalance(month, year, accountId = this.defaultAccountId) {
+        const key = this.getBalanceKey(month, year, accountId);
+        let opening;
+        if (this.manualOpeningBalances.has(key)) {
+            opening = this.openingBalances.get(key) || 0;
+        } else if (month > 1) {
+            opening = this.getCarriedClosingBalance(month - 1, year, accountId);
+        } else if (this.hasYearData(year - 1)) {
+            opening = this.getCarriedClosingBalance(12, year - 1, accountId);
+        } else {
+            opening = this.openingBalances.get(key) || 0;
+        }
+        return opening + this.getMonthTotals(month, year, accountId).netChange;
+    }
+
+    // Opening balance of an account for a month of the current year.
+    // Unless set by hand it is carried over from the previous month's closing balance
+    // (for January, December of the previous year when that year has data);
+    // changed is true when that carried-over value was just stored.
+    getOpeningBalance(month, accountId = this.defaultAccountId) {
+        const key = this.getBalanceKey(month, this.currentYear, accountId);
+        const storedBalance = this.openingBalances.get(key);
+        const carriesOver = month !== 1 || this.hasYearData(this.currentYear - 1);
+
+        if ((storedBalance === undefined || !this.manualOpeningBalances.has(key)) && carriesOver) {
+            const autoBalance = month === 1
+                ? this.getCarriedClosingBalance(12, this.currentYear - 1, accountId)
+                : this.calculateClosingBalance(month - 1, this.currentYear, accountId);
+            if (autoBalance === 0) {
+                return { balance: 0, changed: false };
+            }
+            this.openingBalances.set(key, autoBalance);
+            return { balance: autoBalance, changed: storedBalance !== autoBalance };
+        }
+        return { balance: storedBalance || 0, changed: false };
+    }
+
+    getReconciliation(month, year, accountId) {
+        return this.reconciliations.find(r => r.month === month && r.year === year && r.accountId === accountId) || null;
+    }
+
+    // Transactions to tick on an account's statement for a month: those the bank hasn't shown yet up to that month,
+    // and the month's own cleared ones (so a wrong tick can be taken back). Returns [{ transaction, amount, cleared }].
+    // Tracking starts at the account's first reconciliation; anything before it is taken as cleared.
+    getReconciliationTransactions(month, year, accountId) {
+        const toIndex = (m, y) => y * 12 + m - 1;
+        const endIndex = toIndex(month, year);
+        const startIndex = this.reconciliations
+            .filter(r => r.accountId === accountId)
+            .reduce((min, r) => Math.min(min, toIndex(r.month, r.year)), endIndex);
+
+        return this.transactions
+            .filter(t => this.getAccountId(t) === accountId || t.toAccountId === accountId)
+            .map(t => ({
+                transaction: t,
+                amount: t.type === 'transfer' ? this.getTransferAmount(t, accountId) : t.amount,
+                cleared: (t.clearedAccounts || []).includes(accountId)
+            }))
+            .filter(o => {
+                const index = toIndex(o.transaction.month, o.transaction.year || this.currentYear);
+                return o.amount !== 0 && (o.cleared ? index === endIndex : index >= startIndex && index <= endIndex);
+            })
+            .sort((a, b) => (a.transaction.date || '').localeCompare(b.transaction.date || ''));
+    }
+
+    // Statement balance expected from the books: the closing balance without what the bank hasn't cleared yet
+    getReconciliationDifference(statementBalance, bookBalance, outstandingTotal) {
+        return Math.round((statementBalance - (bookBalance - outstandingTotal)) * 100) / 100;
+    }
+
+    // Reconciliation status of an account for the balance summary and the monthly report
+    getReconciliationLabel(month, year, accountId) {
+        const record = this.getReconciliation(month, year, accountId);
+        if (!record) {
+            return '<span style="color: #999;">לא הותאם לדף הבנק</span>';
+        }
+        if (record.reconciled) {
+            const changed = Math.abs(this.calculateClosingBalance(month, year, accountId) - record.bookBalance) >= 0.005;
+            return changed
+                ? '<span style="color: #e65100;">⚠️ הותאם לדף הבנק, אבל העסקאות השתנו מאז</span>'
+                : '<span style="color: #2e7d32;">✅ הותאם לדף הבנק</span>';
+        }
+        return `<span style="color: #c62828;">הפרש מול דף הבנק: ${this.formatCurrency(record.difference)}</span>`;
+    }
+
+    // Reconcile the month's closing balance of an account against the bank statement
+    showReconciliationModal(month, accountId = this.defaultAccountId) {
+        if (!this.ensureYearUnlocked()) {
+            return;
+        }
+        const year = this.currentYear;
+        const bookBalance = this.calculateClosingBalance(month, year, accountId);
+        const rows = this.getReconciliationTransactions(month, year, accountId);
+        const existing = this.getReconciliation(month, year, accountId);
+        const title = `${this.getAccountName(accountId)} - ${this.getMonthName(month)} ${year}`;
+
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 700px;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px; text-align: center;">🏦 התאמה לדף הבנק: ${title}</h3>
+                <div class="balance-row">
+                    <span class="balance-label">יתרת סגירה לפי המערכת:</span>
+                    <span class="balance-amount">${this.formatCurrency(bookBalance)}</span>
+                </div>
+                <div class="balance-row">
+                    <span class="balance-label">עסקאות שטרם נוקו:</span>
+                    <span class="balance-amount" id="reconcileOutstanding"></span>
+                </div>
+                <div class="balance-row">
+                    <span class="balance-label">יתרה צפויה בדף הבנק:</span>
+                    <span class="balance-amount" id="reconcileExpected"></span>
+                </div>
+                <div class="check-form-group" style="margin-top: 10px;">
+                    <label for="reconcileStatementBalance">יתרת סגירה בדף הבנק:</label>
+                    <input type="number" id="reconcileStatementBalance" step="0.01" value="${existing ? existing.statementBalance : ''}">
+                </div>
+                <div class="balance-row closing">
+                    <span class="balance-label">הפרש:</span>
+                    <span class="balance-amount" id="reconcileDifference">—</span>
+                </div>
+                <p style="color: #666; font-size: 0.9rem; margin: 10px 0 5px;">
+                    סמן את העסקאות שמופיעות בדף הבנק. עסקאות שלא סומנו נשארות ברשימה עד שיופיעו בדף של חודש הבא.
+                    עסקאות החודש שכבר נוקו מסומנות, וביטול הסימון מחזיר אותן לרשימה.
+                </p>
+                <div style="max-height: 260px; overflow-y: auto; margin-bottom: 15px;">
+                    ${rows.length === 0 ? '<p style="text-align: center; color: #999;">אין עסקאות לחודש זה</p>' : `
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>נוקה</th>
+                                <th>תאריך</th>
+                                <th>פריט</th>
+                                <th>סכום</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(o => `
+                            <tr>
+                                <td><input type="checkbox" class="reconcile-cleared" data-id="${o.transaction.id}" data-amount="${o.amount}" ${o.cleared ? 'checked' : ''}></td>
+                                <td>${o.transaction.date ? this.formatDate(o.transaction.date) : `${this.getMonthName(o.transaction.month)} ${o.transaction.year || this.currentYear}`}</td>
+                                <td>${o.transaction.item}</td>
+                                <td class="amount ${o.amount >= 0 ? 'income' : 'expense'}">${this.formatCurrency(o.amount)}</td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>`}
+                </div>
+                <div style="display: flex; gap: 10px; justify-content: center;">
+                    <button id="markReconciledBtn" class="btn btn-primary" disabled>✅ סמן כמותאם</button>
+                    <button id="saveReconciliationBtn" class="btn btn-secondary">💾 שמור הפרש</button>
+                    <button id="cancelReconciliationBtn" class="btn btn-secondary">בטל</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const statementInput = document.getElementById('reconcileStatementBalance');
+        const checkboxes = Array.from(modal.querySelectorAll('.reconcile-cleared'));
+        const getOutstandingTotal = () => checkboxes
+            .filter(cb => !cb.checked)
+            .reduce((sum, cb) => sum + parseFloat(cb.dataset.amount), 0);
+        const refresh = () => {
+            const outstandingTotal = getOutstandingTotal();
+            document.getElementById('reconcileOutstanding').textContent = this.formatCurrency(outstandingTotal);
+            document.getElementById('reconcileExpected').textContent = this.formatCurrency(bookBalance - outstandingTotal);
+
+            const differenceEl = document.getElementById('reconcileDifference');
+            const hasStatement = statementInput.value !== '';
+            const difference = hasStatement
+                ? this.getReconciliationDifference(parseFloat(statementInput.value), bookBalance, outstandingTotal)
+                : null;
+            differenceEl.textContent = hasStatement ? this.formatCurrency(difference) : '—';
+            differenceEl.style.color = !hasStatement ? '' : difference === 0 ? '#2e7d32' : '#c62828';
+            document.getElementById('markReconciledBtn').disabled = difference !== 0;
+            document.getElementById('saveReconciliationBtn').disabled = !hasStatement;
+        };
+        statementInput.addEventListener('input', refresh);
+        checkboxes.forEach(cb => cb.addEventListener('change', refresh));
+        refresh();
+
+        const save = (reconciled) => {
+            const statementBalance = parseFloat(statementInput.value);
+            const outstandingTotal = getOutstandingTotal();
+
+            // Ticks that changed: newly cleared rows gain the account, unticked ones lose it
+            checkboxes.forEach(cb => {
+                const transaction = this.transactions.find(t => t.id === parseFloat(cb.dataset.id));
+                const before = transaction && transaction.clearedAccounts || [];
+                if (!transaction || before.includes(accountId) === cb.checked) return;
+                const after = cb.checked ? [...before, accountId] : before.filter(id => id !== accountId);
+                this.addTransactionHistory(transaction, 'edited', [{ field: 'clearedAccounts', from: before.length > 0 ? before : null, to: after.length > 0 ? after : null }]);
+                if (after.length > 0) {
+                    transaction.clearedAccounts = after;
+                } else {
+                    delete transaction.clearedAccounts;
+                }
+            });
+
+            const record = {
+                id: existing ? existing.id : `r${Date.now()}`,
+                accountId,
+                year,
+                month,
+                statementBalance,
+                bookBalance,
+                difference: this.getReconciliationDifference(statementBalance, bookBalance, outstandingTotal),
+                reconciled
+            };
+            if (reconciled) {
+                record.reconciledAt = new Date().toISOString();
+            }
+            this.reconciliations = [...this.reconciliations.filter(r => r !== existing), record];
+
+            document.body.removeChild(modal);
+            this.saveData(reconciled ? `התאמה לדף הבנק: ${title}` : `יתרת דף הבנק: ${title}`);
+            this.updateDisplay();
+            this.showNotification(reconciled
+                ? `✅ ${title} הותאם לדף הבנק`
+                : `💾 נשמר הפרש של ${this.formatCurrency(record.difference)} מול דף הבנק`, reconciled ? 'success' : 'info');
+        };
+
+        document.getElementById('markReconciledBtn').addEventListener('click', () => save(true));
+        document.getElementById('saveReconciliationBtn').addEventListener('click', () => save(false));
+        document.getElementById('cancelReconciliationBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+    }
+
+    updateCategorySummary(month) {
+        const container = document.getElementById('categorySummary');
+        // Filter transactions - handle both old data (without year) and new data (with year)
+        const monthlyTransactions = this.transactions.filter(t => {
+            const transactionYear = t.year || this.currentYear; // Use current year if no year specified
+            return t.month === month && transactionYear === this.currentYear;
+        });
+        
+        // Group by category (transfers are not income or spending, split transactions count per line)
+        const categoryTotals = {};
+        monthlyTransactions.filter(t => t.type !== 'transfer').flatMap(t => this.getCategoryLines(t)).forEach(transaction => {
+            const category = transaction.category || 'לא מקוטלג';
+            categoryTotals[category] = (categoryTotals[category] || 0) + transaction.amount;
+        });
+
+        // Sort categories by amount (descending)
+        const sortedCategories = Object.entries(categoryTotals)
+            .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+
+        container.innerHTML = '';
+        sortedCategories.forEach(([category, amount]) => {
+            const planned = this.getBudgetAmount(category, month);
+            const overBudget = planned !== null && -amount > planned;
+            const item = document.createElement('div');
+            item.className = `category-item${overBudget ? ' over-budget' : ''}`;
+            item.innerHTML = `
+                <span class="category-name">${category}${overBudget ? ` <small style="color: #c62828;">⚠️ חריגה מתקציב ${this.formatCurrency(planned)}</small>` : ''}</span>
+                <span class="category-amount ${amount >= 0 ? 'income' : 'expense'}">${this.formatCurrency(amount)}</span>
+            `;
+            container.appendChild(item);
+        });
+
+        if (sortedCategories.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #666;">אין נתונים לחודש זה</p>';
+        }
+    }
+
+    // Update actual expenses summary (excluding checks and income)
+    updateActualExpensesSummary(month) {
+        const container = document.getElementById('actualExpensesSummary');
+        const monthName = this.getMonthName(month);
+
+        // Update the title with the month name
+        document.getElementById('actualExpensesTitle').textContent = `💰 הוצאות ${monthName}`;
+
+        // Filter transactions - handle both old data (without year) and new data (with year)
+        const monthlyTransactions = this.transactions.filter(t => {
+            const transactionYear = t.year || this.currentYear;
+            return t.month === month && transactionYear === this.currentYear;
+        });
+
+        // Filter using the new includeInMonthlyExpenses property
+        // Exclude check payments
+        const actualExpenses = monthlyTransactions.filter(t => {
+            // Exclude check payments and transfers between accounts
+            if (t.paymentMethod === 'check' || t.type === 'transfer') {
+                return false;
+            }
+            // Include only if item is marked for monthly expenses
+            return this.shouldIncludeInMonthlyExpenses(t.item);
+        });
+
+        // Group by item name for display
+        const itemTotals = {};
+        actualExpenses.forEach(transaction => {
+            const item = transaction.item || 'לא מזוהה';
+            itemTotals[item] = (itemTotals[item] || 0) + Math.abs(transaction.amount);
+        });
+
+        // Sort items by amount (descending)
+        const sortedItems = Object.entries(itemTotals)
+            .sort((a, b) => b[1] - a[1]);
+
+        // Calculate total
+        const totalExpenses = actualExpenses.reduce((sum, t) => sum + Math.abs(t.amount), 0);
+
+        container.innerHTML = '';
+
+        // Add table
+        const table = document.createElement('table');
+        table.className = 'expenses-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>פריט</th>
+                    <th>סכום</th>
+                    <th>אחוז</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${sortedItems.map(([item, amount]) => {
+                    const percentage = totalExpenses > 0 ? ((amount / totalExpenses) * 100).toFixed(1) : 0;
+                    return `
+                        <tr>
+                            <td>${item}</td>
+                            <td class="amount-cell">₪${amount.toFixed(2)}</td>
+                            <td class="percentage-cell">${percentage}%</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+            <tfoot>
+                <tr class="total-row">
+                    <td><strong>סה"כ הוצאות בפועל:</strong></td>
+                    <td class="amount-cell"><strong>₪${totalExpenses.toFixed(2)}</strong></td>
+                    <td class="percentage-cell"><strong>100%</strong></td>
+                </tr>
+            </tfoot>
+        `;
+
+        container.appendChild(table);
+
+        if (sortedItems.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #666;">אין הוצאות בפועל לחודש זה</p>';
+        }
+    }
+
+    updateMonthlyTransactions(month) {
+        const container = document.getElementById('monthlyTransactions');
+        // Filter transactions - handle both old data (without year) and new data (with year)
+        const monthlyTransactions = this.transactions
+            .filter(t => {
+                const transactionYear = t.year || this.currentYear; // Use current year if no year specified
+                return t.month === month && transactionYear === this.currentYear;
+            })
+            .sort((a, b) => this.compareByDate(a, b, () => b.id - a.id, true)); // Newest first
+
+        container.innerHTML = '';
+        monthlyTransactions.forEach(transaction => {
+            const item = document.createElement('div');
+            item.className = 'transaction-item';
+            item.innerHTML = `
+                <span class="transaction-item-name">${transaction.date ? `<small style="color: #666;">${this.formatDate(transaction.date)}</small> ` : ''}${transaction.item}${this.getAccountTag(transaction)}</span>
+                <span class="transaction-amount ${transaction.type}">${this.formatCurrency(transaction.amount)}</span>
+                <span class="type-badge ${transaction.type}">${this.getTypeLabel(transaction.type)}</span>
+            `;
+            container.appendChild(item);
+        });
+
+        if (monthlyTransactions.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #666;">אין עסקאות לחודש זה</p>';
+        }
+    }
+
+    // Category budgets
+    // Planned spending of a category in a month, or null when it has no budget
+    getBudgetAmount(category, month, year = this.currentYear) {
+        const budget = this.budgets.find(b => b.year === year && b.category === category);
+        return budget ? budget.amounts[month - 1] || 0 : null;
+    }
+
+    // Net spending of a category in a month (refunds reduce it; transfers are not spending)
+    getCategorySpending(category, month, year = this.currentYear) {
+        return -this.transactions
+            .filter(t => t.month === month && (t.year || this.currentYear) === year && t.type !== 'transfer')
+            .flatMap(t => this.getCategoryLines(t))
+            .filter(line => (line.category || 'לא מקוטלג') === category)
+            .reduce((sum, line) => sum + line.amount, 0);
+    }
+
+    // Planned, actual, remaining and percent used for every budgeted category in a month
+    updateBudgetComparison(month, cardId, containerId) {
+        const card = document.getElementById(cardId);
+        const container = document.getElementById(containerId);
+        if (!card || !container) return;
+
+        const budgets = this.budgets.filter(b => b.year === this.currentYear);
+        if (budgets.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+
+        const rows = budgets.map(b => {
+            const planned = b.amounts[month - 1] || 0;
+            const actual = this.getCategorySpending(b.category, month);
+            return { category: b.category, planned, actual, remaining: planned - actual };
+        }).sort((a, b) => a.remaining - b.remaining); // Overspent first
+
+        const totalPlanned = rows.reduce((sum, r) => sum + r.planned, 0);
+        const totalActual = rows.reduce((sum, r) => sum + r.actual, 0);
+        const percentUsed = (actual, planned) => planned > 0 ? (actual / planned) * 100 : (actual > 0 ? 100 : 0);
+
+        container.innerHTML = `
+            <table class="expenses-table budget-table">
+                <thead>
+                    <tr>
+                        <th>קטגוריה</th>
+                        <th>מתוכנן</th>
+                        <th>בפועל</th>
+                        <th>נותר</th>
+                        <th>ניצול</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(r => {
+                        const percent = percentUsed(r.actual, r.planned);
+                        return `
+                            <tr class="${r.remaining < 0 ? 'over-budget' : ''}">
+                                <td>${r.remaining < 0 ? '⚠️ ' : ''}${r.category}</td>
+                                <td class="amount-cell">${this.formatCurrency(r.planned)}</td>
+                                <td class="amount-cell">${this.formatCurrency(r.actual)}</td>
+                                <td class="amount-cell">${this.formatCurrency(r.remaining)}</td>
+                                <td>
+                                    <div class="budget-progress"><div class="budget-progress-bar ${percent > 100 ? 'over' : ''}" style="width: ${Math.min(percent, 100)}%;"></div></div>
+                                    <small>${percent.toFixed(0)}%</small>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+                <tfoot>
+                    <tr class="total-row">
+                        <td><strong>סה"כ</strong></td>
+                        <td class="amount-cell"><strong>${this.formatCurrency(totalPlanned)}</strong></td>
+                        <td class="amount-cell"><strong>${this.formatCurrency(totalActual)}</strong></td>
+                        <td class="amount-cell"><strong>${this.formatCurrency(totalPlanned - totalActual)}</strong></td>
+                        <td><strong>${percentUsed(totalActual, totalPlanned).toFixed(0)}%</strong></td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    // Set a category's budget for the selected year from the settings form
+    setCategoryBudget() {
+        const category = document.getElementById('budgetCategory').value;
+        const amount = parseFloat(document.getElementById('budgetAmount').value);
+        const mode = document.getElementById('budgetMode').value;
+
+        if (!category || isNaN(amount) || amount < 0) {
+            this.showNotification('יש לבחור קטגוריה ולהזין סכום', 'error');
+            return;
+        }
+
+        const monthly = mode === 'yearly' ? Math.round(amount / 12 * 100) / 100 : amount;
+        const amounts = new Array(12).fill(monthly);
+        if (mode === 'yearly') {
+            // The last month absorbs the rounding so the year adds up exactly
+            amounts[11] = Math.round((amount - monthly * 11) * 100) / 100;
+        }
+
+        const existing = this.budgets.find(b => b.year === this.currentYear && b.category === category);
+        if (existing) {
+            existing.amounts = amounts;
+        } else {
+            this.budgets.push({ year: this.currentYear, category, amounts });
+        }
+
+        document.getElementById('budgetAmount').value = '';
+        this.saveData(`קביעת תקציב ל"${category}" (${this.currentYear})`);
+        this.updateDisplay();
+        this.showNotification(`🎯 התקציב ל"${category}" נקבע`, 'success');
+    }
+
+    // Change one month of a budget from the grid
+    setBudgetMonth(index, month, value) {
+        const budget = this.budgets.filter(b => b.year === this.currentYear)[index];
+        const amount = value === '' ? 0 : parseFloat(value);
+        if (!budget || isNaN(amount) || amount < 0) {
+            this.showNotification('סכום לא תקין', 'error');
+            this.updateBudgetsTable();
+            return;
+        }
+
+        budget.amounts[month - 1] = amount;
+        this.saveData(`עדכון תקציב "${budget.category}" ל${this.getMonthName(month)}`);
+        this.updateDisplay();
+    }
+
+    deleteCategoryBudget(index) {
+        const budget = this.budgets.filter(b => b.year === this.currentYear)[index];
+        if (!budget || !confirm(`למחוק את התקציב של "${budget.category}" לשנת ${budget.year}?`)) {
+            return;
+        }
+
+        this.budgets = this.budgets.filter(b => b !== budget);
+        this.saveData(`מחיקת תקציב "${budget.category}" (${budget.year})`);
+        this.updateDisplay();
+    }
+
+    // Render the budget grid (categories x months) for the selected year
+    updateBudgetsTable() {
+        document.getElementById('budgetsTitle').textContent = `🎯 תקציב לפי קטגוריה - ${this.currentYear}`;
+
+        const categorySelect = document.getElementById('budgetCategory');
+        const previousCategory = categorySelect.value;
+        categorySelect.innerHTML = [...this.categories].sort((a, b) => a.localeCompare(b, 'he'))
+            .map(category => `<option value="${category}">${category}</option>`)
+            .join('');
+        if (this.categories.includes(previousCategory)) {
+            categorySelect.value = previousCategory;
+        }
+
+        document.getElementById('budgetsHead').innerHTML = `
+            <tr>
+                <th>קטגוריה</th>
+                ${Array.from({ length: 12 }, (_, i) => `<th>${this.getMonthName(i + 1)}</th>`).join('')}
+                <th>סה"כ שנתי</th>
+                <th>פעולות</th>
+            </tr>
+        `;
+
+        const tbody = document.getElementById('budgetsBody');
+        const budgets = this.budgets.filter(b => b.year === this.currentYear);
+        if (budgets.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="15" style="text-align: center; color: #999;">לא הוגדר תקציב לשנת ${this.currentYear}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = budgets.map((budget, index) => `
+            <tr>
+                <td>${budget.category}</td>
+                ${budget.amounts.map((amount, i) => `
+                    <td><input type="number" step="0.01" min="0" value="${amount}" onchange="budgetSystem.setBudgetMonth(${index}, ${i + 1}, this.value)"></td>
+                `).join('')}
+                <td><strong>${this.formatCurrency(budget.amounts.reduce((sum, amount) => sum + amount, 0))}</strong></td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.deleteCategoryBudget(${index})" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Savings goals
+    // How much a transaction adds to savings: deposits and interest add, withdrawals subtract (0 = not a savings movement)
+    getSavingsAmount(transaction) {
+        if (transaction.type === 'transfer') {
+            const isSavings = (id) => (this.getAccount(id) || {}).type === 'savings';
+            if (!transaction.toAccountId) return 0;
+            if (isSavings(transaction.toAccountId) && !isSavings(this.getAccountId(transaction))) return transaction.amount;
+            if (!isSavings(transaction.toAccountId) && isSavings(this.getAccountId(transaction))) return -transaction.amount;
+            return 0;
+        }
+
+        const isInterest = transaction.item.includes('ריבית');
+        return this.getCategoryLines(transaction)
+            .filter(line => line.category === 'הפקדה לחסכון בבנק')
+            .reduce((sum, line) => sum + (isInterest ? Math.abs(line.amount) : -line.amount), 0);
+    }
+
+    // Goal a savings movement counts toward: the one assigned by hand, else the first keyword match, else the default goal
+    getGoalForTransaction(transaction) {
+        if (transaction.goalId) {
+            return this.savingsGoals.find(g => g.id === transaction.goalId) || null;
+        }
+        const text = `${transaction.item} ${transaction.note || ''}`;
+        return this.savingsGoals.find(g => g.keyword && text.includes(g.keyword)) ||
+            this.savingsGoals.find(g => g.isDefault) ||
+            null;
+    }
+
+    // Savings movements of every year, oldest first
+    getSavingsTransactions() {
+        return this.transactions
+            .filter(t => this.getSavingsAmount(t) !== 0)
+            .sort((a, b) => ((a.year || this.currentYear) * 12 + a.month) - ((b.year || this.currentYear) * 12 + b.month));
+    }
+
+    // Saved amount, average monthly contribution (last 6 months) and projected completion of a goal
+    getGoalProgress(goal) {
+        const movements = this.getSavingsTransactions().filter(t => this.getGoalForTransaction(t) === goal);
+        const saved = movements.reduce((sum, t) => sum + this.getSavingsAmount(t), 0);
+
+        const now = new Date();
+        const currentIndex = now.getFullYear() * 12 + now.getMonth() + 1;
+        const recent = movements
+            .filter(t => currentIndex - ((t.year || this.currentYear) * 12 + t.month) < 6)
+            .reduce((sum, t) => sum + this.getSavingsAmount(t), 0);
+        const monthlyRate = recent / 6;
+
+        const remaining = goal.targetAmount - saved;
+        let projectedDate = null;
+        if (remaining > 0 && monthlyRate > 0) {
+            const months = Math.ceil(remaining / monthlyRate);
+            projectedDate = new Date(now.getFullYear(), now.getMonth() + months, 1);
+        }
+
+        // Monthly deposit that would reach the target on its date
+        const target = new Date(goal.targetDate);
+        const monthsLeft = (target.getFullYear() - now.getFullYear()) * 12 + target.getMonth() - now.getMonth();
+        const neededMonthly = remaining > 0 && monthsLeft > 0 ? remaining / monthsLeft : null;
+
+        return { saved, remaining, monthlyRate, projectedDate, neededMonthly, count: movements.length };
+    }
+
+    // Dashboard panel: progress of every goal with its projected completion
+    updateSavingsGoalsPanel() {
+        const card = document.getElementById('savingsGoalsCard');
+        const container = document.getElementById('savingsGoalsPanel');
+        if (!card || !container) return;
+
+        if (this.savingsGoals.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+
+        container.innerHTML = this.savingsGoals.map(goal => {
+            const progress = this.getGoalProgress(goal);
+            const percent = goal.targetAmount > 0 ? Math.max(0, (progress.saved / goal.targetAmount) * 100) : 0;
+            const targetDate = new Date(goal.targetDate);
+            let projection;
+            if (progress.remaining <= 0) {
+                projection = '<span style="color: #2e7d32;">🎉 היעד הושג!</span>';
+            } else if (!progress.projectedDate) {
+                projection = '<span style="color: #c62828;">אין הפקדות בחצי השנה האחרונה - לא ניתן להעריך מועד השלמה</span>';
+            } else {
+                const onTime = progress.projectedDate <= targetDate;
+                projection = `<span style="color: ${onTime ? '#2e7d32' : '#c62828'};">${onTime ? '✅' : '⚠️'} השלמה צפויה: ${this.getMonthName(progress.projectedDate.getMonth() + 1)} ${progress.projectedDate.getFullYear()}</span>`;
+            }
+
+            return `
+                <div style="padding: 12px 0; border-bottom: 1px solid #eee;">
+                    <div style="display: flex; justify-content: space-between; gap: 10px; margin-bottom: 6px;">
+                        <strong>${goal.name}</strong>
+                        <span>${this.formatCurrency(progress.saved)} / ${this.formatCurrency(goal.targetAmount)}</span>
+                    </div>
+                    <div class="budget-progress" style="margin-bottom: 6px;"><div class="budget-progress-bar" style="width: ${Math.min(percent, 100)}%;"></div></div>
+                    <div style="font-size: 0.85rem; color: #666;">
+                        ${percent.toFixed(0)}% · יעד: ${this.formatDate(goal.targetDate)} · ${progress.count} תנועות
+                        · קצב ממוצע: ${this.formatCurrency(progress.monthlyRate)} לחודש
+                        ${progress.neededMonthly ? ` · נדרש: ${this.formatCurrency(progress.neededMonthly)} לחודש` : ''}
+                    </div>
+                    <div style="font-size: 0.85rem; margin-top: 4px;">${projection}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // List savings movements with a goal select for each
+    showGoalAssignments() {
+        const movements = this.getSavingsTransactions().reverse(); // Newest first
+        const goalOptions = (transaction) => [
+            `<option value="" ${!transaction.goalId ? 'selected' : ''}>אוטומטי${!transaction.goalId && this.getGoalForTransaction(transaction) ? ` (${this.getGoalForTransaction(transaction).name})` : ''}</option>`,
+            ...this.savingsGoals.map(g => `<option value="${g.id}" ${transaction.goalId === g.id ? 'selected' : ''}>${g.name}</option>`),
+            `<option value="none" ${transaction.goalId === 'none' ? 'selected' : ''}>ללא יעד</option>`
+        ].join('');
+
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 750px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px; text-align: center;">🔗 שיוך הפקדות ליעדי חיסכון</h3>
+                <div style="max-height: 450px; overflow-y: auto; margin-bottom: 20px;">
+                    ${movements.length === 0 ? '<p style="color: #666; text-align: center;">אין הפקדות, משיכות או ריבית לחיסכון</p>' : `
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>חודש</th>
+                                    <th>פריט</th>
+                                    <th>סכום לחיסכון</th>
+                                    <th>יעד</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${movements.map(t => `
+                                    <tr>
+                                        <td>${this.getMonthName(t.month)} ${t.year || this.currentYear}</td>
+                                        <td>${t.item}</td>
+                                        <td class="amount ${this.getSavingsAmount(t) >= 0 ? 'income' : 'expense'}">${this.formatCurrency(this.getSavingsAmount(t))}</td>
+                                        <td><select onchange="budgetSystem.assignTransactionGoal(${t.id}, this.value)" ${this.isYearLocked(t.year || this.currentYear) ? 'disabled' : ''}>${goalOptions(t)}</select></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+                <div style="display: flex; justify-content: center;">
+                    <button id="closeGoalAssignmentsBtn" class="btn btn-secondary">סגור</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('closeGoalAssignmentsBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+    }
+
+    // Assign a savings movement to a goal by hand ('' = automatic, 'none' = no goal)
+    assignTransactionGoal(transactionId, goalId) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction || (transaction.goalId || '') === goalId || !this.ensureYearUnlocked(transaction.year || this.currentYear)) return;
+
+        this.addTransactionHistory(transaction, 'edited', [{ field: 'goalId', from: transaction.goalId || null, to: goalId || null }]);
+        if (goalId) {
+            transaction.goalId = goalId;
+        } else {
+            delete transaction.goalId;
+        }
+        this.saveData(`שיוך "${transaction.item}" ליעד חיסכון`);
+        this.updateSavingsGoalsPanel();
+    }
+
+    // Add a goal from the settings form
+    createGoal() {
+        const name = document.getElementById('newGoalName').value.trim();
+        const targetAmount = parseFloat(document.getElementById('newGoalTarget').value);
+        const targetDate = document.getElementById('newGoalDate').value;
+        const keyword = document.getElementById('newGoalKeyword').value.trim();
+
+        if (!name || isNaN(targetAmount) || targetAmount <= 0 || !targetDate) {
+            this.showNotification('יש להזין שם, סכום יעד ותאריך יעד', 'error');
+            return;
+        }
+        if (this.savingsGoals.some(g => g.name === name)) {
+            this.showNotification(`היעד "${name}" כבר קיים`, 'error');
+            return;
+        }
+
+        // The first goal collects every unmatched deposit until another default is chosen
+        this.savingsGoals.push({
+            id: `g${Date.now()}`,
+            name,
+            targetAmount,
+            targetDate,
+            keyword,
+            isDefault: this.savingsGoals.length === 0
+        });
+        ['newGoalName', 'newGoalTarget', 'newGoalDate', 'newGoalKeyword'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.saveData(`הוספת יעד חיסכון "${name}"`);
+        this.updateDisplay();
+        this.showNotification(`🐷 היעד "${name}" נוסף`, 'success');
+    }
+
+    // Save a goal row from its inputs
+    updateGoal(goalId) {
+        const goal = this.savingsGoals.find(g => g.id === goalId);
+        if (!goal) return;
+
+        const name = document.getElementById(`goalName-${goalId}`).value.trim();
+        const targetAmount = parseFloat(document.getElementById(`goalTarget-${goalId}`).value);
+        const targetDate = document.getElementById(`goalDate-${goalId}`).value;
+        if (!name || isNaN(targetAmount) || targetAmount <= 0 || !targetDate) {
+            this.showNotification('יש להזין שם, סכום יעד ותאריך יעד', 'error');
+            return;
+        }
+
+        goal.name = name;
+        goal.targetAmount = targetAmount;
+        goal.targetDate = targetDate;
+        goal.keyword = document.getElementById(`goalKeyword-${goalId}`).value.trim();
+        if (document.getElementById(`goalDefault-${goalId}`).checked) {
+            this.savingsGoals.forEach(g => {
+                g.isDefault = g.id === goalId;
+            });
+        } else {
+            goal.isDefault = false;
+        }
+        this.saveData(`עדכון יעד חיסכון "${name}"`);
+        this.updateDisplay();
+        this.showNotification(`🐷 היעד "${name}" עודכן`, 'success');
+    }
+
+    // Delete a goal. Movements assigned to it by hand go back to automatic assignment.
+    deleteGoal(goalId) {
+        const goal = this.savingsGoals.find(g => g.id === goalId);
+        if (!goal || !confirm(`למחוק את יעד החיסכון "${goal.name}"?`)) {
+            return;
+        }
+
+        this.transactions.filter(t => t.goalId === goalId).forEach(t => {
+            this.addTransactionHistory(t, 'edited', [{ field: 'goalId', from: goalId, to: null }]);
+            delete t.goalId;
+        });
+        this.savingsGoals = this.savingsGoals.filter(g => g.id !== goalId);
+        this.saveData(`מחיקת יעד חיסכון "${goal.name}"`);
+        this.updateDisplay();
+    }
+
+    // Render the goals in settings
+    updateGoalsTable() {
+        const tbody = document.getElementById('goalsBody');
+        tbody.innerHTML = '';
+
+        if (this.savingsGoals.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #999;">אין יעדי חיסכון</td></tr>';
+            return;
+        }
+
+        const inputStyle = 'padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;';
+        this.savingsGoals.forEach(goal => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="text" id="goalName-${goal.id}" value="${goal.name.replace(/"/g, '&quot;')}" style="${inputStyle}"></td>
+                <td><input type="number" id="goalTarget-${goal.id}" value="${goal.targetAmount}" step="0.01" min="0" style="${inputStyle} width: 110px;"></td>
+                <td><input type="date" id="goalDate-${goal.id}" value="${goal.targetDate}" style="${inputStyle}"></td>
+                <td><input type="text" id="goalKeyword-${goal.id}" value="${(goal.keyword || '').replace(/"/g, '&quot;')}" style="${inputStyle} width: 100px;"></td>
+                <td><input type="checkbox" id="goalDefault-${goal.id}" ${goal.isDefault ? 'checked' : ''}></td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.updateGoal('${goal.id}')" class="btn btn-secondary btn-small" title="שמור">💾</button>
+                    <button onclick="budgetSystem.deleteGoal('${goal.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Loans and installment plans
+    // Amortization schedule: equal monthly payments (principal / term when there is no interest)
+    getLoanSchedule(loan) {
+        const rate = loan.annualRate / 100 / 12;
+        const payment = rate > 0
+            ? loan.principal * rate / (1 - Math.pow(1 + rate, -loan.termMonths))
+            : loan.principal / loan.termMonths;
+        const [startYear, startMonth] = loan.startMonth.split('-').map(Number);
+
+        const schedule = [];
+        let balance = loan.principal;
+        for (let i = 0; i < loan.termMonths; i++) {
+            const interest = balance * rate;
+            // The last payment clears the rounding left in the balance
+            const principalPart = i === loan.termMonths - 1 ? balance : payment - interest;
+            balance -= principalPart;
+            const monthIndex = startMonth - 1 + i;
+            schedule.push({
+                number: i + 1,
+                year: startYear + Math.floor(monthIndex / 12),
+                month: monthIndex % 12 + 1,
+                payment: principalPart + interest,
+                interest,
+                principal: principalPart,
+                balance: Math.max(balance, 0)
+            });
+        }
+        return schedule;
+    }
+
+    // Payments linked to a loan, by 'YYYY-M' of the schedule row they pay.
+    // A transaction linked by hand wins over keyword matches in the same month.
+    getLoanPayments(loan) {
+        const payments = new Map();
+        const schedule = this.getLoanSchedule(loan);
+        const rowKey = (year, month) => `${year}-${month}`;
+        const inSchedule = new Set(schedule.map(row => rowKey(row.year, row.month)));
+
+        const candidates = this.transactions.filter(t => t.type === 'expense' && (
+            t.loanId === loan.id ||
+            (!t.loanId && loan.keyword && `${t.item} ${t.note || ''}`.includes(loan.keyword))
+        ));
+        candidates.sort((a, b) => (b.loanId === loan.id) - (a.loanId === loan.id));
+        candidates.forEach(t => {
+            const key = rowKey(t.year || this.currentYear, t.month);
+            if (inSchedule.has(key) && !payments.has(key)) {
+                payments.set(key, t);
+            }
+        });
+        return payments;
+    }
+
+    // Outstanding balance and expected payoff of a loan from its linked payments
+    getLoanStatus(loan) {
+        const schedule = this.getLoanSchedule(loan);
+        const payments = this.getLoanPayments(loan);
+        const now = new Date();
+        const currentIndex = now.getFullYear() * 12 + now.getMonth() + 1;
+
+        let outstanding = loan.principal;
+        let paidCount = 0;
+        let missedCount = 0;
+        schedule.forEach(row => {
+            if (payments.has(`${row.year}-${row.month}`)) {
+                outstanding -= row.principal;
+                paidCount++;
+            } else if (row.year * 12 + row.month < currentIndex) {
+                missedCount++;
+            }
+        });
+
+        // Missed payments push the payoff past the last scheduled month
+        const last = schedule[schedule.length - 1];
+        const payoffIndex = last.year * 12 + last.month - 1 + missedCount;
+        return {
+            outstanding: Math.max(outstanding, 0),
+            monthlyPayment: schedule[0].payment,
+            paidCount,
+            missedCount,
+            termMonths: schedule.length,
+            payoffYear: Math.floor(payoffIndex / 12),
+            payoffMonth: payoffIndex % 12 + 1
+        };
+    }
+
+    // Dashboard panel: outstanding debt and expected payoff of every loan
+    updateLoansPanel() {
+        const card = document.getElementById('loansCard');
+        const container = document.getElementById('loansPanel');
+        if (!card || !container) return;
+
+        if (this.loans.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+
+        const statuses = this.loans.map(loan => ({ loan, status: this.getLoanStatus(loan) }));
+        const totalDebt = statuses.reduce((sum, { status }) => sum + status.outstanding, 0);
+
+        container.innerHTML = `
+            <div style="margin-bottom: 10px;"><strong>סך החוב הפתוח: ${this.formatCurrency(totalDebt)}</strong></div>
+            ${statuses.map(({ loan, status }) => `
+                <div style="padding: 12px 0; border-bottom: 1px solid #eee;">
+                    <div style="display: flex; justify-content: space-between; gap: 10px; margin-bottom: 6px;">
+                        <strong>${loan.kind === 'installments' ? '💳' : '🏠'} ${loan.name}</strong>
+                        <span>${this.formatCurrency(status.outstanding)} / ${this.formatCurrency(loan.principal)}</span>
+                    </div>
+                    <div class="budget-progress" style="margin-bottom: 6px;"><div class="budget-progress-bar" style="width: ${Math.min((status.paidCount / status.termMonths) * 100, 100)}%;"></div></div>
+                    <div style="font-size: 0.85rem; color: #666;">
+                        שולמו ${status.paidCount} מתוך ${status.termMonths} תשלומים · תשלום חודשי: ${this.formatCurrency(status.monthlyPayment)}
+                        · סיום צפוי: ${status.outstanding > 0 ? `${this.getMonthName(status.payoffMonth)} ${status.payoffYear}` : '✅ נפרעה'}
+                        ${status.missedCount > 0 && status.outstanding > 0 ? `<span style="color: #c62828;"> · ⚠️ ${status.missedCount} תשלומים ללא עסקה מקושרת</span>` : ''}
+                        <button onclick="budgetSystem.showLoanSchedule('${loan.id}')" class="btn btn-secondary btn-small" style="margin-right: 8px;">📋 לוח סילוקין</button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // Amortization schedule with the payment linked to each row
+    showLoanSchedule(loanId) {
+        const loan = this.loans.find(l => l.id === loanId);
+        if (!loan) return;
+
+        const existing = document.getElementById('loanScheduleModal');
+        if (existing) {
+            document.body.removeChild(existing);
+        }
+
+        const payments = this.getLoanPayments(loan);
+        const now = new Date();
+        const currentIndex = now.getFullYear() * 12 + now.getMonth() + 1;
+        const linkedIds = new Set(Array.from(payments.values()).map(t => t.id));
+
+        const rowsHtml = this.getLoanSchedule(loan).map(row => {
+            const payment = payments.get(`${row.year}-${row.month}`);
+            let linkCell;
+            if (payment) {
+                linkCell = `
+                    ${payment.item}: ${this.formatCurrency(Math.abs(payment.amount))}
+                    <button onclick="budgetSystem.linkLoanPayment('${loan.id}', ${payment.id}, false)" class="btn btn-secondary btn-small" title="בטל קישור">✖</button>
+                `;
+            } else {
+                // Expenses of the row's month that are not linked to another loan
+                const options = this.transactions.filter(t => t.type === 'expense' && t.month === row.month &&
+                    (t.year || this.currentYear) === row.year && !linkedIds.has(t.id) && (!t.loanId || t.loanId === 'none'));
+                const overdue = row.year * 12 + row.month < currentIndex;
+                linkCell = options.length === 0
+                    ? `<span style="color: ${overdue ? '#c62828' : '#999'};">${overdue ? '⚠️ לא נמצא תשלום' : '-'}</span>`
+                    : `<select onchange="if (this.value) budgetSystem.linkLoanPayment('${loan.id}', parseFloat(this.value), true)">
+                            <option value="">${overdue ? '⚠️ קשר תשלום...' : 'קשר תשלום...'}</option>
+                            ${options.map(t => `<option value="${t.id}">${t.item}: ${this.formatCurrency(Math.abs(t.amount))}</option>`).join('')}
+                       </select>`;
+            }
+            return `
+                <tr>
+                    <td>${row.number}</td>
+                    <td>${this.getMonthName(row.month)} ${row.year}</td>
+                    <td class="amount">${this.formatCurrency(row.payment)}</td>
+                    <td class="amount">${this.formatCurrency(row.principal)}</td>
+                    <td class="amount">${this.formatCurrency(row.interest)}</td>
+                    <td class="amount">${this.formatCurrency(row.balance)}</td>
+                    <td>${linkCell}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const modal = document.createElement('div');
+        modal.id = 'loanScheduleModal';
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 900px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px; text-align: center;">📋 לוח סילוקין - ${loan.name}</h3>
+                <p style="color: #666; margin-bottom: 15px;">
+                    קרן: ${this.formatCurrency(loan.principal)} · ריבית שנתית: ${loan.annualRate}% · ${loan.termMonths} תשלומים החל מ${this.getMonthName(parseInt(loan.startMonth.split('-')[1]))} ${loan.startMonth.split('-')[0]}
+                </p>
+                <div style="max-height: 450px; overflow-y: auto; margin-bottom: 20px;">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>חודש</th>
+                                <th>תשלום</th>
+                                <th>קרן</th>
+                                <th>ריבית</th>
+                                <th>יתרה</th>
+                                <th>תשלום בפועל</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rowsHtml}</tbody>
+                    </table>
+                </div>
+                <div style="display: flex; justify-content: center;">
+                    <button id="closeLoanScheduleBtn" class="btn btn-secondary">סגור</button>
+                </div>
             </div>
-            <div class="balance-notes">
-                <div class="notes-header">
-                    <span class="notes-label">הערות לחודש:</span>
-                    <button class="settings-btn" onclick="budgetSystem.showMonthlyNotesModal(${month})" title="ערוך הערות">📝</button>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('closeLoanScheduleBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+    }
+
+    // Link a transaction to a loan by hand, or unlink it (it is then never matched by keyword again)
+    linkLoanPayment(loanId, transactionId, link) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction) return;
+        if (!this.ensureYearUnlocked(transaction.year || this.currentYear)) {
+            this.showLoanSchedule(loanId); // Put the selection back
+            return;
+        }
+
+        const loanIdValue = link ? loanId : 'none';
+        this.addTransactionHistory(transaction, 'edited', [{ field: 'loanId', from: transaction.loanId || null, to: loanIdValue }]);
+        transaction.loanId = loanIdValue;
+        this.saveData(link ? `קישור "${transaction.item}" להלוואה` : `ביטול קישור "${transaction.item}" להלוואה`);
+        this.updateLoansPanel();
+        this.showLoanSchedule(loanId);
+    }
+
+    // Read and check the loan fields of a settings row or the add form
+    getLoanFields(prefix) {
+        const fields = {
+            name: document.getElementById(`${prefix}Name`).value.trim(),
+            kind: document.getElementById(`${prefix}Kind`).value,
+            principal: parseFloat(document.getElementById(`${prefix}Principal`).value),
+            annualRate: parseFloat(document.getElementById(`${prefix}Rate`).value) || 0,
+            termMonths: parseInt(document.getElementById(`${prefix}Term`).value),
+            startMonth: document.getElementById(`${prefix}Start`).value,
+            keyword: document.getElementById(`${prefix}Keyword`).value.trim()
+        };
+
+        if (!fields.name || !(fields.principal > 0) || !(fields.termMonths > 0) || !/^\d{4}-\d{2}$/.test(fields.startMonth)) {
+            this.showNotification('יש להזין שם, סכום, מספר תשלומים וחודש התחלה', 'error');
+            return null;
+        }
+        if (fields.annualRate < 0) {
+            this.showNotification('ריבית לא יכולה להיות שלילית', 'error');
+            return null;
+        }
+        return fields;
+    }
+
+    // Add a loan from the settings form
+    createLoan() {
+        const fields = this.getLoanFields('newLoan');
+        if (!fields) return;
+
+        this.loans.push({ id: `l${Date.now()}`, ...fields });
+        ['newLoanName', 'newLoanPrincipal', 'newLoanRate', 'newLoanTerm', 'newLoanStart', 'newLoanKeyword'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.saveData(`הוספת הלוואה "${fields.name}"`);
+        this.updateDisplay();
+        this.showNotification(`🏦 "${fields.name}" נוספה`, 'success');
+    }
+
+    // Save a loan row from its inputs
+    updateLoan(loanId) {
+        const loan = this.loans.find(l => l.id === loanId);
+        const fields = loan && this.getLoanFields(`loan-${loanId}-`);
+        if (!fields) return;
+
+        Object.assign(loan, fields);
+        this.saveData(`עדכון הלוואה "${fields.name}"`);
+        this.updateDisplay();
+        this.showNotification(`🏦 "${fields.name}" עודכנה`, 'success');
+    }
+
+    // Delete a loan. Payments linked to it by hand become ordinary expenses again.
+    deleteLoan(loanId) {
+        const loan = this.loans.find(l => l.id === loanId);
+        if (!loan || !confirm(`למחוק את "${loan.name}"? העסקאות עצמן לא יימחקו`)) {
+            return;
+        }
+
+        this.transactions.filter(t => t.loanId === loanId).forEach(t => {
+            this.addTransactionHistory(t, 'edited', [{ field: 'loanId', from: loanId, to: null }]);
+            delete t.loanId;
+        });
+        this.loans = this.loans.filter(l => l.id !== loanId);
+        this.saveData(`מחיקת הלוואה "${loan.name}"`);
+        this.updateDisplay();
+    }
+
+    // Render the loans in settings
+    updateLoansTable() {
+        const tbody = document.getElementById('loansBody');
+        tbody.innerHTML = '';
+
+        if (this.loans.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; color: #999;">אין הלוואות או עסקאות תשלומים</td></tr>';
+            return;
+        }
+
+        const inputStyle = 'padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;';
+        this.loans.forEach(loan => {
+            const prefix = `loan-${loan.id}-`;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><input type="text" id="${prefix}Name" value="${loan.name.replace(/"/g, '&quot;')}" style="${inputStyle}"></td>
+                <td>
+                    <select id="${prefix}Kind" style="${inputStyle}">
+                        <option value="loan" ${loan.kind === 'loan' ? 'selected' : ''}>הלוואה</option>
+                        <option value="installments" ${loan.kind === 'installments' ? 'selected' : ''}>תשלומים</option>
+                    </select>
+                </td>
+                <td><input type="number" id="${prefix}Principal" value="${loan.principal}" step="0.01" min="0" style="${inputStyle} width: 110px;"></td>
+                <td><input type="number" id="${prefix}Rate" value="${loan.annualRate}" step="0.01" min="0" style="${inputStyle} width: 70px;"></td>
+                <td><input type="number" id="${prefix}Term" value="${loan.termMonths}" step="1" min="1" style="${inputStyle} width: 70px;"></td>
+                <td><input type="month" id="${prefix}Start" value="${loan.startMonth}" style="${inputStyle}"></td>
+                <td><input type="text" id="${prefix}Keyword" value="${(loan.keyword || '').replace(/"/g, '&quot;')}" style="${inputStyle} width: 100px;"></td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.updateLoan('${loan.id}')" class="btn btn-secondary btn-small" title="שמור">💾</button>
+                    <button onclick="budgetSystem.showLoanSchedule('${loan.id}')" class="btn btn-secondary btn-small" title="לוח סילוקין">📋</button>
+                    <button onclick="budgetSystem.deleteLoan('${loan.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Check register
+    getCheckStatusLabel(status) {
+        const labels = {
+            'issued': 'הוצא',
+            'cleared': 'נפרע',
+            'bounced': 'חזר',
+            'cancelled': 'בוטל'
+        };
+        return labels[status] || status;
+    }
+
+    // Keep the register entry of a check transaction in step with its check details
+    syncCheckRegister(transaction) {
+        const entry = this.checkRegister.find(c => c.transactionId === transaction.id);
+        const details = transaction.paymentMethod === 'check' ? transaction.checkDetails : null;
+        if (!details || !details.checkNumber) {
+            if (entry && entry.status === 'issued') {
+                this.checkRegister = this.checkRegister.filter(c => c !== entry);
+            }
+            return;
+        }
+
+        const issueDate = details.issueDate || transaction.date || new Date().toISOString().slice(0, 10);
+        const fields = {
+            checkNumber: details.checkNumber,
+            payeeName: details.payeeName,
+            amount: Math.abs(transaction.amount),
+            issueDate,
+            dueDate: details.dueDate || issueDate
+        };
+        // A check added to the register before its transaction was recorded
+        const standalone = !entry && this.checkRegister.find(c => c.transactionId === undefined && c.status === 'issued' &&
+            this.parseCheckNumber(c.checkNumber) !== null && this.parseCheckNumber(c.checkNumber) === this.parseCheckNumber(details.checkNumber));
+        if (entry || standalone) {
+            Object.assign(entry || standalone, fields);
+            if (standalone) {
+                standalone.transactionId = transaction.id;
+            }
+        } else {
+            this.checkRegister.push({
+                id: `c${Date.now()}`,
+                ...fields,
+                status: 'issued',
+                note: transaction.item,
+                transactionId: transaction.id
+            });
+        }
+    }
+
+    // Mark issued checks as cleared by imported check lines of the same amount.
+    // A line clears the check with the earliest due date that is not after the line's month.
+    // Returns the number of checks cleared.
+    clearMatchingChecks(lines) {
+        let cleared = 0;
+        lines.forEach(line => {
+            // Only lines that were actually added (not skipped duplicates)
+            const isCheckItem = this.importedCheckItems.includes(line);
+            if (!isCheckItem && !(this.transactions.includes(line) && line.paymentMethod === 'check' && line.amount < 0)) {
+                return;
+            }
+
+            const lineMonth = `${line.year || this.currentYear}-${String(line.month).padStart(2, '0')}`;
+            const check = this.checkRegister
+                .filter(c => c.status === 'issued' && c.transactionId !== line.id &&
+                    Math.abs(c.amount - Math.abs(line.amount)) < 0.01 && c.dueDate.slice(0, 7) <= lineMonth)
+                .sort((a, b) => a.dueDate.localeCompare(b.dueDate))[0];
+            if (!check) return;
+
+            check.status = 'cleared';
+            check.clearedBy = line.id;
+            // The statement line has no check number - take it from the register
+            if (isCheckItem) {
+                if (!line.checkNumber) line.checkNumber = check.checkNumber;
+                if (!line.payeeName) line.payeeName = check.payeeName;
+            } else if (!line.checkDetails || !line.checkDetails.checkNumber) {
+                line.checkDetails = { checkNumber: check.checkNumber, payeeName: check.payeeName };
+            }
+            cleared++;
+        });
+        return cleared;
+    }
+
+    // Month and date label of the statement line that cleared a check
+    getCheckClearingLabel(check) {
+        const line = this.transactions.find(t => t.id === check.clearedBy) ||
+            this.importedCheckItems.find(item => item.id === check.clearedBy);
+        if (!line) return '';
+        return line.date ? this.formatDate(line.date) : `${this.getMonthName(line.month)} ${line.year || this.currentYear}`;
+    }
+
+    // Render the check register and the upcoming check outflows in the dashboard
+    updateCheckRegister() {
+        const tbody = document.getElementById('checkRegisterBody');
+        if (!tbody) return;
+
+        const today = new Date().toISOString().slice(0, 10);
+        const outstanding = this.checkRegister
+            .filter(c => c.status === 'issued')
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+        // Upcoming outflows by due month. Checks past their due date that haven't cleared are listed first.
+        const overdue = outstanding.filter(c => c.dueDate < today);
+        const byMonth = {};
+        outstanding.filter(c => c.dueDate >= today).forEach(c => {
+            const monthKey = c.dueDate.slice(0, 7);
+            (byMonth[monthKey] = byMonth[monthKey] || []).push(c);
+        });
+        const checkLine = (c) => `${this.formatDate(c.dueDate)} - צ'יק ${c.checkNumber} ל${c.payeeName}: ${this.formatCurrency(c.amount)}`;
+
+        document.getElementById('checkOutflows').innerHTML = outstanding.length === 0
+            ? '<p style="color: #999;">אין צ\'יקים פתוחים</p>'
+            : `
+                <div style="margin-bottom: 10px;"><strong>סך צ'יקים פתוחים: ${this.formatCurrency(outstanding.reduce((sum, c) => sum + c.amount, 0))}</strong></div>
+                ${overdue.length > 0 ? `
+                    <div style="margin-bottom: 12px; color: #c62828;">
+                        <strong>⚠️ עבר מועד הפירעון ולא נפרעו</strong>
+                        <ul style="margin: 4px 20px 0 0;">${overdue.map(c => `<li>${checkLine(c)}</li>`).join('')}</ul>
+                    </div>
+                ` : ''}
+                ${Object.entries(byMonth).map(([monthKey, checks]) => {
+                    const [year, month] = monthKey.split('-');
+                    return `
+                        <div style="margin-bottom: 12px;">
+                            <strong>${this.getMonthName(parseInt(month))} ${year}</strong>
+                            <span class="expense"> - ${this.formatCurrency(checks.reduce((sum, c) => sum + c.amount, 0))}</span>
+                            <ul style="margin: 4px 20px 0 0;">${checks.map(c => `<li>${checkLine(c)}</li>`).join('')}</ul>
+                        </div>
+                    `;
+                }).join('')}
+            `;
+
+        if (this.checkRegister.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; color: #999;">אין צ\'יקים בפנקס</td></tr>';
+            return;
+        }
+
+        // Open checks first by due date, then the rest newest first
+        const closed = this.checkRegister
+            .filter(c => c.status !== 'issued')
+            .sort((a, b) => b.dueDate.localeCompare(a.dueDate));
+        tbody.innerHTML = [...outstanding, ...closed].map(c => `
+            <tr>
+                <td>${c.checkNumber}</td>
+                <td>${c.payeeName}</td>
+                <td class="amount expense">${this.formatCurrency(c.amount)}</td>
+                <td>${this.formatDate(c.issueDate)}</td>
+                <td style="${c.status === 'issued' && c.dueDate < today ? 'color: #c62828;' : ''}">${this.formatDate(c.dueDate)}</td>
+                <td>
+                    <select onchange="budgetSystem.setCheckStatus('${c.id}', this.value)">
+                        ${['issued', 'cleared', 'bounced', 'cancelled'].map(status => `
+                            <option value="${status}" ${c.status === status ? 'selected' : ''}>${this.getCheckStatusLabel(status)}</option>
+                        `).join('')}
+                    </select>
+                    ${c.status === 'cleared' && c.clearedBy ? `<small style="color: #666;"> ${this.getCheckClearingLabel(c)}</small>` : ''}
+                </td>
+                <td>${c.note || ''}</td>
+                <td class="action-buttons">
+                    <button onclick="budgetSystem.deleteCheck('${c.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Add a check to the register that has no transaction yet (e.g. a post-dated check)
+    showNewCheckModal() {
+        const today = new Date().toISOString().slice(0, 10);
+        const modal = document.createElement('div');
+        modal.className = 'check-modal';
+        modal.innerHTML = `
+            <div class="check-modal-content">
+                <h3>🧾 צ'יק חדש בפנקס</h3>
+                <div class="check-form-group">
+                    <label for="newCheckNumber">מספר הצ'יק *</label>
+                    <input type="text" id="newCheckNumber" placeholder="הזן מספר צ'יק">
                 </div>
-                <div class="notes-content">
-                    ${monthlyNotes || '<span style="color: #999; font-style: italic;">אין הערות</span>'}
+                <div class="check-form-group">
+                    <label for="newCheckPayee">שם המוטב *</label>
+                    <input type="text" id="newCheckPayee" placeholder="שם המוטב" list="payeeSuggestions" autocomplete="off">
+                </div>
+                <div class="check-form-group">
+                    <label for="newCheckAmount">סכום *</label>
+                    <input type="number" id="newCheckAmount" step="0.01" min="0" placeholder="סכום">
+                </div>
+                <div class="check-form-group">
+                    <label for="newCheckIssueDate">תאריך כתיבה</label>
+                    <input type="date" id="newCheckIssueDate" value="${today}">
+                </div>
+                <div class="check-form-group">
+                    <label for="newCheckDueDate">תאריך פירעון *</label>
+                    <input type="date" id="newCheckDueDate" value="${today}">
+                </div>
+                <div class="check-form-group">
+                    <label for="newCheckNote">עבור</label>
+                    <input type="text" id="newCheckNote" placeholder="אופציונלי">
+                </div>
+                <div style="display: flex; gap: 10px; justify-content: center; margin-top: 20px;">
+                    <button id="saveNewCheckBtn" class="btn btn-primary">הוסף לפנקס</button>
+                    <button id="cancelNewCheckBtn" class="btn btn-secondary">בטל</button>
                 </div>
             </div>
         `;
+
+        document.body.appendChild(modal);
+        document.getElementById('newCheckNumber').focus();
+
+        document.getElementById('saveNewCheckBtn').addEventListener('click', () => {
+            const checkNumber = document.getElementById('newCheckNumber').value.trim();
+            const payeeName = document.getElementById('newCheckPayee').value.trim();
+            const amount = parseFloat(document.getElementById('newCheckAmount').value);
+            const issueDate = document.getElementById('newCheckIssueDate').value || today;
+            const dueDate = document.getElementById('newCheckDueDate').value;
+
+            if (!checkNumber || !payeeName || !(amount > 0) || !dueDate) {
+                alert('אנא מלא את כל השדות החובה');
+                return;
+            }
+            if (!this.confirmCheckNumber(checkNumber)) {
+                return;
+            }
+            if (dueDate < issueDate) {
+                alert('תאריך הפירעון לא יכול להיות לפני תאריך הכתיבה');
+                return;
+            }
+            this.rememberPayee(payeeName);
+
+            this.checkRegister.push({
+                id: `c${Date.now()}`,
+                checkNumber,
+                payeeName,
+                amount,
+                issueDate,
+                dueDate,
+                status: 'issued',
+                note: document.getElementById('newCheckNote').value.trim()
+            });
+            document.body.removeChild(modal);
+            this.saveData(`הוספת צ'יק ${checkNumber} לפנקס`);
+            this.updateCheckRegister();
+            this.showNotification(`🧾 צ'יק ${checkNumber} נוסף לפנקס`, 'success');
+        });
+
+        document.getElementById('cancelNewCheckBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
+        });
+
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+    }
+
+    // Change the status of a check by hand
+    setCheckStatus(checkId, status) {
+        const check = this.checkRegister.find(c => c.id === checkId);
+        if (!check || check.status === status) return;
+
+        check.status = status;
+        if (status !== 'cleared') {
+            delete check.clearedBy;
+        }
+        this.saveData(`צ'יק ${check.checkNumber}: ${this.getCheckStatusLabel(status)}`);
+        this.updateCheckRegister();
+    }
+
+    // Remove a check from the register (its transaction, if any, is kept)
+    deleteCheck(checkId) {
+        const check = this.checkRegister.find(c => c.id === checkId);
+        if (!check || !confirm(`למחוק את צ'יק ${check.checkNumber} מהפנקס?`)) {
+            return;
+        }
+
+        this.checkRegister = this.checkRegister.filter(c => c.id !== checkId);
+        this.saveData(`מחיקת צ'יק ${check.checkNumber} מהפנקס`);
+        this.updateCheckRegister();
+    }
+
+    // Checkbooks
+    // Numeric value of a check number ('000123' -> 123), or null when it isn't a number
+    parseCheckNumber(value) {
+        const text = String(value || '').trim();
+        return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+    }
+
+    // Every check recorded under each number: Map(number -> [{ label, standalone }]).
+    // A register entry, the transaction it came from and the statement line that cleared it count as one check.
+    getCheckNumberUsage() {
+        const checkKeys = new Map(); // record id -> register entry key
+        this.checkRegister.forEach(c => {
+            if (c.transactionId !== undefined) checkKeys.set(c.transactionId, `reg:${c.id}`);
+            if (c.clearedBy !== undefined) checkKeys.set(c.clearedBy, `reg:${c.id}`);
+        });
+
+        const usage = new Map();
+        const add = (value, key, label, standalone = false) => {
+            const number = this.parseCheckNumber(value);
+            if (number === null) return;
+            if (!usage.has(number)) usage.set(number, new Map());
+            const checks = usage.get(number);
+            if (!checks.has(key)) checks.set(key, { label, standalone });
+        };
+        this.transactions.forEach(t => {
+            if (t.paymentMethod !== 'check' || !t.checkDetails) return;
+            add(t.checkDetails.checkNumber, checkKeys.get(t.id) || `t:${t.id}`, `${t.item} (${this.getMonthName(t.month)} ${t.year || this.currentYear})`);
+        });
+        this.importedCheckItems.forEach(item => {
+            add(item.checkNumber, checkKeys.get(item.id) || `i:${item.id}`, `${item.item} (${this.getMonthName(item.month)} ${item.year || this.currentYear})`);
+        });
+        this.checkRegister.forEach(c => {
+            add(c.checkNumber, `reg:${c.id}`, `צ'יק ל${c.payeeName} לפירעון ${this.formatDate(c.dueDate)}`, c.transactionId === undefined);
+        });
+
+        return new Map(Array.from(usage, ([number, checks]) => [number, Array.from(checks.values())]));
+    }
+
+    // Used, voided and missing numbers of a checkbook. Missing numbers are the gaps below the highest number used.
+    getCheckbookStatus(book, usage = this.getCheckNumberUsage()) {
+        const used = [];
+        for (let n = book.firstNumber; n <= book.lastNumber; n++) {
+            if (usage.has(n)) used.push(n);
+        }
+        const highest = used.length > 0 ? used[used.length - 1] : book.firstNumber - 1;
+
+        const missing = [];
+        let unused = 0;
+        for (let n = book.firstNumber; n <= book.lastNumber; n++) {
+            if (usage.has(n) || book.voided.includes(n)) continue;
+            if (n < highest) {
+                missing.push(n);
+            } else {
+                unused++;
+            }
+        }
+        return { used, missing, unused };
+    }
+
+    // Check a typed check number: digits only, not used by another check, inside a registered checkbook and not voided.
+    // Returns false when the user chose to fix it. allowStandalone skips register entries a check transaction will link to.
+    // An unchanged number is always accepted, so checks saved with free-text numbers can still be edited.
+    confirmCheckNumber(value, currentValue = '', allowStandalone = false) {
+        const text = String(value || '').trim();
+        if (text === String(currentValue || '').trim()) {
+            return true; // Unchanged
+        }
+        const number = this.parseCheckNumber(text);
+        if (number === null) {
+            return confirm(`מספר הצ'יק "${text}" אינו מספר, ולכן לא ייבדק מול פנקסי הצ'יקים.\n\nלהמשיך בכל זאת?`);
+        }
+        if (number === this.parseCheckNumber(currentValue)) {
+            return true; // Same number, written differently ('0123' / '123')
+        }
+
+        const warnings = [];
+        const uses = (this.getCheckNumberUsage().get(number) || []).filter(use => !(allowStandalone && use.standalone));
+        if (uses.length > 0) {
+            warnings.push(`צ'יק מספר ${number} כבר רשום: ${uses.map(use => use.label).join(', ')}`);
+        }
+        const book = this.checkbooks.find(b => number >= b.firstNumber && number <= b.lastNumber);
+        if (this.checkbooks.length > 0 && !book) {
+            warnings.push(`המספר ${number} אינו באף פנקס צ'יקים רשום`);
+        }
+        if (book && book.voided.includes(number)) {
+            warnings.push(`המספר ${number} סומן כמבוטל בפנקס "${book.name}"`);
+        }
+
+        return warnings.length === 0 || confirm(`${warnings.join('\n')}\n\nלהמשיך בכל זאת?`);
+    }
+
+    // Monthly view: gaps in the checkbooks and check numbers recorded twice
+    updateCheckSequenceSummary() {
+        const card = document.getElementById('checkSequenceSummary');
+        const container = document.getElementById('checkSequenceList');
+        if (!card || !container) return;
+
+        const usage = this.getCheckNumberUsage();
+        const duplicates = Array.from(usage).filter(([, uses]) => uses.length > 1).sort((a, b) => a[0] - b[0]);
+        if (this.checkbooks.length === 0 && duplicates.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = 'block';
+
+        container.innerHTML = `
+            ${this.checkbooks.map(book => {
+                const status = this.getCheckbookStatus(book, usage);
+                return `
+                    <div class="check-payment-item">
+                        <div class="check-payment-details">
+                            <div class="check-payment-number">${book.name} (${book.firstNumber}-${book.lastNumber})</div>
+                            <div class="check-payment-payee">
+                                ${status.used.length} בשימוש · ${book.voided.length} מבוטלים · ${status.unused} פנויים
+                            </div>
+                            ${status.missing.length > 0
+                                ? `<div style="margin-top: 5px; color: #c62828;">⚠️ מספרים חסרים (לא נרשמו ולא בוטלו): ${status.missing.join(', ')}</div>`
+                                : '<div style="margin-top: 5px; color: #2e7d32;">✅ אין פערים ברצף</div>'}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+            ${duplicates.map(([number, uses]) => `
+                <div class="check-payment-item" style="border-color: #c62828;">
+                    <div class="check-payment-details">
+                        <div class="check-payment-number" style="color: #c62828;">⚠️ צ'יק מספר ${number} רשום ${uses.length} פעמים</div>
+                        <div class="check-payment-payee">${uses.map(use => use.label).join(' · ')}</div>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // Add a checkbook from the settings form
+    createCheckbook() {
+        const name = document.getElementById('newCheckbookName').value.trim();
+        const firstNumber = this.parseCheckNumber(document.getElementById('newCheckbookFirst').value);
+        const lastNumber = this.parseCheckNumber(document.getElementById('newCheckbookLast').value);
+
+        if (!name || firstNumber === null || lastNumber === null) {
+            this.showNotification('יש להזין שם ומספר ראשון ואחרון', 'error');
+            return;
+        }
+        if (lastNumber < firstNumber || lastNumber - firstNumber >= 500) {
+            this.showNotification('טווח המספרים לא תקין (עד 500 צ\'יקים בפנקס)', 'error');
+            return;
+        }
+        const overlapping = this.checkbooks.find(b => firstNumber <= b.lastNumber && lastNumber >= b.firstNumber);
+        if (overlapping) {
+            this.showNotification(`הטווח חופף לפנקס "${overlapping.name}"`, 'error');
+            return;
+        }
+
+        this.checkbooks.push({ id: `b${Date.now()}`, name, firstNumber, lastNumber, voided: [] });
+        ['newCheckbookName', 'newCheckbookFirst', 'newCheckbookLast'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.saveData(`הוספת פנקס צ'יקים "${name}"`);
+        this.updateDisplay();
+        this.showNotification(`📒 הפנקס "${name}" נוסף`, 'success');
+    }
+
+    // Mark a check number as voided (torn or cancelled before use), or restore it
+    toggleVoidedCheck(bookId, value) {
+        const book = this.checkbooks.find(b => b.id === bookId);
+        const number = this.parseCheckNumber(value);
+        if (!book) return;
+        if (number === null || number < book.firstNumber || number > book.lastNumber) {
+            this.showNotification(`יש להזין מספר בין ${book.firstNumber} ל-${book.lastNumber}`, 'error');
+            return;
+        }
+
+        if (book.voided.includes(number)) {
+            book.voided = book.voided.filter(n => n !== number);
+            this.saveData(`ביטול סימון צ'יק ${number} כמבוטל`);
+        } else {
+            book.voided.push(number);
+            book.voided.sort((a, b) => a - b);
+            this.saveData(`סימון צ'יק ${number} כמבוטל`);
+        }
+        this.updateDisplay();
+    }
+
+    deleteCheckbook(bookId) {
+        const book = this.checkbooks.find(b => b.id === bookId);
+        if (!book || !confirm(`למחוק את פנקס הצ'יקים "${book.name}"? הצ'יקים עצמם לא יימחקו`)) {
+            return;
+        }
+
+        this.checkbooks = this.checkbooks.filter(b => b.id !== bookId);
+        this.saveData(`מחיקת פנקס צ'יקים "${book.name}"`);
+        this.updateDisplay();
+    }
+
+    // Render the checkbooks in settings
+    updateCheckbooksTable() {
+        const tbody = document.getElementById('checkbooksBody');
+        tbody.innerHTML = '';
+
+        if (this.checkbooks.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #999;">אין פנקסי צ\'יקים</td></tr>';
+            return;
+        }
+
+        const usage = this.getCheckNumberUsage();
+        this.checkbooks.forEach(book => {
+            const status = this.getCheckbookStatus(book, usage);
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${book.name}</td>
+                <td>${book.firstNumber}-${book.lastNumber}</td>
+                <td>${status.used.length}</td>
+                <td>
+                    ${book.voided.map(n => `<span class="tag-badge" style="cursor: pointer;" title="בטל סימון" onclick="budgetSystem.toggleVoidedCheck('${book.id}', '${n}')">${n} ✖</span>`).join(' ') || '-'}
+                </td>
+                <td style="${status.missing.length > 0 ? 'color: #c62828;' : ''}">${status.missing.join(', ') || '-'}</td>
+                <td class="action-buttons">
+                    <input type="text" id="voidCheck-${book.id}" placeholder="מספר" style="width: 70px; padding: 4px 8px; border: 1px solid #ddd; border-radius: 6px;">
+                    <button onclick="budgetSystem.toggleVoidedCheck('${book.id}', document.getElementById('voidCheck-${book.id}').value)" class="btn btn-secondary btn-small" title="סמן כמבוטל">🚫</button>
+                    <button onclick="budgetSystem.deleteCheckbook('${book.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
     }
 
-    // Show modal to edit opening balance
-    showOpeningBalanceModal(month) {
-        const monthName = this.getMonthName(month);
-        
-        // Get current balance or calculate from previous month
-        const key = `${this.currentYear}-${month}`;
-        let currentBalance = this.openingBalances.get(key);
-        if (currentBalance === undefined && month !== 1) {
-            // Calculate from previous month but don't save yet
-            const prevMonth = month === 1 ? 12 : month - 1;
-            const prevYear = month === 1 ? this.currentYear - 1 : this.currentYear;
-            const autoBalance = this.calculateClosingBalance(prevMonth, prevYear);
-            currentBalance = autoBalance !== 0 ? autoBalance : 0;
-        } else if (currentBalance === undefined) {
-            currentBalance = 0;
+    // Payee directory
+    // Directory entry for a payee name, by its name or one of its merged spellings
+    resolvePayee(name) {
+        const payeeName = String(name || '').trim();
+        if (!payeeName) return null;
+        return this.payees.find(p => p.name === payeeName || p.aliases.includes(payeeName)) || null;
+    }
+
+    // Add a typed payee name to the directory. Returns true when it is new.
+    rememberPayee(name) {
+        const payeeName = String(name || '').trim();
+        if (!payeeName || payeeName === 'לא צוין' || this.resolvePayee(payeeName)) {
+            return false;
         }
-        
-        const showInfo = month !== 1; // Show info for all months except January
-        
-        const modal = document.createElement('div');
-        modal.className = 'settings-modal';
-        modal.style.display = 'flex';
-        modal.innerHTML = `
-            <div class="settings-content">
-                <h3 style="color: #1f4e79; margin-bottom: 15px;">יתרת פתיחה - ${monthName}</h3>
-                ${showInfo ? `
-                    <div style="background: #e8f5e8; padding: 15px; border-radius: 8px; margin-bottom: 20px; border: 2px solid #4caf50;">
-                        <p style="margin: 0 0 10px 0; font-weight: 500; color: #2e7d32;">ℹ️ מידע:</p>
-                        <p style="margin: 0; font-size: 0.9rem; color: #333;">
-                            יתרת הפתיחה מחושבת אוטומטית מיתרת הסגירה של ${this.getMonthName(month === 1 ? 12 : month - 1)}.
-                            תוכל לערוך את הסכום אם נדרש.
-                        </p>
-                    </div>
-                ` : ''}
-                <div style="margin-bottom: 20px;">
-                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">יתרת עו"ש בתחילת ${monthName}:</label>
-                    <input type="number" id="openingBalanceInput" step="0.01" value="${currentBalance}" 
-                           style="width: 100%; padding: 10px; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem;">
-                </div>
-                <div style="display: flex; gap: 10px; justify-content: center;">
-                    <button id="saveBalanceBtn" class="btn btn-primary">שמור</button>
-                    <button id="cancelBalanceBtn" class="btn btn-secondary">בטל</button>
-                </div>
-            </div>
-        `;
-        
-        document.body.appendChild(modal);
-        
-        document.getElementById('openingBalanceInput').focus();
-        document.getElementById('openingBalanceInput').select();
-        
-        document.getElementById('saveBalanceBtn').addEventListener('click', () => {
-            const newBalance = parseFloat(document.getElementById('openingBalanceInput').value) || 0;
-            const key = `${this.currentYear}-${month}`;
-            this.openingBalances.set(key, newBalance);
-            this.manualOpeningBalances.add(key); // Mark as manually set
-            this.saveData();
-            this.updateBalanceSummary(month);
-            document.body.removeChild(modal);
-            this.showNotification(`יתרת הפתיחה ל${monthName} ${this.currentYear} עודכנה`, 'success');
-        });
-        
-        document.getElementById('cancelBalanceBtn').addEventListener('click', () => {
-            document.body.removeChild(modal);
+        this.payees.push({ id: `y${Date.now()}`, name: payeeName, aliases: [] });
+        this.updatePayeeSuggestions();
+        return true;
+    }
+
+    // Fill the payee autocomplete list of the check forms
+    updatePayeeSuggestions() {
+        const datalist = document.getElementById('payeeSuggestions');
+        if (!datalist) return;
+        datalist.innerHTML = this.payees
+            .map(p => p.name)
+            .sort((a, b) => a.localeCompare(b, 'he'))
+            .map(name => `<option value="${name.replace(/"/g, '&quot;')}"></option>`)
+            .join('');
+    }
+
+    // Everything paid to a payee, oldest first: check transactions and items under any of its spellings,
+    // transactions whose item is the payee's name, and written checks not yet in the ledger (pending).
+    getPayeeRecords(payee) {
+        const names = [payee.name, ...payee.aliases];
+        const records = [];
+
+        this.transactions.forEach(t => {
+            const isCheck = t.paymentMethod === 'check' && t.checkDetails && names.includes(String(t.checkDetails.payeeName || '').trim());
+            if (!isCheck && !names.includes(t.item.trim())) return;
+            records.push({
+                kind: 'transaction', record: t, item: t.item, amount: t.amount,
+                checkNumber: isCheck ? t.checkDetails.checkNumber : '', pending: false
+            });
         });
-        
-        // Close on outside click
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                document.body.removeChild(modal);
-            }
+        this.importedCheckItems.forEach(item => {
+            if (!names.includes(String(item.payeeName || '').trim())) return;
+            records.push({ kind: 'checkItem', record: item, item: item.item, amount: item.amount, checkNumber: item.checkNumber, pending: false });
         });
-        
-        // Save on Enter
-        document.getElementById('openingBalanceInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                document.getElementById('saveBalanceBtn').click();
-            }
+
+        // Register entries already in the ledger through their transaction or statement line are listed there
+        const inLedger = new Set(records.map(r => r.record.id));
+        this.checkRegister.forEach(c => {
+            if (!names.includes(String(c.payeeName || '').trim()) || inLedger.has(c.transactionId) || inLedger.has(c.clearedBy)) return;
+            if (c.status !== 'issued') return; // Bounced or cancelled - nothing was paid
+            const [year, month] = c.dueDate.split('-').map(Number);
+            records.push({
+                kind: 'check', record: { ...c, year, month, date: c.dueDate }, item: c.note || `צ'יק ${c.checkNumber}`,
+                amount: -c.amount, checkNumber: c.checkNumber, pending: true
+            });
         });
+
+        const sortKey = (r) => r.record.date || `${r.record.year || this.currentYear}-${String(r.record.month).padStart(2, '0')}-00`;
+        return records.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
     }
 
-    // Show modal to edit monthly notes
-    showMonthlyNotesModal(month) {
-        const monthName = this.getMonthName(month);
-        const currentNotes = this.getMonthlyNotes(month) || '';
-        
+    // Payee page: all checks and transactions to the payee with a total per year
+    showPayeePage(payeeId) {
+        const payee = this.payees.find(p => p.id === payeeId);
+        if (!payee) return;
+
+        const records = this.getPayeeRecords(payee);
+        const yearly = {};
+        records.filter(r => !r.pending).forEach(r => {
+            const year = r.record.year || this.currentYear;
+            yearly[year] = yearly[year] || { total: 0, count: 0 };
+            yearly[year].total += Math.abs(r.amount);
+            yearly[year].count++;
+        });
+        const kindLabels = { transaction: 'עסקה', checkItem: 'פריט שיק', check: 'צ\'יק ממתין לפירעון' };
+
         const modal = document.createElement('div');
         modal.className = 'settings-modal';
         modal.style.display = 'flex';
         modal.innerHTML = `
-            <div class="settings-content" style="width: 500px; max-width: 90vw;">
-                <h3 style="color: #1f4e79; margin-bottom: 15px;">הערות לחודש ${monthName}</h3>
-                <div style="margin-bottom: 20px;">
-                    <label style="display: block; margin-bottom: 8px; font-weight: 500;">הערות והוצאות מיוחדות:</label>
-                    <textarea id="monthlyNotesInput" rows="4" placeholder="לדוגמה: בונוס שנתי, חופשה, תיקונים בבית..."
-                              style="width: 100%; padding: 12px; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 1rem; resize: vertical; font-family: inherit;">${currentNotes}</textarea>
-                </div>
-                <div style="display: flex; gap: 10px; justify-content: center;">
-                    <button id="saveNotesBtn" class="btn btn-primary">שמור</button>
-                    <button id="cancelNotesBtn" class="btn btn-secondary">בטל</button>
+            <div class="settings-content" style="max-width: 800px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 10px; text-align: center;">👤 ${payee.name}</h3>
+                ${payee.aliases.length > 0 ? `<p style="color: #666; text-align: center; margin-bottom: 15px;">כתיבים נוספים: ${payee.aliases.join(', ')}</p>` : ''}
+                ${records.length === 0 ? '<p style="color: #666; text-align: center;">אין תשלומים למוטב זה</p>' : `
+                    <h4 style="color: #1f4e79; margin-bottom: 10px;">סה"כ לפי שנה</h4>
+                    <table class="data-table" style="margin-bottom: 20px;">
+                        <thead>
+                            <tr>
+                                <th>שנה</th>
+                                <th>תשלומים</th>
+                                <th>סה"כ</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${Object.keys(yearly).sort((a, b) => b - a).map(year => `
+                                <tr>
+                                    <td>${year}</td>
+                                    <td>${yearly[year].count}</td>
+                                    <td class="amount expense">${this.formatCurrency(yearly[year].total)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <h4 style="color: #1f4e79; margin-bottom: 10px;">כל התשלומים</h4>
+                    <div style="max-height: 350px; overflow-y: auto; margin-bottom: 20px;">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>תאריך</th>
+                                    <th>פריט</th>
+                                    <th>צ'יק</th>
+                                    <th>סוג</th>
+                                    <th>סכום</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${records.slice().reverse().map(r => `
+                                    <tr style="${r.pending ? 'color: #999;' : ''}">
+                                        <td>${r.record.date ? this.formatDate(r.record.date) : `${this.getMonthName(r.record.month)} ${r.record.year || this.currentYear}`}</td>
+                                        <td>${r.item}</td>
+                                        <td>${r.checkNumber || '-'}</td>
+                                        <td>${kindLabels[r.kind]}</td>
+                                        <td class="amount">${this.formatCurrency(r.amount)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                `}
+                <div style="display: flex; justify-content: center;">
+                    <button id="closePayeePageBtn" class="btn btn-secondary">סגור</button>
                 </div>
             </div>
         `;
-        
+
         document.body.appendChild(modal);
-        
-        document.getElementById('monthlyNotesInput').focus();
-        
-        document.getElementById('saveNotesBtn').addEventListener('click', () => {
-            const newNotes = document.getElementById('monthlyNotesInput').value.trim();
-            this.setMonthlyNotes(month, newNotes);
-            this.saveData();
-            this.updateBalanceSummary(month);
-            document.body.removeChild(modal);
-            this.showNotification(`הערות ל${monthName} ${this.currentYear} עודכנו`, 'success');
-        });
-        
-        document.getElementById('cancelNotesBtn').addEventListener('click', () => {
+
+        document.getElementById('closePayeePageBtn').addEventListener('click', () => {
             document.body.removeChild(modal);
         });
-        
+
         // Close on outside click
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
@@ -2141,182 +6545,339 @@ class BudgetSystem {
         });
     }
 
-    // Get monthly notes
-    getMonthlyNotes(month) {
-        if (!this.monthlyNotes) {
-            this.monthlyNotes = new Map();
+    // Rename a payee. The old name stays as a spelling, so records under it keep grouping.
+    renamePayee(payeeId) {
+        const payee = this.payees.find(p => p.id === payeeId);
+        const name = document.getElementById(`payeeName-${payeeId}`).value.trim();
+        if (!payee || !name || name === payee.name) return;
+
+        const existing = this.resolvePayee(name);
+        if (existing && existing !== payee) {
+            this.showNotification(`"${name}" כבר קיים - אפשר למזג את המוטבים`, 'error');
+            return;
         }
-        return this.monthlyNotes.get(`${this.currentYear}-${month}`);
+
+        const oldName = payee.name;
+        payee.aliases = payee.aliases.filter(alias => alias !== name);
+        payee.aliases.push(oldName);
+        payee.name = name;
+        this.saveData(`שינוי שם מוטב "${oldName}" ל"${name}"`);
+        this.updateDisplay();
     }
 
-    // Set monthly notes
-    setMonthlyNotes(month, notes) {
-        if (!this.monthlyNotes) {
-            this.monthlyNotes = new Map();
+    // Merge a variant spelling into another payee
+    mergePayee(sourceId, targetId) {
+        const source = this.payees.find(p => p.id === sourceId);
+        const target = this.payees.find(p => p.id === targetId);
+        if (!source || !target || source === target) return;
+        if (!confirm(`למזג את "${source.name}" לתוך "${target.name}"? כל התשלומים ל"${source.name}" יוצגו תחת "${target.name}"`)) {
+            this.updatePayeesTable();
+            return;
         }
-        this.monthlyNotes.set(`${this.currentYear}-${month}`, notes);
-    }
 
-    // Calculate closing balance for a month
-    calculateClosingBalance(month, year = this.currentYear) {
-        const monthlyTransactions = this.transactions.filter(t => {
-            const transactionYear = t.year || year;
-            return t.month === month && transactionYear === year;
-        });
-        const income = monthlyTransactions
-            .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + t.amount, 0);
-        const expenses = monthlyTransactions
-            .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + Math.abs(t.amount), 0);
-        const transfers = monthlyTransactions
-            .filter(t => t.type === 'transfer')
-            .reduce((sum, t) => sum + t.amount, 0);
-        const openingBalance = this.openingBalances.get(`${year}-${month}`) || 0;
-        
-        return openingBalance + income - expenses + transfers;
+        target.aliases.push(source.name, ...source.aliases);
+        this.payees = this.payees.filter(p => p !== source);
+        this.saveData(`מיזוג מוטב "${source.name}" לתוך "${target.name}"`);
+        this.updateDisplay();
+        this.showNotification(`👤 "${source.name}" מוזג לתוך "${target.name}"`, 'success');
     }
 
-    updateCategorySummary(month) {
-        const container = document.getElementById('categorySummary');
-        // Filter transactions - handle both old data (without year) and new data (with year)
-        const monthlyTransactions = this.transactions.filter(t => {
-            const transactionYear = t.year || this.currentYear; // Use current year if no year specified
-            return t.month === month && transactionYear === this.currentYear;
-        });
-        
-        // Group by category
-        const categoryTotals = {};
-        monthlyTransactions.forEach(transaction => {
-            const category = transaction.category || 'לא מקוטלג';
-            categoryTotals[category] = (categoryTotals[category] || 0) + transaction.amount;
-        });
-
-        // Sort categories by amount (descending)
-        const sortedCategories = Object.entries(categoryTotals)
-            .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]));
+    // Remove a merged spelling so it becomes a payee of its own again
+    splitPayeeAlias(payeeId, aliasIndex) {
+        const payee = this.payees.find(p => p.id === payeeId);
+        const alias = payee && payee.aliases[aliasIndex];
+        if (!alias) return;
 
-        container.innerHTML = '';
-        sortedCategories.forEach(([category, amount]) => {
-            const item = document.createElement('div');
-            item.className = 'category-item';
-            item.innerHTML = `
-                <span class="category-name">${category}</span>
-                <span class="category-amount ${amount >= 0 ? 'income' : 'expense'}">${this.formatCurrency(amount)}</span>
-            `;
-            container.appendChild(item);
-        });
+        payee.aliases = payee.aliases.filter(a => a !== alias);
+        this.payees.push({ id: `y${Date.now()}`, name: alias, aliases: [] });
+        this.saveData(`הפרדת "${alias}" מהמוטב "${payee.name}"`);
+        this.updateDisplay();
+    }
 
-        if (sortedCategories.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #666;">אין נתונים לחודש זה</p>';
+    deletePayee(payeeId) {
+        const payee = this.payees.find(p => p.id === payeeId);
+        if (!payee || !confirm(`למחוק את "${payee.name}" מרשימת המוטבים? התשלומים עצמם לא יימחקו`)) {
+            return;
         }
+
+        this.payees = this.payees.filter(p => p !== payee);
+        this.saveData(`מחיקת מוטב "${payee.name}"`);
+        this.updateDisplay();
     }
 
-    // Update actual expenses summary (excluding checks and income)
-    updateActualExpensesSummary(month) {
-        const container = document.getElementById('actualExpensesSummary');
-        const monthName = this.getMonthName(month);
+    // Render the payee directory in settings
+    updatePayeesTable() {
+        const tbody = document.getElementById('payeesBody');
+        tbody.innerHTML = '';
 
-        // Update the title with the month name
-        document.getElementById('actualExpensesTitle').textContent = `💰 הוצאות ${monthName}`;
+        if (this.payees.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #999;">אין מוטבים</td></tr>';
+            return;
+        }
 
-        // Filter transactions - handle both old data (without year) and new data (with year)
-        const monthlyTransactions = this.transactions.filter(t => {
-            const transactionYear = t.year || this.currentYear;
-            return t.month === month && transactionYear === this.currentYear;
-        });
+        const inputStyle = 'padding: 6px 10px; border: 1px solid #ddd; border-radius: 6px; font-family: inherit;';
+        this.payees
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name, 'he'))
+            .forEach(payee => {
+                const records = this.getPayeeRecords(payee).filter(r => !r.pending);
+                const total = records.reduce((sum, r) => sum + Math.abs(r.amount), 0);
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td><input type="text" id="payeeName-${payee.id}" value="${payee.name.replace(/"/g, '&quot;')}" style="${inputStyle}"></td>
+                    <td>
+                        ${payee.aliases.map((alias, index) => `<span class="tag-badge" style="cursor: pointer;" title="הפרד למוטב נפרד" onclick="budgetSystem.splitPayeeAlias('${payee.id}', ${index})">${alias} ✖</span>`).join(' ') || '-'}
+                    </td>
+                    <td>${records.length}</td>
+                    <td class="amount">${this.formatCurrency(total)}</td>
+                    <td class="action-buttons">
+                        <button onclick="budgetSystem.renamePayee('${payee.id}')" class="btn btn-secondary btn-small" title="שמור שם">💾</button>
+                        <button onclick="budgetSystem.showPayeePage('${payee.id}')" class="btn btn-secondary btn-small" title="תשלומים">📄</button>
+                        <select onchange="if (this.value) budgetSystem.mergePayee('${payee.id}', this.value)" title="מזג לתוך מוטב אחר" style="${inputStyle}">
+                            <option value="">מזג לתוך...</option>
+                            ${this.payees.filter(p => p !== payee).map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
+                        </select>
+                        <button onclick="budgetSystem.deletePayee('${payee.id}')" class="btn btn-danger btn-small" title="מחק">🗑️</button>
+                    </td>
+                `;
+                tbody.appendChild(row);
+            });
+    }
 
-        // Filter using the new includeInMonthlyExpenses property
-        // Exclude check payments
-        const actualExpenses = monthlyTransactions.filter(t => {
-            // Exclude check payments
-            if (t.paymentMethod === 'check') {
-                return false;
+    // Deposit register
+    // Each הפקדה opens a deposit. Withdrawals and interest are paired to the deposit chosen by hand (depositId),
+    // otherwise to the oldest deposit that still has principal outstanding.
+    getDepositRegister() {
+        const dateKey = (t) => t.date || `${t.year || this.currentYear}-${String(t.month).padStart(2, '0')}-00`;
+        const movements = this.transactions
+            .filter(t => t.type !== 'transfer' && this.getDepositMovement(t.item))
+            .sort((a, b) => dateKey(a).localeCompare(dateKey(b)) || a.id - b.id);
+
+        const deposits = movements
+            .filter(t => this.getDepositMovement(t.item) === 'deposit')
+            .map(t => ({ transaction: t, principal: Math.abs(t.amount), repaid: 0, interest: 0, movements: [] }));
+        const unpaired = [];
+
+        movements.filter(t => this.getDepositMovement(t.item) !== 'deposit').forEach(t => {
+            const kind = this.getDepositMovement(t.item);
+            const amount = Math.abs(t.amount);
+            let deposit;
+            if (t.depositId) {
+                deposit = deposits.find(d => d.transaction.id === t.depositId);
+            } else {
+                const opened = deposits.filter(d => dateKey(d.transaction) <= dateKey(t));
+                deposit = opened.find(d => d.repaid < d.principal) ||
+                    (kind === 'interest' ? opened[opened.length - 1] : null); // Interest after the last payoff
             }
-            // Include only if item is marked for monthly expenses
-            return this.shouldIncludeInMonthlyExpenses(t.item);
-        });
 
-        // Group by item name for display
-        const itemTotals = {};
-        actualExpenses.forEach(transaction => {
-            const item = transaction.item || 'לא מזוהה';
-            itemTotals[item] = (itemTotals[item] || 0) + Math.abs(transaction.amount);
+            if (!deposit) {
+                unpaired.push(t);
+                return;
+            }
+            deposit.movements.push(t);
+            if (kind === 'interest') {
+                deposit.interest += amount;
+            } else {
+                // A payoff above the outstanding principal includes the interest
+                const principalPart = Math.min(amount, deposit.principal - deposit.repaid);
+                deposit.repaid += principalPart;
+                deposit.interest += amount - principalPart;
+            }
         });
 
-        // Sort items by amount (descending)
-        const sortedItems = Object.entries(itemTotals)
-            .sort((a, b) => b[1] - a[1]);
-
-        // Calculate total
-        const totalExpenses = actualExpenses.reduce((sum, t) => sum + Math.abs(t.amount), 0);
-
-        container.innerHTML = '';
-
-        // Add table
-        const table = document.createElement('table');
-        table.className = 'expenses-table';
-        table.innerHTML = `
-            <thead>
-                <tr>
-                    <th>פריט</th>
-                    <th>סכום</th>
-                    <th>אחוז</th>
-                </tr>
-            </thead>
-            <tbody>
-                ${sortedItems.map(([item, amount]) => {
-                    const percentage = totalExpenses > 0 ? ((amount / totalExpenses) * 100).toFixed(1) : 0;
-                    return `
-                        <tr>
-                            <td>${item}</td>
-                            <td class="amount-cell">₪${amount.toFixed(2)}</td>
-                            <td class="percentage-cell">${percentage}%</td>
-                        </tr>
-                    `;
-                }).join('')}
-            </tbody>
-            <tfoot>
-                <tr class="total-row">
-                    <td><strong>סה"כ הוצאות בפועל:</strong></td>
-                    <td class="amount-cell"><strong>₪${totalExpenses.toFixed(2)}</strong></td>
-                    <td class="percentage-cell"><strong>100%</strong></td>
+        deposits.forEach(d => {
+            d.outstanding = d.principal - d.repaid;
+        });
+        return { deposits, unpaired };
+    }
+
+    // Date label of a deposit movement: the exact date when known, otherwise its month
+    getDepositDateLabel(transaction) {
+        return transaction.date ? this.formatDate(transaction.date) : `${this.getMonthName(transaction.month)} ${transaction.year || this.currentYear}`;
+    }
+
+    // Render the deposit register and maturity calendar in the dashboard
+    updateDepositRegister() {
+        const section = document.getElementById('depositRegisterSection');
+        if (!section) return;
+
+        const { deposits, unpaired } = this.getDepositRegister();
+        if (deposits.length === 0 && unpaired.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = '';
+
+        const open = deposits.filter(d => d.outstanding > 0);
+        const totalOutstanding = open.reduce((sum, d) => sum + d.outstanding, 0);
+        const totalInterest = deposits.reduce((sum, d) => sum + d.interest, 0);
+        const today = new Date().toISOString().slice(0, 10);
+
+        document.getElementById('depositSummary').innerHTML = `
+            <div class="kpi-grid">
+                <div class="kpi-item">
+                    <span class="kpi-label">קרן פתוחה:</span>
+                    <span class="kpi-value">${this.formatCurrency(totalOutstanding)}</span>
+                </div>
+                <div class="kpi-item">
+                    <span class="kpi-label">פיקדונות פתוחים:</span>
+                    <span class="kpi-value">${open.length}</span>
+                </div>
+                <div class="kpi-item income">
+                    <span class="kpi-label">ריבית שנצברה:</span>
+                    <span class="kpi-value">${this.formatCurrency(totalInterest)}</span>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('depositRegisterBody').innerHTML = deposits.slice().reverse().map(d => {
+            const t = d.transaction;
+            const overdue = d.outstanding > 0 && t.maturityDate && t.maturityDate < today;
+            const status = d.outstanding <= 0 ? '✅ נפרע' : overdue ? '⚠️ עבר מועד הפירעון' : d.repaid > 0 ? 'נפרע חלקית' : 'פתוח';
+            return `
+                <tr>
+                    <td>${t.item}${t.note ? ` <small style="color: #666;">(${t.note})</small>` : ''}</td>
+                    <td>${this.getDepositDateLabel(t)}</td>
+                    <td class="amount">${this.formatCurrency(d.principal)}</td>
+                    <td class="amount">${this.formatCurrency(d.repaid)}</td>
+                    <td class="amount"><strong>${this.formatCurrency(d.outstanding)}</strong></td>
+                    <td class="amount income">${this.formatCurrency(d.interest)}</td>
+                    <td><input type="date" value="${t.maturityDate || ''}" onchange="budgetSystem.setDepositMaturity(${t.id}, this.value)"></td>
+                    <td style="${overdue ? 'color: #c62828;' : ''}">${status}</td>
                 </tr>
-            </tfoot>
+            `;
+        }).join('');
+
+        // Maturity calendar: open deposits by the month they mature
+        const scheduled = open.filter(d => d.transaction.maturityDate)
+            .sort((a, b) => a.transaction.maturityDate.localeCompare(b.transaction.maturityDate));
+        const byMonth = {};
+        scheduled.forEach(d => {
+            const monthKey = d.transaction.maturityDate.slice(0, 7);
+            (byMonth[monthKey] = byMonth[monthKey] || []).push(d);
+        });
+        const undated = open.length - scheduled.length;
+
+        document.getElementById('depositCalendar').innerHTML = `
+            ${Object.entries(byMonth).map(([monthKey, items]) => {
+                const [year, month] = monthKey.split('-');
+                return `
+                    <div style="margin-bottom: 12px;">
+                        <strong>${this.getMonthName(parseInt(month))} ${year}</strong>
+                        <span style="color: #666;"> - ${this.formatCurrency(items.reduce((sum, d) => sum + d.outstanding, 0))}</span>
+                        <ul style="margin: 4px 20px 0 0;">
+                            ${items.map(d => `
+                                <li style="${d.transaction.maturityDate < today ? 'color: #c62828;' : ''}">
+                                    ${this.formatDate(d.transaction.maturityDate)} - ${d.transaction.item}: ${this.formatCurrency(d.outstanding)}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `;
+            }).join('') || '<p style="color: #999;">אין פיקדונות פתוחים עם מועד פירעון</p>'}
+            ${undated > 0 ? `<p style="color: #666;">${undated} פיקדונות פתוחים ללא מועד פירעון - אפשר להזין אותו בטבלה</p>` : ''}
+            ${unpaired.length > 0 ? `<p style="color: #c62828;">⚠️ ${unpaired.length} משיכות ללא פיקדון פתוח: ${unpaired.map(t => `${t.item} (${this.getDepositDateLabel(t)})`).join(', ')}</p>` : ''}
         `;
+    }
 
-        container.appendChild(table);
+    // Set (or clear) the maturity date of a deposit
+    setDepositMaturity(transactionId, value) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        if (!transaction || (transaction.maturityDate || '') === value) return;
+        if (!this.ensureYearUnlocked(transaction.year || this.currentYear)) {
+            this.updateDepositRegister(); // Put the date back
+            return;
+        }
 
-        if (sortedItems.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #666;">אין הוצאות בפועל לחודש זה</p>';
+        this.addTransactionHistory(transaction, 'edited', [{ field: 'maturityDate', from: transaction.maturityDate || null, to: value || null }]);
+        if (value) {
+            transaction.maturityDate = value;
+        } else {
+            delete transaction.maturityDate;
         }
+        this.saveData(`מועד פירעון ל"${transaction.item}"`);
+        this.updateDepositRegister();
     }
 
-    updateMonthlyTransactions(month) {
-        const container = document.getElementById('monthlyTransactions');
-        // Filter transactions - handle both old data (without year) and new data (with year)
-        const monthlyTransactions = this.transactions
-            .filter(t => {
-                const transactionYear = t.year || this.currentYear; // Use current year if no year specified
-                return t.month === month && transactionYear === this.currentYear;
-            })
-            .sort((a, b) => b.id - a.id); // Sort by id (newest first)
+    // List withdrawals and interest with the deposit each is paired to
+    showDepositPairing() {
+        const { deposits } = this.getDepositRegister();
+        const pairedTo = new Map();
+        deposits.forEach(d => d.movements.forEach(t => pairedTo.set(t.id, d)));
+        const movements = this.transactions
+            .filter(t => t.type !== 'transfer' && ['withdrawal', 'interest'].includes(this.getDepositMovement(t.item)))
+            .sort((a, b) => ((b.year || this.currentYear) * 12 + b.month) - ((a.year || this.currentYear) * 12 + a.month));
+
+        const depositLabel = (d) => `${d.transaction.item} - ${this.getDepositDateLabel(d.transaction)} (${this.formatCurrency(d.principal)})`;
+        const depositOptions = (transaction) => [
+            `<option value="" ${!transaction.depositId ? 'selected' : ''}>אוטומטי${!transaction.depositId && pairedTo.has(transaction.id) ? ` (${depositLabel(pairedTo.get(transaction.id))})` : ''}</option>`,
+            ...deposits.map(d => `<option value="${d.transaction.id}" ${transaction.depositId === d.transaction.id ? 'selected' : ''}>${depositLabel(d)}</option>`)
+        ].join('');
 
-        container.innerHTML = '';
-        monthlyTransactions.forEach(transaction => {
-            const item = document.createElement('div');
-            item.className = 'transaction-item';
-            item.innerHTML = `
-                <span class="transaction-item-name">${transaction.item}</span>
-                <span class="transaction-amount ${transaction.type}">${this.formatCurrency(transaction.amount)}</span>
-                <span class="type-badge ${transaction.type}">${this.getTypeLabel(transaction.type)}</span>
-            `;
-            container.appendChild(item);
+        const modal = document.createElement('div');
+        modal.className = 'settings-modal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="settings-content" style="max-width: 800px; text-align: right;">
+                <h3 style="color: #1f4e79; margin-bottom: 15px; text-align: center;">🔗 שיוך משיכות וריבית לפיקדונות</h3>
+                <div style="max-height: 450px; overflow-y: auto; margin-bottom: 20px;">
+                    ${movements.length === 0 ? '<p style="color: #666; text-align: center;">אין משיכות או ריבית מפיקדון</p>' : `
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>תאריך</th>
+                                    <th>פריט</th>
+                                    <th>סכום</th>
+                                    <th>פיקדון</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${movements.map(t => `
+                                    <tr>
+                                        <td>${this.getDepositDateLabel(t)}</td>
+                                        <td>${t.item}</td>
+                                        <td class="amount income">${this.formatCurrency(Math.abs(t.amount))}</td>
+                                        <td><select onchange="budgetSystem.pairDepositMovement(${t.id}, this.value)" ${this.isYearLocked(t.year || this.currentYear) ? 'disabled' : ''}>${depositOptions(t)}</select></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+                <div style="display: flex; justify-content: center;">
+                    <button id="closeDepositPairingBtn" class="btn btn-secondary">סגור</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('closeDepositPairingBtn').addEventListener('click', () => {
+            document.body.removeChild(modal);
         });
 
-        if (monthlyTransactions.length === 0) {
-            container.innerHTML = '<p style="text-align: center; color: #666;">אין עסקאות לחודש זה</p>';
+        // Close on outside click
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                document.body.removeChild(modal);
+            }
+        });
+    }
+
+    // Pair a withdrawal or interest payment with a deposit by hand ('' = automatic)
+    pairDepositMovement(transactionId, depositId) {
+        const transaction = this.transactions.find(t => t.id === transactionId);
+        const newDepositId = depositId ? parseFloat(depositId) : null;
+        if (!transaction || (transaction.depositId || null) === newDepositId || !this.ensureYearUnlocked(transaction.year || this.currentYear)) return;
+
+        this.addTransactionHistory(transaction, 'edited', [{ field: 'depositId', from: transaction.depositId || null, to: newDepositId }]);
+        if (newDepositId) {
+            transaction.depositId = newDepositId;
+        } else {
+            delete transaction.depositId;
         }
+        this.saveData(`שיוך "${transaction.item}" לפיקדון`);
+        this.updateDepositRegister();
     }
 
     // Dashboard
@@ -2325,7 +6886,12 @@ class BudgetSystem {
         this.updateMonthlyKPIs(selectedMonth);
         this.updateAnnualKPIs();
         this.updateCategoryBreakdown(selectedMonth);
+        this.updateBudgetComparison(selectedMonth, 'dashboardBudgetCard', 'dashboardBudgetSummary');
+        this.updateSavingsGoalsPanel();
+        this.updateLoansPanel();
         this.updateMonthlyTrend();
+        this.updateDepositRegister();
+        this.updateCheckRegister();
         this.updateAnnualSummaryTable();
     }
 
@@ -2390,9 +6956,9 @@ class BudgetSystem {
 
         const totalExpenses = monthlyTransactions.reduce((sum, t) => sum + Math.abs(t.amount), 0);
         
-        // Group by category
+        // Group by category (split transactions count per line)
         const categoryTotals = {};
-        monthlyTransactions.forEach(transaction => {
+        monthlyTransactions.flatMap(t => this.getCategoryLines(t)).forEach(transaction => {
             const category = transaction.category || 'לא מקוטלג';
             categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(transaction.amount);
         });
@@ -2405,10 +6971,11 @@ class BudgetSystem {
         container.innerHTML = '';
         sortedCategories.forEach(([category, amount]) => {
             const percentage = (amount / totalExpenses) * 100;
+            const planned = this.getBudgetAmount(category, month);
             const item = document.createElement('div');
-            item.className = 'breakdown-item';
+            item.className = `breakdown-item${planned !== null && amount > planned ? ' over-budget' : ''}`;
             item.innerHTML = `
-                <span>${category}</span>
+                <span>${category}${planned !== null ? ` <small style="color: #666;">(${this.formatCurrency(amount)} מתוך ${this.formatCurrency(planned)})</small>` : ''}</span>
                 <span class="breakdown-percentage">${percentage.toFixed(1)}%</span>
             `;
             container.appendChild(item);
@@ -2593,15 +7160,56 @@ class BudgetSystem {
     }
 
     // Utility functions
-    formatCurrency(amount) {
+    formatCurrency(amount, currency = 'ILS') {
         const formattedAmount = new Intl.NumberFormat('he-IL', {
             style: 'currency',
-            currency: 'ILS'
+            currency: currency
         }).format(Math.abs(amount));
         
         return amount < 0 ? `(${formattedAmount})` : formattedAmount;
     }
 
+    // Normalize a date string (YYYY-MM-DD, DD/MM/YYYY or DD.MM.YYYY) to YYYY-MM-DD; '' if not a valid date
+    normalizeTransactionDate(value) {
+        const text = String(value || '').trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        let year, month, day;
+        if (match) {
+            [, year, month, day] = match;
+        } else {
+            match = text.match(/^(\d{1,2})[\/.](\d{1,2})[\/.](\d{4})/);
+            if (!match) return '';
+            [, day, month, year] = match;
+        }
+
+        const date = new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+        if (date.getUTCMonth() !== parseInt(month) - 1 || date.getUTCDate() !== parseInt(day)) {
+            return ''; // e.g. 31/02
+        }
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    // YYYY-MM-DD -> DD/MM/YYYY
+    formatDate(isoDate) {
+        const [year, month, day] = isoDate.split('-');
+        return `${day}/${month}/${year}`;
+    }
+
+    // Sort helper: dated records chronologically before undated ones; ties use the view's own order
+    compareByDate(a, b, fallback, newestFirst = false) {
+        if (a.date && b.date && a.date !== b.date) {
+            return newestFirst ? b.date.localeCompare(a.date) : a.date.localeCompare(b.date);
+        }
+        if (a.date && !b.date) return -1;
+        if (!a.date && b.date) return 1;
+        return fallback();
+    }
+
+    // True when both records have an exact date and the dates are different
+    datesDiffer(a, b) {
+        return !!(a.date && b.date && a.date !== b.date);
+    }
+
     getTypeLabel(type) {
         const labels = {
             'income': 'הכנסה',
@@ -2624,24 +7232,23 @@ class BudgetSystem {
     }
 
     // Data persistence
-    saveData() {
-        const data = {
-            transactions: this.transactions,
-            importedCheckItems: this.importedCheckItems, // Save imported check items
-            mappings: Array.from(this.mappings.entries()),
-            incomeItems: Array.from(this.incomeItems),
-            categories: this.categories,
-            openingBalances: Array.from(this.openingBalances.entries()),
-            manualOpeningBalances: Array.from(this.manualOpeningBalances),
-            monthlyNotes: this.monthlyNotes ? Array.from(this.monthlyNotes.entries()) : [],
-            lastSelectedMonth: this.lastSelectedMonth,
-            lastSelectedYear: this.lastSelectedYear,
-            lastSelectedColor: this.lastSelectedColor
-        };
-        localStorage.setItem('budgetData', JSON.stringify(data));
+    // historyLabel names the undo step (Hebrew, shown in the UI); null saves without an undo step
+    saveData(historyLabel = 'עדכון נתונים') {
+        const data = BudgetSnapshot.fromSystem(this);
+        this.history.record(data, historyLabel);
+        this.updateUndoButtons();
+        if (this.storage) {
+            // Only records that changed are written
+            this.storage.save(data).catch(error => {
+                console.error('Error saving to IndexedDB:', error);
+                this.showNotification('❌ שגיאה בשמירת הנתונים', 'error');
+            });
+        } else {
+            localStorage.setItem(this.profiles.getStorageKey('budgetData'), JSON.stringify(data));
+        }
         // Also save year separately as backup
         if (this.lastSelectedYear !== null && this.lastSelectedYear !== undefined) {
-            localStorage.setItem('lastSelectedYear', this.lastSelectedYear.toString());
+            localStorage.setItem(this.profiles.getStorageKey('lastSelectedYear'), this.lastSelectedYear.toString());
         }
         
         // Trigger Dropbox auto-sync if enabled
@@ -2650,11 +7257,73 @@ class BudgetSystem {
         }
     }
 
-    loadData() {
-        const savedData = localStorage.getItem('budgetData');
-        if (savedData) {
+    // Label for an import undo step, e.g. "ייבוא 42 עסקאות לפברואר"
+    getImportLabel(count, month) {
+        return month ? `ייבוא ${count} עסקאות ל${this.getMonthName(month)}` : `ייבוא ${count} עסקאות`;
+    }
+
+    // Undo the last ledger change
+    undo() {
+        const result = this.history.undo();
+        if (!result) {
+            this.showNotification('אין פעולה לביטול', 'info');
+            return;
+        }
+        this.restoreHistoryState(result.data);
+        this.showNotification(`↩️ בוטל: ${result.label}`, 'info');
+    }
+
+    // Redo the last undone change
+    redo() {
+        const result = this.history.redo();
+        if (!result) {
+            this.showNotification('אין פעולה לביצוע מחדש', 'info');
+            return;
+        }
+        this.restoreHistoryState(result.data);
+        this.showNotification(`↪️ בוצע מחדש: ${result.label}`, 'info');
+    }
+
+    // Load a ledger state from the undo history and refresh every view
+    restoreHistoryState(data) {
+        BudgetSnapshot.applyTo(this, data);
+        this.saveData(null); // History already matches this state
+        this.updateDisplay();
+        this.updateImportedCheckItemsSummary();
+    }
+
+    // Enable/disable the undo/redo buttons and show what they will do
+    updateUndoButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (!undoBtn || !redoBtn) return;
+
+        const undoLabel = this.history.getUndoLabel();
+        const redoLabel = this.history.getRedoLabel();
+        undoBtn.disabled = !undoLabel;
+        redoBtn.disabled = !redoLabel;
+        undoBtn.title = undoLabel ? `בטל: ${undoLabel} (Ctrl+Z)` : 'אין פעולה לביטול';
+        redoBtn.title = redoLabel ? `בצע מחדש: ${redoLabel} (Ctrl+Y)` : 'אין פעולה לביצוע מחדש';
+    }
+
+    async loadData() {
+        let data = null;
+        try {
+            data = await this.storage.load();
+        } catch (error) {
+            // IndexedDB unavailable (private mode, old browser) - keep using the localStorage blob
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+            this.storage = null;
+            const savedData = localStorage.getItem(this.profiles.getStorageKey('budgetData'));
+            try {
+                data = savedData ? JSON.parse(savedData) : null;
+            } catch (parseError) {
+                console.error('Error loading saved data:', parseError);
+            }
+        }
+
+        if (data) {
             try {
-                const data = JSON.parse(savedData);
 
                 // Load lastSelectedYear FIRST before using this.currentYear
                 if (data.lastSelectedYear) {
@@ -2662,267 +7331,33 @@ class BudgetSystem {
                     this.currentYear = this.lastSelectedYear;
                 } else {
                     // Try loading from separate storage as backup
-                    const savedYear = localStorage.getItem('lastSelectedYear');
+                    const savedYear = localStorage.getItem(this.profiles.getStorageKey('lastSelectedYear'));
                     if (savedYear) {
                         this.lastSelectedYear = parseInt(savedYear);
                         this.currentYear = this.lastSelectedYear;
                     }
                 }
 
-                // Load lastSelectedMonth
-                if (data.lastSelectedMonth) {
-                    this.lastSelectedMonth = data.lastSelectedMonth;
-                }
-
-                // Load lastSelectedColor
-                if (data.lastSelectedColor) {
-                    this.lastSelectedColor = data.lastSelectedColor;
-                }
+                // Upgrade old data before using it. Saved data is never dropped for failing validation.
+                const migrations = this.restoreSnapshot(data, { fallbackYear: this.currentYear, strict: false });
 
-                this.transactions = data.transactions || [];
-                this.importedCheckItems = data.importedCheckItems || []; // Load imported check items
+                console.log(`Loaded ${this.transactions.length} transactions for year ${this.currentYear}`);
 
-                // Update old transactions - fix data types and add missing fields
-                let dataUpdated = false;
-                this.transactions.forEach(transaction => {
-                    // Fix 1: Add year if missing
-                    if (!transaction.year) {
-                        transaction.year = this.currentYear;
-                        dataUpdated = true;
-                    }
-                    
-                    // Fix 2: Convert month from STRING to INTEGER if needed
-                    if (typeof transaction.month === 'string') {
-                        transaction.month = parseInt(transaction.month);
-                        dataUpdated = true;
-                        console.log(`Fixed month type for transaction: ${transaction.item} - month changed from string to ${transaction.month}`);
-                    }
-                    
-                    // Fix 3: Update categories for items that now have proper mappings
-                    // Also remove quote characters from item names
-                    const itemName = transaction.item.trim();
-                    const itemNameClean = itemName.replace(/["״]/g, '');
-                    
-                    // Remove quotes from item if present
-                    if (itemName !== itemNameClean) {
-                        transaction.item = itemNameClean;
-                        dataUpdated = true;
-                    }
-                    
-                    // Fix category for ביטוח לאומי variants - ALWAYS update
-                    if (itemNameClean === 'ביטוח לאומי' || itemNameClean === 'ביטוח לאומי ג' || itemNameClean.startsWith('ביטוח לאומי ג')) {
-                        if (transaction.category !== 'ביטוח לאומי') {
-                            transaction.category = 'ביטוח לאומי';
-                            dataUpdated = true;
-                        }
-                    }
-                });
-                
-                if (dataUpdated) {
-                    console.log('✅ Updated old transactions (year, month type, and category fixes)');
-                    // Save the updated data back to localStorage
-                    setTimeout(() => this.saveData(), 100);
-                }
-                
-                if (data.mappings) {
-                    this.mappings = new Map();
-                    // Convert old format to new format if needed
-                    data.mappings.forEach(([item, value]) => {
-                        if (typeof value === 'string') {
-                            // Old format: convert to new object format
-                            this.mappings.set(item, {
-                                category: value,
-                                includeInMonthlyExpenses: true // Default to true for old mappings
-                            });
-                            dataUpdated = true;
-                        } else if (value && typeof value === 'object') {
-                            // New format: use as is, but ensure includeInMonthlyExpenses exists
-                            this.mappings.set(item, {
-                                category: value.category || 'לא מקוטלג',
-                                includeInMonthlyExpenses: value.includeInMonthlyExpenses !== false
-                            });
-                        } else {
-                            // Fallback
-                            this.mappings.set(item, {
-                                category: 'לא מקוטלג',
-                                includeInMonthlyExpenses: true
-                            });
-                        }
-                    });
-                    
-                    // Merge new default mappings that don't exist yet
-                    const defaultMappings = [
-                        ['משכורת', 'משכורת', false],
-                        ['ביטוח לאומי', 'ביטוח לאומי', false],
-                        ['ביטוח לאומי ג"', 'ביטוח לאומי', false],
-                        ['ביטוח לאומי ג״', 'ביטוח לאומי', false],
-                        ['ביטוח לאומי ג', 'ביטוח לאומי', false],
-                        ['מענק עבודה', 'משכורת', false],
-                        ['סופרסל', 'כלכלה', true],
-                        ['הראל בטוח', 'מיסים', false],
-                        ['מנורה', 'מיסים', false],
-                        ['פניקס', 'מיסים', false],
-                        ['מכבי', 'מיסים', false],
-                        ['כרטיסיה', 'נסיעות', true],
-                        ['מונית', 'נסיעות', true],
-                        ['רב קו', 'נסיעות', true],
-                        ['נסיעות', 'נסיעות', true],
-                        ['עמלת בנק', 'עמלת בנק', false],
-                        ['ע.מפעולות-ישיר', 'עמלת בנק', false],
-                        ['רופא', 'טיפול רפואי', true],
-                        ['בית מרקחת', 'טיפול רפואי', true],
-                        ['רופא שיניים', 'טיפול רפואי', true],
-                        ['ביגוד', 'ביגוד', true],
-                        ['תספורת', 'ביגוד', true],
-                        ['ספר', 'חינוך ותרבות', true],
-                        ['קורס', 'חינוך ותרבות', true],
-                        ['קולנוע', 'חינוך ותרבות', true],
-                        ['מוזיאון', 'חינוך ותרבות', true],
-                        ['טיול', 'חינוך ותרבות', true],
-                        ['מתנ"ס', 'חינוך ותרבות', true],
-                        ['פלאפון', 'מיסים', false],
-                        ['מיסים', 'מיסים', false],
-                        ['חשמל', 'מיסים', false],
-                        ['סלקום', 'מיסים', false],
-                        ['אינטרנט', 'מיסים', false],
-                        ['מי רמת גן', 'מיסים', false],
-                        ['תמי 4', 'מיסים', false],
-                        ['סופר גז', 'מיסים', false],
-                        ['ארנונה', 'מיסים', false],
-                        ['עיריה', 'מיסים', false]
-                    ];
-                    
-                    // Add new mappings that don't exist
-                    defaultMappings.forEach(([item, category, includeInMonthlyExpenses]) => {
-                        if (!this.mappings.has(item)) {
-                            this.mappings.set(item, {
-                                category: category,
-                                includeInMonthlyExpenses: includeInMonthlyExpenses
-                            });
-                            dataUpdated = true;
-                            console.log(`Added new mapping: ${item} → ${category}`);
-                        }
-                    });
-                } else {
-                    // No saved mappings, initialize from defaults
-                    this.initializeDefaultMappings();
-                }
-                if (data.incomeItems) {
-                    this.incomeItems = new Set(data.incomeItems);
-                    // Make sure all default income items exist
-                    const defaultIncomeItems = [
-                        'משכורת',
-                        'ביטוח לאומי',
-                        'ביטוח לאומי ג"',
-                        'ביטוח לאומי ג״',
-                        'ביטוח לאומי ג',
-                        'מענק עבודה'
-                    ];
-                    defaultIncomeItems.forEach(item => {
-                        if (!this.incomeItems.has(item)) {
-                            this.incomeItems.add(item);
-                            dataUpdated = true;
-                        }
-                    });
-                } else {
-                    this.incomeItems = new Set([
-                        'משכורת',
-                        'ביטוח לאומי',
-                        'ביטוח לאומי ג"',
-                        'ביטוח לאומי ג״',
-                        'ביטוח לאומי ג',
-                        'מענק עבודה'
-                    ]);
-                }
-                if (data.categories) {
-                    this.categories = data.categories;
-                    // Make sure all default categories exist
-                    const defaultCategories = [
-                        'ביגוד',
-                        'ביטוח לאומי',
-                        'הוצאת ריכוז חודשית',
-                        'חינוך ותרבות',
-                        'טיפול רפואי',
-                        'כלכלה',
-                        'מיסים',
-                        'משכורת',
-                        'נסיעות',
-                        'עמלת בנק',
-                        'שונות'
-                    ];
-                    defaultCategories.forEach(cat => {
-                        if (!this.categories.includes(cat)) {
-                            this.categories.push(cat);
-                            dataUpdated = true;
-                        }
-                    });
-                } else {
-                    this.categories = [
-                        'ביגוד',
-                        'ביטוח לאומי',
-                        'הוצאת ריכוז חודשית',
-                        'הפקדה לחסכון בבנק',
-                        'חינוך ותרבות',
-                        'טיפול רפואי',
-                        'כלכלה',
-                        'מיסים',
-                        'משכורת',
-                        'נסיעות',
-                        'עמלת בנק',
-                        'שונות'
-                    ];
-                }
-                if (data.openingBalances) {
-                    this.openingBalances = new Map(data.openingBalances);
-                }
-                if (data.manualOpeningBalances) {
-                    this.manualOpeningBalances = new Set(data.manualOpeningBalances);
-                }
-                if (data.monthlyNotes) {
-                    this.monthlyNotes = new Map(data.monthlyNotes);
+                // Drop trash entries whose retention period has ended
+                if (this.purgeExpiredTrash() > 0) {
+                    setTimeout(() => this.saveData(null), 100);
                 }
 
-                console.log(`Loaded ${this.transactions.length} transactions for year ${this.currentYear}`);
-                
-                // Fix transaction types for deposit-related items
-                let typesFixed = 0;
-                this.transactions.forEach(transaction => {
-                    const itemLower = transaction.item.toLowerCase();
-                    // Check if this is a deposit withdrawal/redemption/interest that should be income
-                    if ((itemLower.includes('פקדון') || itemLower.includes('פיקדון')) &&
-                        (itemLower.includes('משיכ') || itemLower.includes('פרעון') || itemLower.includes('ריבית'))) {
-                        if (transaction.type !== 'income') {
-                            transaction.type = 'income';
-                            // Ensure amount is positive for income
-                            if (transaction.amount < 0) {
-                                transaction.amount = Math.abs(transaction.amount);
-                            }
-                            typesFixed++;
-                        }
-                    }
-                    // Check if this is a deposit placement that should be expense
-                    else if ((itemLower.includes('פקדון') || itemLower.includes('פיקדון')) &&
-                             itemLower.includes('הפקד')) {
-                        if (transaction.type !== 'expense') {
-                            transaction.type = 'expense';
-                            // Ensure amount is negative for expense
-                            if (transaction.amount > 0) {
-                                transaction.amount = -Math.abs(transaction.amount);
-                            }
-                            typesFixed++;
-                        }
+                // Files no record refers to anymore (removed, or their record left the trash)
+                this.cleanupAttachments();
+
+                // Persist the new schemaVersion (and any fixed records) so the steps don't run again
+                if (migrations.length > 0) {
+                    const changeCount = migrations.reduce((sum, step) => sum + step.changes.length, 0);
+                    if (changeCount > 0) {
+                        this.showNotification(`🔧 הנתונים עודכנו לגרסה החדשה (${changeCount} שינויים)`, 'info');
                     }
-                });
-                
-                if (typesFixed > 0) {
-                    console.log(`✅ Fixed ${typesFixed} transaction types for deposit items`);
-                    dataUpdated = true;
-                }
-                
-                // Save if data was updated with new defaults
-                if (dataUpdated) {
-                    console.log('✅ Added new default mappings/categories');
-                    setTimeout(() => this.saveData(), 100);
+                    setTimeout(() => this.saveData(null), 100);
                 }
             } catch (error) {
                 console.error('Error loading saved data:', error);
@@ -2930,20 +7365,42 @@ class BudgetSystem {
         }
     }
 
+    // Run pending schema migrations on saved, imported or downloaded data (mutates data).
+    // fallbackYear is assigned to old transactions that were saved without a year.
+    migrateData(data, fallbackYear = this.currentYear) {
+        return this.migrator.run(data, { currentYear: fallbackYear });
+    }
+
+    // Migrate, validate and load a snapshot. Strict mode throws before touching any state
+    // when the snapshot is invalid; otherwise problems are only logged.
+    restoreSnapshot(data, { fallbackYear = this.currentYear, strict = true } = {}) {
+        const migrations = this.migrateData(data, fallbackYear);
+
+        const errors = BudgetSnapshot.validate(data);
+        if (errors.length > 0) {
+            console.warn(`⚠️ Snapshot validation found ${errors.length} problems:`, errors);
+            if (strict) {
+                const more = errors.length > 3 ? ` (ועוד ${errors.length - 3})` : '';
+                throw new Error(`קובץ הנתונים אינו תקין: ${errors.slice(0, 3).join('; ')}${more}`);
+            }
+        }
+
+        BudgetSnapshot.applyTo(this, data);
+        return migrations;
+    }
+
     // Export/Import functionality
-    exportData() {
+    async exportData() {
         const data = {
-            transactions: this.transactions,
-            mappings: Array.from(this.mappings.entries()),
-            incomeItems: Array.from(this.incomeItems),
-            categories: this.categories,
-            openingBalances: Array.from(this.openingBalances.entries()),
-            monthlyNotes: this.monthlyNotes ? Array.from(this.monthlyNotes.entries()) : [],
-            lastSelectedMonth: this.lastSelectedMonth,
-            lastSelectedYear: this.lastSelectedYear,
-            exportDate: new Date().toISOString(),
-            version: '1.3'
+            ...BudgetSnapshot.fromSystem(this),
+            exportDate: new Date().toISOString()
         };
+
+        // Attached files travel inside the backup as data URLs
+        const attachmentFiles = await this.getAttachmentFilesForExport();
+        if (attachmentFiles.length > 0) {
+            data.attachmentFiles = attachmentFiles;
+        }
         
         const dataStr = JSON.stringify(data, null, 2);
         const dataBlob = new Blob([dataStr], { type: 'application/json' });
@@ -2983,9 +7440,11 @@ class BudgetSystem {
     isDuplicateTransaction(newTransaction) {
         return this.transactions.some(existing => {
             return existing.item === newTransaction.item &&
+                   this.getAccountId(existing) === this.getAccountId(newTransaction) &&
                    existing.month === newTransaction.month &&
                    existing.year === newTransaction.year &&
                    existing.type === newTransaction.type &&
+                   !this.datesDiffer(existing, newTransaction) && // Same charge on two different days is not a duplicate
                    Math.abs(existing.amount - newTransaction.amount) < 0.01; // Allow for floating point precision
         });
     }
@@ -2996,13 +7455,14 @@ class BudgetSystem {
             return existing.item === newCheckItem.item &&
                    existing.month === newCheckItem.month &&
                    existing.year === newCheckItem.year &&
+                   !this.datesDiffer(existing, newCheckItem) &&
                    Math.abs(existing.amount - newCheckItem.amount) < 0.01; // Allow for floating point precision
         });
     }
 
     // Import CSV or XLSX file
     importCSV(file) {
-        if (!file) return;
+        if (!file || !this.ensureYearUnlocked()) return;
 
         const fileExtension = file.name.split('.').pop().toLowerCase();
 
@@ -3051,6 +7511,7 @@ class BudgetSystem {
                         skippedCount++;
                         console.log(`Skipping duplicate transaction: ${trans.item} - ${trans.amount}`);
                     } else {
+                        this.addTransactionHistory(trans, 'created', [], 'import');
                         this.transactions.push(trans);
                         addedCount++;
                     }
@@ -3075,13 +7536,19 @@ class BudgetSystem {
                     }
                 }
 
-                this.saveData();
+                // Check lines of the statement clear the matching written checks
+                const clearedChecks = this.clearMatchingChecks([...result.transactions, ...(result.checkItems || [])]);
+
+                this.saveData(this.getImportLabel(addedCount, importedMonth));
                 
                 // Show detailed notification
                 let message = `✅ ${addedCount} עסקאות נוספו בהצלחה`;
                 if (checkItemsCount > 0) {
                     message += `\n🏦 ${checkItemsCount} פריטי שיק נוספו`;
                 }
+                if (clearedChecks > 0) {
+                    message += `\n🧾 ${clearedChecks} צ'יקים סומנו כנפרעו`;
+                }
                 if (skippedCount > 0) {
                     message += `\n⚠️ ${skippedCount} עסקאות כפולות דולגו`;
                 }
@@ -3241,14 +7708,16 @@ class BudgetSystem {
                         if (index < 3) console.log(`Unknown date type (row ${index}):`, typeof dateValue, dateValue);
                     }
                     
-                    if (!dateStr || dateStr.length < 10) {
+                    // Keep the full date (YYYY-MM-DD) - bank exports may also use DD/MM/YYYY
+                    const isoDate = this.normalizeTransactionDate(dateStr);
+                    if (!isoDate) {
                         if (index < 3) console.warn(`Invalid date format (row ${index}): "${dateStr}"`);
                         return;
                     }
 
                     // Extract year and month
-                    const year = dateStr.substring(0, 4);
-                    const monthNum = dateStr.substring(5, 7);
+                    const year = isoDate.substring(0, 4);
+                    const monthNum = isoDate.substring(5, 7);
                     const monthName = monthMap[monthNum];
                     
                     if (!monthName) return;
@@ -3259,6 +7728,7 @@ class BudgetSystem {
                     processedRows.push({
                         year,
                         month: monthName,
+                        date: isoDate,
                         item: cleanAction,
                         debit: debit || '',
                         credit: credit || ''
@@ -3295,9 +7765,9 @@ class BudgetSystem {
                 const yearForFile = filteredRows[0].year;
                 
                 // Create CSV content
-                let csvContent = 'שנה,חודש,פריט,חובה,זכות\n';
+                let csvContent = 'שנה,חודש,פריט,חובה,זכות,תאריך\n';
                 filteredRows.forEach(row => {
-                    csvContent += `${row.year},${row.month},${row.item},${row.debit},${row.credit}\n`;
+                    csvContent += `${row.year},${row.month},${row.item},${row.debit},${row.credit},${row.date}\n`;
                 });
                 
                 // Create a virtual CSV file name
@@ -3350,6 +7820,7 @@ class BudgetSystem {
                     if (this.isDuplicateTransaction(trans)) {
                         skippedCount++;
                     } else {
+                        this.addTransactionHistory(trans, 'created', [], 'import');
                         this.transactions.push(trans);
                         addedCount++;
                     }
@@ -3374,12 +7845,18 @@ class BudgetSystem {
                     }
                 }
 
-                this.saveData();
+                // Check lines of the statement clear the matching written checks
+                const clearedChecks = this.clearMatchingChecks([...result.transactions, ...(result.checkItems || [])]);
+
+                this.saveData(this.getImportLabel(addedCount, importedMonth));
                 
                 let message = `✅ ${addedCount} עסקאות נוספו מקובץ Excel`;
                 if (checkItemsCount > 0) {
                     message += `\n🏦 ${checkItemsCount} פריטי שיק נוספו`;
                 }
+                if (clearedChecks > 0) {
+                    message += `\n🧾 ${clearedChecks} צ'יקים סומנו כנפרעו`;
+                }
                 if (skippedCount > 0) {
                     message += `\n⚠️ ${skippedCount} עסקאות כפולות דולגו`;
                 }
@@ -3434,6 +7911,15 @@ class BudgetSystem {
             };
         }
 
+        // Statement lines go to the selected account
+        const accountId = this.getSelectedAccountId();
+        if (!accountId) {
+            return {
+                success: false,
+                error: 'יש לבחור חשבון מסוים לפני ייבוא דף חשבון.\nאנא בחר חשבון מהתפריט הנפתח ונסה שוב.'
+            };
+        }
+
         // Parse CSV
         const lines = csvContent.split('\n').filter(line => line.trim());
         if (lines.length < 2) {
@@ -3455,10 +7941,13 @@ class BudgetSystem {
         if (!hasCorrectHeaders) {
             return {
                 success: false,
-                error: 'כותרות הקובץ אינן תקינות.\nצפוי: שנה,חודש,פריט,חובה,זכות'
+                error: 'כותרות הקובץ אינן תקינות.\nצפוי: שנה,חודש,פריט,חובה,זכות (ואופציונלית: תאריך)'
             };
         }
 
+        // Optional 6th column with the exact date of each line
+        const hasDateColumn = header[5] !== undefined && header[5].replace(/"/g, '') === 'תאריך';
+
         // Map Hebrew month names to numbers
         const monthMap = {
             'ינואר': '01', 'פברואר': '02', 'מרץ': '03', 'אפריל': '04',
@@ -3487,6 +7976,7 @@ class BudgetSystem {
             const item = values[2].trim().replace(/["\u0022\u05F4\u05F3]/g, '');
             const debit = values[3].trim(); // חובה (הוצאה)
             const credit = values[4].trim(); // זכות (הכנסה)
+            const dateText = hasDateColumn && values[5] ? values[5].trim() : '';
 
             // Check if this is a (שיק) item - item name is exactly "(שיק)"
             const isCheckItem = item === '(שיק)';
@@ -3500,6 +7990,21 @@ class BudgetSystem {
                 };
             }
 
+            // Exact date (optional) - must be inside the row's month and year
+            const date = this.normalizeTransactionDate(dateText);
+            if (dateText && !date) {
+                return {
+                    success: false,
+                    error: `תאריך לא תקין בשורה ${i + 1}: "${dateText}"\nצפוי: YYYY-MM-DD או DD/MM/YYYY`
+                };
+            }
+            if (date && (date.substring(0, 4) !== year || date.substring(5, 7) !== month)) {
+                return {
+                    success: false,
+                    error: `התאריך בשורה ${i + 1} (${this.formatDate(date)}) אינו תואם לחודש ${monthName} ${year}`
+                };
+            }
+
             months.add(month);
             years.add(year);
 
@@ -3541,10 +8046,11 @@ class BudgetSystem {
                     amount: amount,
                     month: parseInt(month),
                     year: parseInt(year),
+                    ...(date ? { date } : {}),
                     note: '',
                     checkNumber: '',
                     payeeName: '',
-                    color: 'yellow'
+                    color: this.getImportColorId()
                 });
 
                 // Small delay to ensure unique IDs
@@ -3578,10 +8084,12 @@ class BudgetSystem {
                 category: category,
                 month: parseInt(month),
                 year: parseInt(year),
+                ...(date ? { date } : {}),
                 note: noteToAdd,
                 paymentMethod: isCheckPayment ? 'check' : 'cash',
                 checkDetails: isCheckPayment ? { checkNumber: '', payeeName: '' } : null,
-                color: 'yellow' // Auto-color CSV imports as yellow
+                color: this.getImportColorId(), // Auto-color CSV imports with the palette's import color
+                accountId: accountId
             });
 
             // Small delay to ensure unique IDs
@@ -3665,46 +8173,25 @@ class BudgetSystem {
         if (!file) return;
         
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
             try {
                 const data = JSON.parse(e.target.result);
                 
                 if (confirm('האם אתה בטוח? פעולה זו תחליף את כל הנתונים הקיימים.')) {
-                    this.transactions = data.transactions || [];
-                    if (data.mappings) {
-                        this.mappings = new Map(data.mappings);
-                    }
-                    if (data.incomeItems) {
-                        this.incomeItems = new Set(data.incomeItems);
-                    }
-                    if (data.categories) {
-                        this.categories = data.categories;
-                    }
-                    if (data.openingBalances) {
-                        this.openingBalances = new Map(data.openingBalances);
-                    }
-                    if (data.manualOpeningBalances) {
-                        this.manualOpeningBalances = new Set(data.manualOpeningBalances);
-                    }
-                    if (data.monthlyNotes) {
-                        this.monthlyNotes = new Map(data.monthlyNotes);
-                    }
-                    if (data.lastSelectedMonth) {
-                        this.lastSelectedMonth = data.lastSelectedMonth;
-                    }
-                    if (data.lastSelectedYear) {
-                        this.lastSelectedYear = data.lastSelectedYear;
-                        this.currentYear = this.lastSelectedYear;
-                        document.getElementById('yearSelect').value = this.currentYear;
+                    // Old backups are upgraded the same way as saved data
+                    this.restoreSnapshot(data, { fallbackYear: data.lastSelectedYear || this.currentYear });
+                    if (data.attachmentFiles) {
+                        await this.importAttachmentFiles(data.attachmentFiles);
                     }
+                    document.getElementById('yearSelect').value = this.currentYear;
 
-                    this.saveData();
+                    this.saveData('ייבוא קובץ גיבוי');
                     this.updateDisplay();
                     this.showNotification('הנתונים יובאו בהצלחה!', 'success');
                 }
             } catch (error) {
                 console.error('Error importing data:', error);
-                alert('שגיאה בייבוא הנתונים. אנא בדוק את הקובץ ונסה שוב.');
+                alert(`שגיאה בייבוא הנתונים. אנא בדוק את הקובץ ונסה שוב.\n\n${error.message}`);
             }
         };
         reader.readAsText(file);
@@ -3723,26 +8210,24 @@ class BudgetSystem {
         const reportProducer = userData ? `${userData.name}${userData.phone ? ` | 📞 ${userData.phone}` : ''}${userData.id ? ` | ת"ז ${userData.id}` : ''}` : 'לא צוין';
         
         // Calculate totals
-        const income = monthlyTransactions
-            .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + t.amount, 0);
-        
-        const expenses = monthlyTransactions
-            .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + Math.abs(t.amount), 0);
-        
-        const transfers = monthlyTransactions
-            .filter(t => t.type === 'transfer')
-            .reduce((sum, t) => sum + t.amount, 0);
+        const { income, expenses, transfers } = this.getMonthTotals(month);
         
-        const openingBalance = this.openingBalances.get(`${this.currentYear}-${month}`) || 0;
+        // Balances per account and of all accounts together
+        const accountBalances = this.accounts.map(account => {
+            const opening = this.openingBalances.get(this.getBalanceKey(month, this.currentYear, account.id)) || 0;
+            return { account, opening, closing: this.calculateClosingBalance(month, this.currentYear, account.id) };
+        });
+        const openingBalance = accountBalances.reduce((sum, b) => sum + b.opening, 0);
         const netChange = income - expenses + transfers;
         const closingBalance = openingBalance + netChange;
+        const isMultiAccount = this.accounts.length > 1;
+        const balanceName = isMultiAccount ? 'כל החשבונות' : this.accounts[0].name;
         const monthlyNotes = this.getMonthlyNotes(month) || '';
+        const reconciliations = this.accounts.map(account => ({ account, record: this.getReconciliation(month, this.currentYear, account.id) }));
         
-        // Group by category
+        // Group by category (transfers are not income or spending, split transactions count per line)
         const categoryTotals = {};
-        monthlyTransactions.forEach(transaction => {
+        monthlyTransactions.filter(t => t.type !== 'transfer').flatMap(t => this.getCategoryLines(t)).forEach(transaction => {
             const category = transaction.category || 'לא מקוטלג';
             categoryTotals[category] = (categoryTotals[category] || 0) + transaction.amount;
         });
@@ -3949,7 +8434,7 @@ class BudgetSystem {
                     <th>סכום</th>
                 </tr>
                 <tr>
-                    <td>יתרת עו"ש תחילת חודש</td>
+                    <td>יתרת ${balanceName} תחילת חודש</td>
                     <td class="opening">${this.formatCurrency(openingBalance)}</td>
                 </tr>
                 <tr>
@@ -3970,10 +8455,51 @@ class BudgetSystem {
                     <td class="${netChange >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(netChange)}</td>
                 </tr>
                 <tr>
-                    <td><strong>יתרת עו"ש סוף חודש</strong></td>
+                    <td><strong>יתרת ${balanceName} סוף חודש</strong></td>
+                    <td class="closing">${this.formatCurrency(closingBalance)}</td>
+                </tr>
+            </table>
+        </div>
+        ${isMultiAccount ? `
+        <div class="summary-card">
+            <h3>🏦 יתרות לפי חשבון</h3>
+            <table class="balance-table">
+                <tr>
+                    <th>חשבון</th>
+                    <th>תחילת חודש</th>
+                    <th>סוף חודש</th>
+                </tr>
+                ${accountBalances.map(b => `
+                <tr>
+                    <td>${b.account.name} (${this.getAccountTypeLabel(b.account.type)})</td>
+                    <td class="opening">${this.formatCurrency(b.opening)}</td>
+                    <td class="closing">${this.formatCurrency(b.closing)}</td>
+                </tr>`).join('')}
+                <tr>
+                    <td><strong>סה"כ</strong></td>
+                    <td class="opening">${this.formatCurrency(openingBalance)}</td>
                     <td class="closing">${this.formatCurrency(closingBalance)}</td>
                 </tr>
             </table>
+        </div>` : ''}
+
+        <div class="summary-card">
+            <h3>🏦 התאמה לדף הבנק</h3>
+            <table class="balance-table">
+                <tr>
+                    <th>חשבון</th>
+                    <th>יתרה בדף הבנק</th>
+                    <th>הפרש</th>
+                    <th>סטטוס</th>
+                </tr>
+                ${reconciliations.map(({ account, record }) => `
+                <tr>
+                    <td>${account.name}</td>
+                    <td>${record ? this.formatCurrency(record.statementBalance) : '—'}</td>
+                    <td class="${record && record.difference !== 0 ? 'negative' : ''}">${record ? this.formatCurrency(record.difference) : '—'}</td>
+                    <td>${record ? (record.reconciled ? '✅ הותאם' : 'לא הותאם') : 'לא הוזן דף בנק'}</td>
+                </tr>`).join('')}
+            </table>
         </div>
 
         <div class="summary-card">
@@ -4005,6 +8531,7 @@ class BudgetSystem {
         <table class="transactions-table">
             <thead>
                 <tr>
+                    <th>תאריך</th>
                     <th>פריט</th>
                     <th>סכום</th>
                     <th>סוג</th>
@@ -4014,13 +8541,14 @@ class BudgetSystem {
             </thead>
             <tbody>
                 ${monthlyTransactions
-                    .sort((a, b) => b.id - a.id)
+                    .sort((a, b) => this.compareByDate(a, b, () => b.id - a.id, true))
                     .map(t => `
                 <tr>
+                    <td>${t.date ? this.formatDate(t.date) : ''}</td>
                     <td>${t.item}</td>
-                    <td class="${t.type}">${this.formatCurrency(t.amount)}</td>
+                    <td class="${t.type}">${this.formatCurrency(t.amount)}${this.getOriginalAmountTag(t)}</td>
                     <td>${this.getTypeLabel(t.type)}</td>
-                    <td>${t.category}</td>
+                    <td>${this.getCategoryLabel(t)}</td>
                     <td>${t.note || ''}</td>
                 </tr>`).join('')}
             </tbody>
@@ -4183,9 +8711,9 @@ class BudgetSystem {
         
         const annualNet = annualIncome - annualExpenses;
         
-        // Category breakdown for selected month
+        // Category breakdown for selected month (split transactions count per line)
         const categoryTotals = {};
-        monthlyTransactions.filter(t => t.type === 'expense').forEach(transaction => {
+        monthlyTransactions.filter(t => t.type === 'expense').flatMap(t => this.getCategoryLines(t)).forEach(transaction => {
             const category = transaction.category || 'לא מקוטלג';
             categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(transaction.amount);
         });
@@ -4496,11 +9024,12 @@ class BudgetSystem {
     }
 
     generateCategoryBreakdownTable() {
-        // Filter by current year
+        // Filter by current year (transfers between accounts are not income or spending).
+        // Split transactions are counted per line.
         const currentYearTransactions = this.transactions.filter(t => {
             const transactionYear = t.year || this.currentYear;
-            return transactionYear === this.currentYear;
-        });
+            return transactionYear === this.currentYear && t.type !== 'transfer';
+        }).flatMap(t => this.getCategoryLines(t));
         
         if (currentYearTransactions.length === 0) {
             return `
@@ -4762,7 +9291,7 @@ class BudgetSystem {
                         ${checkItem.note ? `<div class="check-payment-note">הערה: ${checkItem.note}</div>` : ''}
                     </div>
                 </div>
-                <div class="check-payment-amount">${this.formatCurrency(checkItem.amount)}</div>
+                <div class="check-payment-amount">${this.formatCurrency(checkItem.amount)}${this.getOriginalAmountTag(checkItem)}</div>
             `;
             container.appendChild(item);
         });
@@ -4793,8 +9322,24 @@ class BudgetSystem {
 
     // Update all displays
     updateDisplay() {
+        this.updateAccountSelectors();
+        this.updateTagSelectors();
+        this.updatePayeeSuggestions();
+        this.updateYearLockIndicator();
+        this.updateColorControls();
         this.updateTransactionsTable();
         this.updateMappingTable();
+        this.updateTrashTable();
+        this.updateAccountsTable();
+        this.updateExchangeRatesTable();
+        this.updateTagsTable();
+        this.updateColorsTable();
+        this.updateTemplatesTable();
+        this.updateBudgetsTable();
+        this.updateGoalsTable();
+        this.updateLoansTable();
+        this.updateCheckbooksTable();
+        this.updatePayeesTable();
         
         if (this.currentTab === 'monthly') {
             this.updateMonthlyView();
@@ -4853,11 +9398,12 @@ class BudgetSystem {
             // Add temporary message to show function is being called
             container.innerHTML = '<p style="color: blue; padding: 20px; text-align: center;">טוען נתונים...</p>';
             
-            // Filter by current year first
+            // Filter by current year first (transfers between accounts are not income or spending).
+            // Split transactions are counted per line.
             const currentYearTransactions = this.transactions.filter(t => {
                 const transactionYear = t.year || this.currentYear;
-                return transactionYear === this.currentYear;
-            });
+                return transactionYear === this.currentYear && t.type !== 'transfer';
+            }).flatMap(t => this.getCategoryLines(t));
             
             console.log(`Annual table: Processing ${currentYearTransactions.length} transactions for year ${this.currentYear}`);
             
@@ -4985,6 +9531,18 @@ class BudgetSystem {
             monthlyBalance[month] = monthlyIncome[month] + monthlyExpenses[month];
         }
         
+        // Planned spending per month (only shown once budgets exist for the year),
+        // and the spending of the budgeted categories it is compared with
+        const yearBudgets = this.budgets.filter(b => b.year === this.currentYear);
+        const hasBudgets = yearBudgets.length > 0;
+        const monthlyBudget = {};
+        const monthlyBudgetedSpending = {};
+        for (let month = 1; month <= 12; month++) {
+            monthlyBudget[month] = yearBudgets.reduce((sum, b) => sum + (b.amounts[month - 1] || 0), 0);
+            monthlyBudgetedSpending[month] = yearBudgets.reduce((sum, b) => sum + this.getCategorySpending(b.category, month), 0);
+        }
+        const totalBudget = Object.values(monthlyBudget).reduce((sum, amount) => sum + amount, 0);
+
         // Build HTML table - EXPENSE CATEGORIES ONLY + 3 new columns
         let tableHTML = `
             <table>
@@ -4994,6 +9552,7 @@ class BudgetSystem {
                         ${expenseCategories.map(cat => `<th style="min-width: 80px;">${cat}</th>`).join('')}
                         <th style="min-width: 110px; background: #4caf50; color: white;">הכנסות</th>
                         <th style="min-width: 110px; background: #f44336; color: white;">סך הוצאות</th>
+                        ${hasBudgets ? '<th style="min-width: 110px; background: #ff9800; color: white;">תקציב</th>' : ''}
                         <th style="min-width: 110px; background: #2196f3; color: white;">מאזן</th>
                     </tr>
                 </thead>
@@ -5019,6 +9578,9 @@ class BudgetSystem {
                     <td class="expense-cell" style="font-weight: 600;">${
                         monthlyExpenses[month] === 0 ? '-' : this.formatCurrency(monthlyExpenses[month])
                     }</td>
+                    ${hasBudgets ? `<td style="font-weight: 600; ${monthlyBudget[month] > 0 && monthlyBudgetedSpending[month] > monthlyBudget[month] ? 'background: #ffebee; color: #c62828;' : ''}">${
+                        monthlyBudget[month] === 0 ? '-' : this.formatCurrency(monthlyBudget[month])
+                    }</td>` : ''}
                     <td class="${balance >= 0 ? 'positive' : 'negative'}" style="font-weight: 600;">${
                         balance === 0 ? '-' : this.formatCurrency(balance)
                     }</td>
@@ -5049,6 +9611,9 @@ class BudgetSystem {
                     <td class="category-total" style="background: #f44336; color: white; font-weight: 700;">
                         ${this.formatCurrency(totalExpenses)}
                     </td>
+                    ${hasBudgets ? `<td class="category-total" style="background: #ff9800; color: white; font-weight: 700;">
+                        ${this.formatCurrency(totalBudget)}
+                    </td>` : ''}
                     <td class="category-total ${annualNet >= 0 ? 'positive' : 'negative'}" style="background: #2196f3; color: white; font-weight: 700;">
                         ${this.formatCurrency(annualNet)}
                     </td>
@@ -5181,44 +9746,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('🚀 Initializing Budget System...');
     budgetSystem = new BudgetSystem();
     window.budgetSystem = budgetSystem; // Make it globally accessible
+    await budgetSystem.ready;
     console.log('✅ Budget System initialized and available globally');
-    
-    // Fix categories for existing transactions - run after initialization
-    setTimeout(() => {
-        console.log('🔍 בודק עסקאות לתיקון...');
-        let fixed = 0;
-        let quotesRemoved = 0;
-        
-        budgetSystem.transactions.forEach(transaction => {
-            const itemName = transaction.item.trim();
-            const itemNameClean = itemName.replace(/["\u05f4]/g, '');
-            
-            // Remove quotes from item name
-            if (itemName !== itemNameClean) {
-                transaction.item = itemNameClean;
-                quotesRemoved++;
-            }
-            
-            // Fix category for ביטוח לאומי variants - ALWAYS update
-            if (itemNameClean === 'ביטוח לאומי' || itemNameClean === 'ביטוח לאומי ג' || itemNameClean.startsWith('ביטוח לאומי ג')) {
-                if (transaction.category !== 'ביטוח לאומי') {
-                    transaction.category = 'ביטוח לאומי';
-                    fixed++;
-                }
-            }
-        });
-        
-        if (fixed > 0 || quotesRemoved > 0) {
-            console.log(`✅ הסרת גרשיים: ${quotesRemoved} | תיקון קטגוריות: ${fixed}`);
-            budgetSystem.saveData();
-            budgetSystem.updateDisplay();
-            
-            let msg = [];
-            if (quotesRemoved > 0) msg.push(`${quotesRemoved} פריטים עודכנו (הוסרו גרשיים)`);
-            if (fixed > 0) msg.push(`${fixed} קטגוריות תוקנו`);
-            alert(`✅ ${msg.join('\n')}`);
-        } else {
-            console.log('ℹ️ לא נמצאו עסקאות לתיקון');
-        }
-    }, 1000);
 });
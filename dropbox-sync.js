@@ -5,9 +5,11 @@ class DropboxSync {
     constructor(budgetSystem) {
         this.budgetSystem = budgetSystem;
         this.accessToken = null;
-        this.filePath = '/budget-data.json';
+        this.settingsKey = budgetSystem.profiles.getStorageKey('dropboxSettings'); // Per profile
+        this.filePath = budgetSystem.profiles.getDefaultDropboxPath();
         this.autoSyncEnabled = false;
         this.biDirectionalSyncEnabled = false;
+        this.syncAttachments = false; // Upload/download attached files next to the data file
         this.syncInProgress = false;
         this.lastSyncTime = null;
         this.lastRemoteModified = null;
@@ -21,14 +23,15 @@ class DropboxSync {
 
     // Load Dropbox settings from localStorage
     loadSettings() {
-        const settings = localStorage.getItem('dropboxSettings');
+        const settings = localStorage.getItem(this.settingsKey);
         if (settings) {
             try {
                 const parsed = JSON.parse(settings);
                 this.accessToken = parsed.accessToken || null;
-                this.filePath = parsed.filePath || '/budget-data.json';
+                this.filePath = parsed.filePath || this.budgetSystem.profiles.getDefaultDropboxPath();
                 this.autoSyncEnabled = parsed.autoSyncEnabled || false;
                 this.biDirectionalSyncEnabled = parsed.biDirectionalSyncEnabled || false;
+                this.syncAttachments = parsed.syncAttachments || false;
                 this.lastSyncTime = parsed.lastSyncTime || null;
                 this.lastRemoteModified = parsed.lastRemoteModified || null;
             } catch (e) {
@@ -44,10 +47,11 @@ class DropboxSync {
             filePath: this.filePath,
             autoSyncEnabled: this.autoSyncEnabled,
             biDirectionalSyncEnabled: this.biDirectionalSyncEnabled,
+            syncAttachments: this.syncAttachments,
             lastSyncTime: this.lastSyncTime,
             lastRemoteModified: this.lastRemoteModified
         };
-        localStorage.setItem('dropboxSettings', JSON.stringify(settings));
+        localStorage.setItem(this.settingsKey, JSON.stringify(settings));
     }
 
     // Initialize UI elements and event listeners
@@ -65,6 +69,27 @@ class DropboxSync {
             console.warn('⚠️ Token input not found');
         }
 
+        // File path input - each profile syncs to its own file
+        const filePathInput = document.getElementById('dropboxFilePath');
+        if (filePathInput) {
+            filePathInput.value = this.filePath;
+            filePathInput.addEventListener('change', (e) => {
+                const path = e.target.value.trim();
+                if (!path.startsWith('/') || !path.endsWith('.json')) {
+                    this.budgetSystem.showNotification('❌ הנתיב חייב להתחיל ב-/ ולהסתיים ב-.json', 'error');
+                    e.target.value = this.filePath;
+                    return;
+                }
+                this.filePath = path;
+                this.lastRemoteModified = null; // A different file - nothing known about it yet
+                this.saveSettings();
+                this.budgetSystem.showNotification('✅ נתיב הקובץ נשמר', 'success');
+                console.log(`📁 Dropbox file path set to ${this.filePath}`);
+            });
+        } else {
+            console.warn('⚠️ File path input not found');
+        }
+
         // Auto-sync checkbox
         const autoSyncCheckbox = document.getElementById('dropboxAutoSync');
         if (autoSyncCheckbox) {
@@ -94,6 +119,19 @@ class DropboxSync {
             console.warn('⚠️ Bi-directional sync checkbox not found');
         }
 
+        // Attachments sync checkbox
+        const syncAttachmentsCheckbox = document.getElementById('dropboxSyncAttachments');
+        if (syncAttachmentsCheckbox) {
+            syncAttachmentsCheckbox.checked = this.syncAttachments;
+            syncAttachmentsCheckbox.addEventListener('change', (e) => {
+                this.syncAttachments = e.target.checked;
+                this.saveSettings();
+                console.log(`📎 Attachments sync ${this.syncAttachments ? 'enabled' : 'disabled'}`);
+            });
+        } else {
+            console.warn('⚠️ Attachments sync checkbox not found');
+        }
+
         // Save token button
         const saveTokenBtn = document.getElementById('saveDropboxTokenBtn');
         if (saveTokenBtn) {
@@ -231,21 +269,10 @@ class DropboxSync {
         this.updateSyncStatus();
 
         try {
-            // Collect all budget data
+            // Collect all budget data - same snapshot as local saves and file export
             const data = {
-                transactions: this.budgetSystem.transactions,
-                importedCheckItems: this.budgetSystem.importedCheckItems,
-                mappings: Array.from(this.budgetSystem.mappings.entries()),
-                categories: this.budgetSystem.categories,
-                openingBalances: Array.from(this.budgetSystem.openingBalances.entries()),
-                manualOpeningBalances: Array.from(this.budgetSystem.manualOpeningBalances),
-                monthlyNotes: this.budgetSystem.monthlyNotes ? Array.from(this.budgetSystem.monthlyNotes.entries()) : [],
-                lastSelectedMonth: this.budgetSystem.lastSelectedMonth,
-                lastSelectedYear: this.budgetSystem.lastSelectedYear,
-                lastSelectedColor: this.budgetSystem.lastSelectedColor,
-                currentYear: this.budgetSystem.currentYear,
-                exportDate: new Date().toISOString(),
-                version: '1.0'
+                ...BudgetSnapshot.fromSystem(this.budgetSystem),
+                exportDate: new Date().toISOString()
             };
 
             const jsonData = JSON.stringify(data, null, 2);
@@ -277,6 +304,10 @@ class DropboxSync {
                 this.lastSyncTime = new Date().toISOString();
                 this.saveSettings();
                 this.updateSyncStatus();
+
+                if (this.syncAttachments) {
+                    await this.uploadAttachments();
+                }
                 
                 if (!silent) {
                     this.budgetSystem.showNotification('✅ הנתונים הועלו ל-Dropbox בהצלחה!', 'success');
@@ -363,41 +394,17 @@ class DropboxSync {
                 const jsonText = await response.text();
                 const data = JSON.parse(jsonText);
 
-                // Load the data into the budget system
-                this.budgetSystem.transactions = data.transactions || [];
-                this.budgetSystem.importedCheckItems = data.importedCheckItems || [];
-                
-                // Restore mappings
-                this.budgetSystem.mappings = new Map(data.mappings || []);
-                
-                // Restore categories
-                if (data.categories && data.categories.length > 0) {
-                    this.budgetSystem.categories = data.categories;
-                }
-                
-                // Restore opening balances
-                this.budgetSystem.openingBalances = new Map(data.openingBalances || []);
-                this.budgetSystem.manualOpeningBalances = new Set(data.manualOpeningBalances || []);
-                
-                // Restore monthly notes
-                this.budgetSystem.monthlyNotes = new Map(data.monthlyNotes || []);
-                
-                // Restore last selections
-                if (data.lastSelectedMonth) {
-                    this.budgetSystem.lastSelectedMonth = data.lastSelectedMonth;
-                }
-                if (data.lastSelectedYear) {
-                    this.budgetSystem.lastSelectedYear = data.lastSelectedYear;
-                }
-                if (data.lastSelectedColor) {
-                    this.budgetSystem.lastSelectedColor = data.lastSelectedColor;
-                }
-                if (data.currentYear) {
-                    this.budgetSystem.currentYear = data.currentYear;
-                }
+                // Upgrade files written by older versions, validate and load
+                this.budgetSystem.restoreSnapshot(data, {
+                    fallbackYear: data.currentYear || data.lastSelectedYear || this.budgetSystem.currentYear
+                });
+
+                // Save locally
+                this.budgetSystem.saveData('הורדת נתונים מ-Dropbox');
 
-                // Save to localStorage
-                this.budgetSystem.saveData();
+                if (this.syncAttachments) {
+                    await this.downloadAttachments();
+                }
 
                 // Update all displays
                 this.budgetSystem.updateDisplay();
@@ -439,6 +446,125 @@ class DropboxSync {
         }
     }
 
+    // Attachments live in a folder next to the data file: /budget-data.json -> /budget-data-attachments/
+    getAttachmentsFolder() {
+        return this.filePath.replace(/\.json$/, '') + '-attachments';
+    }
+
+    // Dropbox path of one attached file - named by its id (the original name is kept in the ledger)
+    getAttachmentPath(attachment) {
+        const extension = (attachment.name.match(/\.[a-z0-9]+$/i) || [''])[0];
+        return `${this.getAttachmentsFolder()}/${attachment.id}${extension}`;
+    }
+
+    // Names of the files already in the attachments folder
+    async listRemoteAttachments() {
+        const names = new Set();
+        let response = await fetch('https://api.dropboxapi.com/2/files/list_folder', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ path: this.getAttachmentsFolder() })
+        });
+
+        while (true) {
+            if (response.status === 409) {
+                return names; // Folder not created yet
+            }
+            if (!response.ok) {
+                throw new Error(`list_folder failed (${response.status})`);
+            }
+            const result = await response.json();
+            result.entries.forEach(entry => names.add(entry.name));
+            if (!result.has_more) {
+                return names;
+            }
+            response = await fetch('https://api.dropboxapi.com/2/files/list_folder/continue', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.accessToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ cursor: result.cursor })
+            });
+        }
+    }
+
+    // Upload attached files that are not in Dropbox yet. Files are never changed, so existing ones are skipped.
+    async uploadAttachments() {
+        const storage = this.budgetSystem.storage;
+        if (!storage) return;
+
+        try {
+            const remote = await this.listRemoteAttachments();
+            let uploaded = 0;
+            for (const attachment of this.budgetSystem.getReferencedAttachments()) {
+                const path = this.getAttachmentPath(attachment);
+                if (remote.has(path.split('/').pop())) continue;
+
+                const stored = await storage.getAttachment(attachment.id);
+                if (!stored) continue;
+
+                const response = await fetch('https://content.dropboxapi.com/2/files/upload', {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`,
+                        'Content-Type': 'application/octet-stream',
+                        'Dropbox-API-Arg': JSON.stringify({ path, mode: 'overwrite', autorename: false, mute: true })
+                    },
+                    body: stored.blob
+                });
+                if (!response.ok) {
+                    throw new Error(`upload of ${attachment.name} failed (${response.status})`);
+                }
+                uploaded++;
+            }
+            if (uploaded > 0) {
+                console.log(`📎 Uploaded ${uploaded} attachments to Dropbox`);
+            }
+        } catch (error) {
+            console.error('Dropbox attachments upload error:', error);
+            this.budgetSystem.showNotification('⚠️ הנתונים הועלו, אך העלאת הקבצים המצורפים נכשלה', 'error');
+        }
+    }
+
+    // Download attached files the ledger refers to but this device doesn't have
+    async downloadAttachments() {
+        const storage = this.budgetSystem.storage;
+        if (!storage) return;
+
+        try {
+            const local = new Set(await storage.getAttachmentIds());
+            let downloaded = 0;
+            for (const attachment of this.budgetSystem.getReferencedAttachments()) {
+                if (local.has(attachment.id)) continue;
+
+                const response = await fetch('https://content.dropboxapi.com/2/files/download', {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`,
+                        'Dropbox-API-Arg': JSON.stringify({ path: this.getAttachmentPath(attachment) })
+                    }
+                });
+                if (!response.ok) {
+                    console.warn(`⚠️ Attachment ${attachment.name} is not in Dropbox (${response.status})`);
+                    continue;
+                }
+                const blob = await response.blob();
+                await storage.putAttachment({ ...attachment, blob });
+                downloaded++;
+            }
+            if (downloaded > 0) {
+                console.log(`📎 Downloaded ${downloaded} attachments from Dropbox`);
+            }
+        } catch (error) {
+            console.error('Dropbox attachments download error:', error);
+            this.budgetSystem.showNotification('⚠️ הנתונים הורדו, אך הורדת הקבצים המצורפים נכשלה', 'error');
+        }
+    }
+
     // Update sync status display
     updateSyncStatus() {
         const statusElement = document.getElementById('dropboxSyncStatus');
@@ -694,7 +820,8 @@ class DropboxSync {
                         <ul style="margin-right: 25px; line-height: 2;">
                             <li>✅ <strong>כל העסקאות</strong> - כל התנועות הכספיות שהזנת</li>
                             <li>✅ <strong>צ'קים מיובאים</strong> - עסקאות שיובאו מקבצי Excel/CSV</li>
-                            <li>✅ <strong>יתרות פתיחה</strong> - יתרות התחלתיות לכל חודש ושנה</li>
+                            <li>✅ <strong>חשבונות וכרטיסי אשראי</strong> - רשימת החשבונות והשיוך של כל עסקה</li>
+                            <li>✅ <strong>יתרות פתיחה</strong> - יתרות התחלתיות לכל חודש ושנה, לכל חשבון</li>
                             <li>✅ <strong>יתרות ידניות</strong> - יתרות שהגדרת באופן ידני</li>
                         </ul>
                     </div>
@@ -705,6 +832,20 @@ class DropboxSync {
                             <li>✅ <strong>מיפויים של קטגוריות</strong> - כל המיפויים בין פריטים לקטגוריות</li>
                             <li>✅ <strong>קטגוריות מותאמות</strong> - קטגוריות שהוספת או ערכת</li>
                             <li>✅ <strong>הערות חודשיות</strong> - הערות שהוספת לחודשים שונים</li>
+                            <li>✅ <strong>שערי חליפין</strong> - שערים שהוזנו או נטענו מקובץ</li>
+                            <li>✅ <strong>תגיות</strong> - רשימת התגיות והתגיות של כל עסקה</li>
+                            <li>✅ <strong>פלטת הצבעים</strong> - שמות הצבעים, הגוונים וצבע השורות המיובאות</li>
+                            <li>✅ <strong>עסקאות קבועות</strong> - תבניות העסקאות החוזרות והחודשים שדולגו</li>
+                            <li>✅ <strong>תקציב לפי קטגוריה</strong> - הסכומים המתוכננים לכל קטגוריה וחודש</li>
+                            <li>✅ <strong>יעדי חיסכון</strong> - היעדים ושיוך ההפקדות אליהם</li>
+                            <li>✅ <strong>הלוואות ותשלומים</strong> - פרטי ההלוואות וקישור התשלומים אליהן</li>
+                            <li>✅ <strong>פנקס צ'יקים</strong> - הצ'יקים שנכתבו, מועדי הפירעון והסטטוס שלהם</li>
+                            <li>✅ <strong>פנקסי צ'יקים</strong> - טווחי המספרים והמספרים שבוטלו</li>
+                            <li>✅ <strong>מוטבים</strong> - רשימת המוטבים והכתיבים שמוזגו</li>
+                            <li>✅ <strong>שנים נעולות</strong> - השנים שנסגרו לעריכה באשף סגירת השנה</li>
+                            <li>✅ <strong>התאמות לדף הבנק</strong> - יתרות דפי הבנק, ההפרשים והחודשים שהותאמו</li>
+                            <li>✅ <strong>סל המחזור</strong> - פריטים שנמחקו וטרם עברה תקופת השמירה שלהם</li>
+                            <li>✅ <strong>קבצים מצורפים</strong> - רק אם סומן "סנכרן קבצים מצורפים", כקבצים נפרדים בתיקייה ליד קובץ הנתונים</li>
                         </ul>
                     </div>
 
@@ -719,7 +860,7 @@ class DropboxSync {
 
                     <div style="background: #d4edda; padding: 15px; border-radius: 8px; margin-bottom: 15px; border-right: 4px solid #28a745;">
                         <h3 style="margin-top: 0; color: #155724;">📁 היכן הקובץ נשמר?</h3>
-                        <p style="margin: 8px 0;">הקובץ נשמר כ-<code style="background: #fff; padding: 3px 8px; border-radius: 4px;">/budget-data.json</code> בתיקייה הראשית של ה-Dropbox שלך.</p>
+                        <p style="margin: 8px 0;">הקובץ נשמר כ-<code style="background: #fff; padding: 3px 8px; border-radius: 4px;">${this.filePath}</code> בתיקייה הראשית של ה-Dropbox שלך.</p>
                         <p style="margin: 8px 0;">אתה יכול להיכנס ל-<a href="https://www.dropbox.com" target="_blank" style="color: #007bff;">Dropbox</a> ולראות את הקובץ.</p>
                     </div>
 
@@ -787,8 +928,11 @@ window.addEventListener('DOMContentLoaded', () => {
     // Try to initialize immediately if budgetSystem exists
     const tryInitialize = () => {
         if (window.budgetSystem) {
-            window.dropboxSync = new DropboxSync(window.budgetSystem);
-            console.log('✅ Dropbox Sync initialized successfully!');
+            // Wait for stored data to finish loading so a remote download can't be overwritten by it
+            window.budgetSystem.ready.then(() => {
+                window.dropboxSync = new DropboxSync(window.budgetSystem);
+                console.log('✅ Dropbox Sync initialized successfully!');
+            });
             return true;
         }
         return false;
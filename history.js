@@ -0,0 +1,148 @@
+// Undo History
+// Undo/redo for ledger changes. Each step stores only the records it changed
+// (same per-record split as the IndexedDB stores), with a Hebrew label for the UI.
+
+// Snapshot fields that are UI preferences, not ledger data - never undone
+const HISTORY_IGNORED_FIELDS = ['lastSelectedMonth', 'lastSelectedYear', 'lastSelectedColor'];
+
+class UndoHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = []; // [{ label, changes: [{ storeName, key, before, after, index? }] }]
+        this.redoStack = [];
+        this.state = new Map(); // storeName -> Map(key -> serialized record), the last recorded state
+    }
+
+    // Split a snapshot into serialized records per store, without UI preferences
+    static toState(data) {
+        const ledger = { ...data };
+        HISTORY_IGNORED_FIELDS.forEach(field => delete ledger[field]);
+
+        const state = new Map();
+        Object.entries(BudgetStorage.toRecords(ledger)).forEach(([storeName, records]) => {
+            const keyPath = BUDGET_STORES[storeName].keyPath;
+            state.set(storeName, new Map(records.map(r => [r[keyPath], JSON.stringify(r)])));
+        });
+        return state;
+    }
+
+    // Start over from a freshly loaded ledger (drops all steps)
+    reset(data) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.state = UndoHistory.toState(data);
+    }
+
+    // Compare a snapshot with the last recorded state.
+    // With a label the difference becomes an undo step; without one it is just accepted
+    // (automatic changes such as carried-over opening balances).
+    // Added and removed records keep their position (index) so undo/redo restores the original order.
+    record(data, label) {
+        const next = UndoHistory.toState(data);
+        const changes = [];
+
+        next.forEach((records, storeName) => {
+            const previous = this.state.get(storeName) || new Map();
+            let index = 0;
+            records.forEach((serialized, key) => {
+                if (!previous.has(key)) {
+                    changes.push({ storeName, key, before: undefined, after: serialized, index });
+                } else if (previous.get(key) !== serialized) {
+                    changes.push({ storeName, key, before: previous.get(key), after: serialized });
+                }
+                index++;
+            });
+            index = 0;
+            previous.forEach((serialized, key) => {
+                if (!records.has(key)) {
+                    changes.push({ storeName, key, before: serialized, after: undefined, index });
+                }
+                index++;
+            });
+        });
+
+        this.state = next;
+        if (!label || changes.length === 0) {
+            return false;
+        }
+
+        this.undoStack.push({ label, changes });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        console.log(`↩️ Recorded step "${label}" (${changes.length} records)`);
+        return true;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Label of the step the next undo/redo would apply
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    // Revert the last step. Returns { label, data } with the resulting ledger, or null.
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        this.applyChanges(step.changes, 'before');
+        this.redoStack.push(step);
+        return { label: step.label, data: this.toData() };
+    }
+
+    // Re-apply the last undone step. Returns { label, data } with the resulting ledger, or null.
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        this.applyChanges(step.changes, 'after');
+        this.undoStack.push(step);
+        return { label: step.label, data: this.toData() };
+    }
+
+    // Set each changed record to its 'before' or 'after' version.
+    // Removals go first, then records that come back are put at their recorded position (in ascending order).
+    applyChanges(changes, side) {
+        const getRecords = (storeName) => {
+            if (!this.state.has(storeName)) {
+                this.state.set(storeName, new Map());
+            }
+            return this.state.get(storeName);
+        };
+
+        changes.filter(change => change[side] === undefined).forEach(change => {
+            getRecords(change.storeName).delete(change.key);
+        });
+
+        const inserted = changes
+            .filter(change => change[side] !== undefined && change.index !== undefined)
+            .sort((a, b) => a.index - b.index);
+        changes.filter(change => change[side] !== undefined && change.index === undefined).forEach(change => {
+            getRecords(change.storeName).set(change.key, change[side]);
+        });
+        inserted.forEach(change => {
+            const entries = Array.from(getRecords(change.storeName).entries());
+            entries.splice(change.index, 0, [change.key, change[side]]);
+            this.state.set(change.storeName, new Map(entries));
+        });
+    }
+
+    // Rebuild a snapshot (without UI preferences) from the current state
+    toData() {
+        const stores = {};
+        this.state.forEach((records, storeName) => {
+            stores[storeName] = Array.from(records.values()).map(serialized => JSON.parse(serialized));
+        });
+        return BudgetStorage.fromRecords(stores);
+    }
+}
@@ -0,0 +1,331 @@
+// Schema Migrations
+// Ordered upgrade steps for saved data. Each step runs exactly once per dataset:
+// data.schemaVersion records the last step applied.
+
+// Steps work on the serialized shape produced by saveData() (mappings/balances as entry arrays).
+// migrate() returns a list of human readable changes for the log.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Add missing year to transactions',
+        migrate(data, context) {
+            const changes = [];
+            (data.transactions || []).forEach(transaction => {
+                if (!transaction.year) {
+                    transaction.year = context.currentYear;
+                    changes.push(`${transaction.item}: year → ${context.currentYear}`);
+                }
+            });
+            return changes;
+        }
+    },
+    {
+        version: 2,
+        description: 'Convert string months to numbers',
+        migrate(data) {
+            const changes = [];
+            [...(data.transactions || []), ...(data.importedCheckItems || [])].forEach(record => {
+                if (typeof record.month === 'string') {
+                    record.month = parseInt(record.month);
+                    changes.push(`${record.item}: month → ${record.month}`);
+                }
+            });
+            return changes;
+        }
+    },
+    {
+        version: 3,
+        description: 'Remove quote characters from item names',
+        migrate(data) {
+            const changes = [];
+            (data.transactions || []).forEach(transaction => {
+                const itemName = String(transaction.item || '').trim();
+                const itemNameClean = itemName.replace(/["״]/g, '');
+                if (itemName !== itemNameClean) {
+                    changes.push(`${itemName} → ${itemNameClean}`);
+                    transaction.item = itemNameClean;
+                }
+            });
+            return changes;
+        }
+    },
+    {
+        version: 4,
+        description: 'Assign ביטוח לאומי items to the ביטוח לאומי category',
+        migrate(data) {
+            const changes = [];
+            (data.transactions || []).forEach(transaction => {
+                const itemName = String(transaction.item || '').trim();
+                if (itemName === 'ביטוח לאומי' || itemName.startsWith('ביטוח לאומי ג')) {
+                    if (transaction.category !== 'ביטוח לאומי') {
+                        changes.push(`${itemName} (${transaction.year}/${transaction.month}): ${transaction.category} → ביטוח לאומי`);
+                        transaction.category = 'ביטוח לאומי';
+                    }
+                }
+            });
+            return changes;
+        }
+    },
+    {
+        version: 5,
+        description: 'Upgrade mappings to { category, includeInMonthlyExpenses }',
+        migrate(data) {
+            const changes = [];
+            if (!data.mappings) return changes;
+
+            data.mappings = data.mappings.map(([item, value]) => {
+                if (typeof value === 'string') {
+                    // Old format - category only, counted in monthly expenses by default
+                    changes.push(`${item}: "${value}" → object`);
+                    return [item, { category: value, includeInMonthlyExpenses: true }];
+                }
+                if (value && typeof value === 'object') {
+                    return [item, {
+                        ...value,
+                        category: value.category || 'לא מקוטלג',
+                        includeInMonthlyExpenses: value.includeInMonthlyExpenses !== false
+                    }];
+                }
+                changes.push(`${item}: invalid mapping → לא מקוטלג`);
+                return [item, { category: 'לא מקוטלג', includeInMonthlyExpenses: true }];
+            });
+            return changes;
+        }
+    },
+    {
+        version: 6,
+        description: 'Add default mappings, income items and categories',
+        migrate(data) {
+            const changes = [];
+
+            if (data.mappings) {
+                const defaultMappings = [
+                    ['משכורת', 'משכורת', false],
+                    ['ביטוח לאומי', 'ביטוח לאומי', false],
+                    ['ביטוח לאומי ג"', 'ביטוח לאומי', false],
+                    ['ביטוח לאומי ג״', 'ביטוח לאומי', false],
+                    ['ביטוח לאומי ג', 'ביטוח לאומי', false],
+                    ['מענק עבודה', 'משכורת', false],
+                    ['סופרסל', 'כלכלה', true],
+                    ['הראל בטוח', 'מיסים', false],
+                    ['מנורה', 'מיסים', false],
+                    ['פניקס', 'מיסים', false],
+                    ['מכבי', 'מיסים', false],
+                    ['כרטיסיה', 'נסיעות', true],
+                    ['מונית', 'נסיעות', true],
+                    ['רב קו', 'נסיעות', true],
+                    ['נסיעות', 'נסיעות', true],
+                    ['עמלת בנק', 'עמלת בנק', false],
+                    ['ע.מפעולות-ישיר', 'עמלת בנק', false],
+                    ['רופא', 'טיפול רפואי', true],
+                    ['בית מרקחת', 'טיפול רפואי', true],
+                    ['רופא שיניים', 'טיפול רפואי', true],
+                    ['ביגוד', 'ביגוד', true],
+                    ['תספורת', 'ביגוד', true],
+                    ['ספר', 'חינוך ותרבות', true],
+                    ['קורס', 'חינוך ותרבות', true],
+                    ['קולנוע', 'חינוך ותרבות', true],
+                    ['מוזיאון', 'חינוך ותרבות', true],
+                    ['טיול', 'חינוך ותרבות', true],
+                    ['מתנ"ס', 'חינוך ותרבות', true],
+                    ['פלאפון', 'מיסים', false],
+                    ['מיסים', 'מיסים', false],
+                    ['חשמל', 'מיסים', false],
+                    ['סלקום', 'מיסים', false],
+                    ['אינטרנט', 'מיסים', false],
+                    ['מי רמת גן', 'מיסים', false],
+                    ['תמי 4', 'מיסים', false],
+                    ['סופר גז', 'מיסים', false],
+                    ['ארנונה', 'מיסים', false],
+                    ['עיריה', 'מיסים', false]
+                ];
+                const existing = new Set(data.mappings.map(([item]) => item));
+                defaultMappings.forEach(([item, category, includeInMonthlyExpenses]) => {
+                    if (!existing.has(item)) {
+                        data.mappings.push([item, { category, includeInMonthlyExpenses }]);
+                        changes.push(`mapping ${item} → ${category}`);
+                    }
+                });
+            }
+
+            if (data.incomeItems) {
+                const defaultIncomeItems = [
+                    'משכורת',
+                    'ביטוח לאומי',
+                    'ביטוח לאומי ג"',
+                    'ביטוח לאומי ג״',
+                    'ביטוח לאומי ג',
+                    'מענק עבודה'
+                ];
+                defaultIncomeItems.forEach(item => {
+                    if (!data.incomeItems.includes(item)) {
+                        data.incomeItems.push(item);
+                        changes.push(`income item ${item}`);
+                    }
+                });
+            }
+
+            if (data.categories) {
+                const defaultCategories = [
+                    'ביגוד',
+                    'ביטוח לאומי',
+                    'הוצאת ריכוז חודשית',
+                    'חינוך ותרבות',
+                    'טיפול רפואי',
+                    'כלכלה',
+                    'מיסים',
+                    'משכורת',
+                    'נסיעות',
+                    'עמלת בנק',
+                    'שונות'
+                ];
+                defaultCategories.forEach(category => {
+                    if (!data.categories.includes(category)) {
+                        data.categories.push(category);
+                        changes.push(`category ${category}`);
+                    }
+                });
+            }
+
+            return changes;
+        }
+    },
+    {
+        version: 7,
+        description: 'Fix type and sign of deposit transactions',
+        migrate(data) {
+            const changes = [];
+            (data.transactions || []).forEach(transaction => {
+                const itemLower = String(transaction.item || '').toLowerCase();
+                if (!itemLower.includes('פקדון') && !itemLower.includes('פיקדון')) return;
+
+                // Withdrawal/redemption/interest is income, placement is an expense
+                if (itemLower.includes('משיכ') || itemLower.includes('פרעון') || itemLower.includes('ריבית')) {
+                    if (transaction.type !== 'income') {
+                        transaction.type = 'income';
+                        transaction.amount = Math.abs(transaction.amount);
+                        changes.push(`${transaction.item} (${transaction.year}/${transaction.month}) → income`);
+                    }
+                } else if (itemLower.includes('הפקד')) {
+                    if (transaction.type !== 'expense') {
+                        transaction.type = 'expense';
+                        transaction.amount = -Math.abs(transaction.amount);
+                        changes.push(`${transaction.item} (${transaction.year}/${transaction.month}) → expense`);
+                    }
+                }
+            });
+            return changes;
+        }
+    },
+    {
+        version: 8,
+        description: 'Build the payee directory from check details',
+        migrate(data) {
+            const changes = [];
+            if (!data.payees) data.payees = [];
+
+            const known = new Set(data.payees.flatMap(payee => [payee.name, ...(payee.aliases || [])]));
+            const names = [
+                ...(data.transactions || []).map(transaction => transaction.checkDetails && transaction.checkDetails.payeeName),
+                ...(data.importedCheckItems || []).map(item => item.payeeName),
+                ...(data.checkRegister || []).map(check => check.payeeName)
+            ];
+            names.forEach(name => {
+                const payeeName = String(name || '').trim();
+                if (!payeeName || payeeName === 'לא צוין' || known.has(payeeName)) return;
+                known.add(payeeName);
+                data.payees.push({ id: `y${data.payees.length + 1}`, name: payeeName, aliases: [] });
+                changes.push(`payee ${payeeName}`);
+            });
+            return changes;
+        }
+    },
+    {
+        version: 9,
+        description: 'Add check transactions recorded before the check register',
+        migrate(data) {
+            const changes = [];
+            if (!data.checkRegister) data.checkRegister = [];
+
+            // Same entry as BudgetSystem.syncCheckRegister(). Checks already due are history, not upcoming outflows.
+            const today = new Date().toISOString().slice(0, 10);
+            const parseNumber = (value) => {
+                const text = String(value || '').trim();
+                return /^\d+$/.test(text) ? parseInt(text, 10) : null;
+            };
+            (data.transactions || []).forEach(transaction => {
+                const details = transaction.paymentMethod === 'check' ? transaction.checkDetails : null;
+                if (!details || !details.checkNumber || data.checkRegister.some(c => c.transactionId === transaction.id)) return;
+
+                const monthStart = `${transaction.year}-${String(transaction.month).padStart(2, '0')}-01`;
+                const issueDate = details.issueDate || transaction.date || monthStart;
+                const fields = {
+                    checkNumber: details.checkNumber,
+                    payeeName: details.payeeName,
+                    amount: Math.abs(transaction.amount),
+                    issueDate,
+                    dueDate: details.dueDate || issueDate
+                };
+                const number = parseNumber(details.checkNumber);
+                const standalone = data.checkRegister.find(c => c.transactionId === undefined && c.status === 'issued' &&
+                    number !== null && parseNumber(c.checkNumber) === number);
+                if (standalone) {
+                    Object.assign(standalone, fields, { transactionId: transaction.id });
+                } else {
+                    data.checkRegister.push({
+                        id: `c${Date.now()}-${data.checkRegister.length}`,
+                        ...fields,
+                        status: fields.dueDate < today ? 'cleared' : 'issued',
+                        note: transaction.item,
+                        transactionId: transaction.id
+                    });
+                }
+                changes.push(`check ${details.checkNumber} (${transaction.item})`);
+            });
+            return changes;
+        }
+    }
+];
+
+class SchemaMigrator {
+    constructor(migrations = SCHEMA_MIGRATIONS) {
+        this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    }
+
+    // Version written by this build
+    get latestVersion() {
+        return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+    }
+
+    // Apply every step newer than data.schemaVersion, in order. Mutates data.
+    // context.currentYear is used for records that predate per-transaction years.
+    // Returns [{ version, description, changes }] for the steps that ran.
+    run(data, context = {}) {
+        const fromVersion = parseInt(data.schemaVersion) || 0;
+
+        if (fromVersion > this.latestVersion) {
+            console.warn(`⚠️ Data schema v${fromVersion} is newer than this version of the app (v${this.latestVersion})`);
+            return [];
+        }
+
+        const applied = [];
+        this.migrations
+            .filter(step => step.version > fromVersion)
+            .forEach(step => {
+                const changes = step.migrate(data, context) || [];
+                data.schemaVersion = step.version;
+                applied.push({ version: step.version, description: step.description, changes });
+
+                if (changes.length > 0) {
+                    console.log(`🔧 Migration v${step.version} (${step.description}): ${changes.length} changes`, changes);
+                } else {
+                    console.log(`🔧 Migration v${step.version} (${step.description}): nothing to change`);
+                }
+            });
+
+        if (applied.length > 0) {
+            console.log(`✅ Data schema upgraded from v${fromVersion} to v${data.schemaVersion}`);
+        }
+        return applied;
+    }
+}
@@ -0,0 +1,127 @@
+// Profile Manager
+// Separate ledgers (e.g. household / a parent's books) in one browser.
+// Each profile has its own IndexedDB database and its own localStorage keys.
+// The default profile keeps the original unscoped keys, so existing installations need no migration.
+
+// localStorage keys that belong to a single profile
+const PROFILE_SCOPED_KEYS = ['budgetData', 'budgetDataLegacyBackup', 'budgetUserData', 'dropboxSettings', 'lastSelectedYear', 'selectedColors'];
+
+class ProfileManager {
+    constructor() {
+        this.registryKey = 'budgetProfiles';
+        this.defaultProfileId = 'default';
+        this.profiles = []; // [{ id, name, createdAt }]
+        this.activeId = this.defaultProfileId;
+        this.load();
+    }
+
+    // Load the profile registry, creating the default profile on first run
+    load() {
+        const saved = localStorage.getItem(this.registryKey);
+        if (saved) {
+            try {
+                const parsed = JSON.parse(saved);
+                this.profiles = Array.isArray(parsed.profiles) ? parsed.profiles : [];
+                this.activeId = parsed.activeId || this.defaultProfileId;
+            } catch (e) {
+                console.error('Error loading profiles:', e);
+            }
+        }
+
+        if (!this.profiles.some(p => p.id === this.defaultProfileId)) {
+            this.profiles.unshift({ id: this.defaultProfileId, name: 'ראשי', createdAt: new Date().toISOString() });
+        }
+        if (!this.getProfile(this.activeId)) {
+            this.activeId = this.defaultProfileId;
+        }
+    }
+
+    // Save the profile registry
+    save() {
+        localStorage.setItem(this.registryKey, JSON.stringify({
+            profiles: this.profiles,
+            activeId: this.activeId
+        }));
+    }
+
+    getProfile(id) {
+        return this.profiles.find(p => p.id === id) || null;
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.activeId);
+    }
+
+    isDefault(id = this.activeId) {
+        return id === this.defaultProfileId;
+    }
+
+    // localStorage key for a profile ('budgetData' -> 'budgetData-<id>')
+    getStorageKey(baseKey, id = this.activeId) {
+        return this.isDefault(id) ? baseKey : `${baseKey}-${id}`;
+    }
+
+    // IndexedDB database name for a profile
+    getDatabaseName(id = this.activeId) {
+        return this.isDefault(id) ? 'budgetSystemDB' : `budgetSystemDB-${id}`;
+    }
+
+    // Dropbox file a new profile syncs to, so profiles never overwrite each other's file
+    getDefaultDropboxPath(id = this.activeId) {
+        return this.isDefault(id) ? '/budget-data.json' : `/budget-data-${id}.json`;
+    }
+
+    // Check if a name is already used by another profile
+    isNameTaken(name, exceptId = null) {
+        return this.profiles.some(p => p.id !== exceptId && p.name === name);
+    }
+
+    // Create a new empty profile
+    create(name) {
+        const profile = {
+            id: `p${Date.now()}`,
+            name: name,
+            createdAt: new Date().toISOString()
+        };
+        this.profiles.push(profile);
+        this.save();
+        console.log(`👥 Created profile: ${name} (${profile.id})`);
+        return profile;
+    }
+
+    rename(id, name) {
+        const profile = this.getProfile(id);
+        if (!profile) return;
+        profile.name = name;
+        this.save();
+    }
+
+    // Remove a profile and all of its data. The default and the active profile can't be deleted.
+    async delete(id) {
+        if (this.isDefault(id) || id === this.activeId) {
+            throw new Error('Cannot delete the default or the active profile');
+        }
+
+        PROFILE_SCOPED_KEYS.forEach(baseKey => localStorage.removeItem(this.getStorageKey(baseKey, id)));
+
+        if (typeof indexedDB !== 'undefined') {
+            await new Promise((resolve, reject) => {
+                const request = indexedDB.deleteDatabase(this.getDatabaseName(id));
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => resolve(); // Deleted once other tabs close it
+            });
+        }
+
+        this.profiles = this.profiles.filter(p => p.id !== id);
+        this.save();
+        console.log(`🗑️ Deleted profile ${id}`);
+    }
+
+    // Make a profile active. The page is reloaded by the caller so everything starts from its data.
+    setActive(id) {
+        if (!this.getProfile(id)) return;
+        this.activeId = id;
+        this.save();
+    }
+}
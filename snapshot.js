@@ -0,0 +1,368 @@
+// Budget Snapshot
+// The one serialized shape of the ledger. Used for local saves, file export/import and Dropbox sync,
+// so every restore path gets back exactly what was written.
+//
+// Schema (schemaVersion - see migrations.js):
+//   schemaVersion          number   last migration step applied
+//   transactions           array    { id, year, month, date?, accountId?, toAccountId?, item, amount, type, category, note, color, ... }
+//                                    date is optional, 'YYYY-MM-DD'; no accountId means the 'main' account
+//                                    transfers between accounts have toAccountId and a positive amount
+//                                    splits? is [{ amount, category, note }], same sign as amount and summing to it
+//                                    amount is always in ILS; foreign currency transactions add
+//                                    originalCurrency ('USD'...), originalAmount (same sign) and exchangeRate
+//                                    tags? is a list of tag names
+//                                    attachments? is [{ id, name, type, size }] (also on imported check items);
+//                                    the files are in the IndexedDB attachments store, not in the snapshot
+//   accounts               array    { id, name, type: 'checking'|'credit'|'savings' }, always includes 'main'
+//   importedCheckItems     array    check lines from bank imports, kept out of calculations
+//   mappings               array    [item, { category, includeInMonthlyExpenses }] pairs
+//   incomeItems            array    item names treated as income
+//   categories             array    category names
+//   openingBalances        array    ['YYYY-M', amount] pairs ('<accountId>:YYYY-M' for accounts other than 'main')
+//   manualOpeningBalances  array    balance keys the user set by hand
+//   monthlyNotes           array    ['YYYY-M', text] pairs
+//   exchangeRates          array    { currency, date: 'YYYY-MM-DD', rate } - shekels per unit
+//   tags                   array    tag names offered in the transaction form
+//   recurringTemplates     array    { id, item, amount, type, color, accountId, frequency, dayOfMonth, startMonth: 'YYYY-MM',
+//                                    endMonth?, note, skipped: ['YYYY-M'] }; transactions they posted carry templateId
+//   budgets                array    { year, category, amounts: [12 planned monthly amounts] }
+//   savingsGoals           array    { id, name, targetAmount, targetDate: 'YYYY-MM-DD', keyword, isDefault };
+//                                    a transaction's goalId assigns it by hand ('none' = no goal)
+//                                    deposit register fields live on the transactions: maturityDate ('YYYY-MM-DD')
+//                                    on a הפקדה, depositId (the הפקדה transaction's id) on a withdrawal or interest
+//   loans                  array    { id, name, kind: 'loan'|'installments', principal, annualRate, termMonths,
+//                                    startMonth: 'YYYY-MM', keyword }; a transaction's loanId links it by hand ('none' = never)
+//   checkRegister          array    { id, checkNumber, payeeName, amount, issueDate, dueDate, status, note,
+//                                    transactionId?, clearedBy? }; status is one of SNAPSHOT_CHECK_STATUSES
+//   checkbooks             array    { id, name, firstNumber, lastNumber, voided: [check numbers] }
+//   payees                 array    { id, name, aliases: [variant spellings merged into it] }
+//   lockedYears            array    years closed for editing
+//   reconciliations        array    { id, accountId, year, month, statementBalance, bookBalance, difference, reconciled,
+//                                    reconciledAt? }; transactions shown on a statement carry clearedAccounts: [account ids]
+//   colors                 array    palette { id, name, hex: '#rrggbb', inSummary, forImports }; transaction color is an id
+//   trash                  array    { id, kind: 'transaction'|'checkItem'|'mapping', record, deletedAt, deletedBy }
+//   trashRetentionDays     number   days a deleted record is kept before it is purged
+//   lastSelectedMonth      number|null
+//   lastSelectedYear       number|null
+//   lastSelectedColor      string
+// Files and Dropbox uploads also carry exportDate (ISO string); it is ignored on restore.
+// Exported files may carry attachmentFiles ([{ id, name, type, size, data: data URL }]), stored separately on import.
+
+const SNAPSHOT_TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+const SNAPSHOT_ACCOUNT_TYPES = ['checking', 'credit', 'savings'];
+const SNAPSHOT_FREQUENCIES = ['monthly', 'bimonthly', 'quarterly', 'semiannual', 'yearly'];
+const SNAPSHOT_CHECK_STATUSES = ['issued', 'cleared', 'bounced', 'cancelled'];
+
+// Color palette of a new ledger
+const SNAPSHOT_DEFAULT_COLORS = [
+    { id: 'yellow', name: 'צהוב', hex: '#ffd54f', inSummary: false, forImports: true },
+    { id: 'green', name: 'ירוק', hex: '#4caf50', inSummary: true, forImports: false },
+    { id: 'blue', name: 'כחול', hex: '#42a5f5', inSummary: true, forImports: false },
+    { id: 'pink', name: 'ורוד', hex: '#ec407a', inSummary: true, forImports: false }
+];
+
+class BudgetSnapshot {
+    // Serialize the live state of a BudgetSystem
+    static fromSystem(budgetSystem) {
+        return {
+            schemaVersion: budgetSystem.migrator.latestVersion,
+            transactions: budgetSystem.transactions,
+            accounts: budgetSystem.accounts,
+            exchangeRates: budgetSystem.exchangeRates,
+            tags: budgetSystem.tags,
+            colors: budgetSystem.colors,
+            recurringTemplates: budgetSystem.recurringTemplates,
+            budgets: budgetSystem.budgets,
+            savingsGoals: budgetSystem.savingsGoals,
+            loans: budgetSystem.loans,
+            checkRegister: budgetSystem.checkRegister,
+            checkbooks: budgetSystem.checkbooks,
+            payees: budgetSystem.payees,
+            lockedYears: budgetSystem.lockedYears,
+            reconciliations: budgetSystem.reconciliations,
+            importedCheckItems: budgetSystem.importedCheckItems,
+            mappings: Array.from(budgetSystem.mappings.entries()),
+            incomeItems: Array.from(budgetSystem.incomeItems),
+            categories: budgetSystem.categories,
+            openingBalances: Array.from(budgetSystem.openingBalances.entries()),
+            manualOpeningBalances: Array.from(budgetSystem.manualOpeningBalances),
+            monthlyNotes: budgetSystem.monthlyNotes ? Array.from(budgetSystem.monthlyNotes.entries()) : [],
+            trash: budgetSystem.trash,
+            trashRetentionDays: budgetSystem.trashRetentionDays,
+            lastSelectedMonth: budgetSystem.lastSelectedMonth,
+            lastSelectedYear: budgetSystem.lastSelectedYear,
+            lastSelectedColor: budgetSystem.lastSelectedColor
+        };
+    }
+
+    // Ledger fields of a new BudgetSystem, in snapshot form
+    static getDefaults() {
+        return {
+            transactions: [],
+            accounts: [{ id: 'main', name: 'עו"ש', type: 'checking' }],
+            exchangeRates: [],
+            tags: [],
+            colors: SNAPSHOT_DEFAULT_COLORS.map(color => ({ ...color })),
+            recurringTemplates: [],
+            budgets: [],
+            savingsGoals: [],
+            loans: [],
+            checkRegister: [],
+            checkbooks: [],
+            payees: [],
+            lockedYears: [],
+            reconciliations: [],
+            importedCheckItems: [],
+            mappings: [],
+            incomeItems: [],
+            categories: [],
+            openingBalances: [],
+            manualOpeningBalances: [],
+            monthlyNotes: [],
+            trash: [],
+            trashRetentionDays: 30
+        };
+    }
+
+    // Load a (migrated) snapshot into a BudgetSystem, replacing the live state.
+    // Ledger fields missing from older snapshots are reset to their defaults. UI preferences are
+    // only applied when present (undo states leave them out), the year only when one is given.
+    static applyTo(budgetSystem, data) {
+        const defaults = BudgetSnapshot.getDefaults();
+        const value = (field) => data[field] === undefined || data[field] === null ? defaults[field] : data[field];
+
+        budgetSystem.transactions = value('transactions');
+        budgetSystem.accounts = value('accounts');
+        budgetSystem.exchangeRates = value('exchangeRates');
+        budgetSystem.tags = value('tags');
+        budgetSystem.colors = value('colors');
+        budgetSystem.recurringTemplates = value('recurringTemplates');
+        budgetSystem.budgets = value('budgets');
+        budgetSystem.savingsGoals = value('savingsGoals');
+        budgetSystem.loans = value('loans');
+        budgetSystem.checkRegister = value('checkRegister');
+        budgetSystem.checkbooks = value('checkbooks');
+        budgetSystem.payees = value('payees');
+        budgetSystem.lockedYears = value('lockedYears');
+        budgetSystem.reconciliations = value('reconciliations');
+        budgetSystem.importedCheckItems = value('importedCheckItems');
+        budgetSystem.mappings = new Map(value('mappings'));
+        budgetSystem.incomeItems = new Set(value('incomeItems'));
+        budgetSystem.categories = value('categories');
+        budgetSystem.openingBalances = new Map(value('openingBalances'));
+        budgetSystem.manualOpeningBalances = new Set(value('manualOpeningBalances'));
+        budgetSystem.monthlyNotes = new Map(value('monthlyNotes'));
+        budgetSystem.trash = value('trash');
+        budgetSystem.trashRetentionDays = value('trashRetentionDays');
+        if ('lastSelectedMonth' in data) budgetSystem.lastSelectedMonth = data.lastSelectedMonth;
+        if ('lastSelectedColor' in data) budgetSystem.lastSelectedColor = data.lastSelectedColor || 'none';
+
+        // Dropbox files before the shared snapshot stored the year as currentYear
+        const year = data.lastSelectedYear || data.currentYear;
+        if (year) {
+            budgetSystem.lastSelectedYear = year;
+            budgetSystem.currentYear = year;
+        }
+    }
+
+    // Check a snapshot against the schema. Returns a list of problems (empty when valid).
+    static validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['הקובץ אינו מכיל אובייקט נתונים'];
+        }
+
+        const errors = [];
+        const isPairList = (value) => Array.isArray(value) && value.every(entry => Array.isArray(entry) && entry.length === 2);
+
+        ['transactions', 'accounts', 'exchangeRates', 'tags', 'colors', 'recurringTemplates', 'budgets', 'savingsGoals', 'loans', 'checkRegister', 'checkbooks', 'payees', 'lockedYears', 'reconciliations', 'importedCheckItems', 'incomeItems', 'categories', 'manualOpeningBalances', 'trash'].forEach(field => {
+            if (data[field] !== undefined && !Array.isArray(data[field])) {
+                errors.push(`${field} חייב להיות רשימה`);
+            }
+        });
+        if (data.trashRetentionDays !== undefined && !(Number.isInteger(data.trashRetentionDays) && data.trashRetentionDays > 0)) {
+            errors.push('trashRetentionDays חייב להיות מספר ימים חיובי');
+        }
+        ['mappings', 'openingBalances', 'monthlyNotes'].forEach(field => {
+            if (data[field] !== undefined && !isPairList(data[field])) {
+                errors.push(`${field} חייב להיות רשימת זוגות [מפתח, ערך]`);
+            }
+        });
+
+        if (Array.isArray(data.accounts)) {
+            data.accounts.forEach((account, index) => {
+                const label = `accounts[${index}]`;
+                if (!account || typeof account.id !== 'string' || typeof account.name !== 'string') {
+                    errors.push(`${label}: חשבון לא תקין`);
+                } else if (!SNAPSHOT_ACCOUNT_TYPES.includes(account.type)) {
+                    errors.push(`${label}: סוג חשבון לא תקין`);
+                }
+            });
+            if (!data.accounts.some(account => account && account.id === 'main')) {
+                errors.push('accounts: חסר החשבון הראשי');
+            }
+        }
+
+        if (Array.isArray(data.exchangeRates)) {
+            data.exchangeRates.forEach((rate, index) => {
+                if (!rate || typeof rate.currency !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(rate.date) || !(rate.rate > 0)) {
+                    errors.push(`exchangeRates[${index}]: שער לא תקין`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.tags) && !data.tags.every(tag => typeof tag === 'string' && tag.trim())) {
+            errors.push('tags: תגית לא תקינה');
+        }
+
+        if (Array.isArray(data.colors)) {
+            data.colors.forEach((color, index) => {
+                if (!color || typeof color.id !== 'string' || typeof color.name !== 'string' || !/^#[0-9a-f]{6}$/i.test(color.hex)) {
+                    errors.push(`colors[${index}]: צבע לא תקין`);
+                }
+            });
+            const colorIds = data.colors.map(color => color && color.id);
+            if (new Set(colorIds).size !== colorIds.length) {
+                errors.push('colors: מזהה צבע כפול');
+            }
+        }
+
+        if (Array.isArray(data.recurringTemplates)) {
+            data.recurringTemplates.forEach((template, index) => {
+                const valid = template && template.id !== undefined && typeof template.item === 'string' &&
+                    Number.isFinite(template.amount) && SNAPSHOT_FREQUENCIES.includes(template.frequency) &&
+                    /^\d{4}-\d{2}$/.test(template.startMonth) && (template.endMonth === undefined || /^\d{4}-\d{2}$/.test(template.endMonth)) &&
+                    Number.isInteger(template.dayOfMonth) && template.dayOfMonth >= 1 && template.dayOfMonth <= 31;
+                if (!valid) {
+                    errors.push(`recurringTemplates[${index}]: עסקה קבועה לא תקינה`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.budgets)) {
+            data.budgets.forEach((budget, index) => {
+                if (!budget || !Number.isInteger(budget.year) || typeof budget.category !== 'string' ||
+                    !Array.isArray(budget.amounts) || budget.amounts.length !== 12 || !budget.amounts.every(Number.isFinite)) {
+                    errors.push(`budgets[${index}]: תקציב לא תקין`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.savingsGoals)) {
+            data.savingsGoals.forEach((goal, index) => {
+                if (!goal || typeof goal.id !== 'string' || typeof goal.name !== 'string' ||
+                    !(goal.targetAmount > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(goal.targetDate)) {
+                    errors.push(`savingsGoals[${index}]: יעד חיסכון לא תקין`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.loans)) {
+            data.loans.forEach((loan, index) => {
+                if (!loan || typeof loan.id !== 'string' || typeof loan.name !== 'string' ||
+                    !['loan', 'installments'].includes(loan.kind) || !(loan.principal > 0) ||
+                    !(loan.annualRate >= 0) || !Number.isInteger(loan.termMonths) || loan.termMonths < 1 ||
+                    !/^\d{4}-\d{2}$/.test(loan.startMonth)) {
+                    errors.push(`loans[${index}]: הלוואה לא תקינה`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.checkRegister)) {
+            data.checkRegister.forEach((check, index) => {
+                if (!check || typeof check.id !== 'string' || typeof check.checkNumber !== 'string' ||
+                    !(check.amount > 0) || !SNAPSHOT_CHECK_STATUSES.includes(check.status) ||
+                    !/^\d{4}-\d{2}-\d{2}$/.test(check.issueDate) || !/^\d{4}-\d{2}-\d{2}$/.test(check.dueDate)) {
+                    errors.push(`checkRegister[${index}]: צ'יק לא תקין`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.checkbooks)) {
+            data.checkbooks.forEach((book, index) => {
+                if (!book || typeof book.id !== 'string' || typeof book.name !== 'string' ||
+                    !Number.isInteger(book.firstNumber) || !Number.isInteger(book.lastNumber) ||
+                    book.lastNumber < book.firstNumber || !Array.isArray(book.voided)) {
+                    errors.push(`checkbooks[${index}]: פנקס צ'יקים לא תקין`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.payees)) {
+            data.payees.forEach((payee, index) => {
+                if (!payee || typeof payee.id !== 'string' || typeof payee.name !== 'string' || !Array.isArray(payee.aliases)) {
+                    errors.push(`payees[${index}]: מוטב לא תקין`);
+                }
+            });
+        }
+
+        if (Array.isArray(data.lockedYears) && !data.lockedYears.every(year => Number.isInteger(year))) {
+            errors.push('lockedYears: שנה לא תקינה');
+        }
+
+        if (Array.isArray(data.reconciliations)) {
+            data.reconciliations.forEach((record, index) => {
+                if (!record || typeof record.id !== 'string' || typeof record.accountId !== 'string' || !Number.isInteger(record.year) ||
+                    !Number.isInteger(record.month) || record.month < 1 || record.month > 12 ||
+                    !Number.isFinite(record.statementBalance) || !Number.isFinite(record.difference)) {
+                    errors.push(`reconciliations[${index}]: התאמת בנק לא תקינה`);
+                }
+            });
+        }
+
+        [['transactions', data.transactions], ['importedCheckItems', data.importedCheckItems]].forEach(([field, records]) => {
+            if (!Array.isArray(records)) return;
+            records.forEach((record, index) => {
+                const label = `${field}[${index}]`;
+                if (!record || typeof record !== 'object') {
+                    errors.push(`${label}: רשומה לא תקינה`);
+                    return;
+                }
+                if (record.id === undefined || record.id === null) errors.push(`${label}: חסר מזהה`);
+                if (typeof record.item !== 'string') errors.push(`${label}: חסר פריט`);
+                if (!Number.isFinite(record.amount)) errors.push(`${label}: סכום לא תקין`);
+                if (!Number.isInteger(record.month) || record.month < 1 || record.month > 12) errors.push(`${label}: חודש לא תקין`);
+                if (record.year !== undefined && !Number.isInteger(record.year)) errors.push(`${label}: שנה לא תקינה`);
+                if (record.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(record.date)) errors.push(`${label}: תאריך לא תקין`);
+                if (record.maturityDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(record.maturityDate)) errors.push(`${label}: מועד פירעון לא תקין`);
+                if (record.clearedAccounts !== undefined && !(Array.isArray(record.clearedAccounts) && record.clearedAccounts.every(id => typeof id === 'string'))) {
+                    errors.push(`${label}: סימון ניקוי לא תקין`);
+                }
+                if (field === 'transactions' && !SNAPSHOT_TRANSACTION_TYPES.includes(record.type)) errors.push(`${label}: סוג לא תקין`);
+                if (field === 'transactions' && Array.isArray(data.accounts)) {
+                    const accountExists = (id) => data.accounts.some(account => account && account.id === id);
+                    if (record.accountId !== undefined && !accountExists(record.accountId)) {
+                        errors.push(`${label}: חשבון לא קיים`);
+                    }
+                    if (record.toAccountId !== undefined && !accountExists(record.toAccountId)) {
+                        errors.push(`${label}: חשבון יעד לא קיים`);
+                    }
+                }
+                if (record.splits !== undefined) {
+                    const splitsValid = Array.isArray(record.splits) && record.splits.every(split =>
+                        split && Number.isFinite(split.amount) && typeof split.category === 'string');
+                    if (!splitsValid) {
+                        errors.push(`${label}: פיצול לא תקין`);
+                    } else if (Number.isFinite(record.amount) && Math.abs(record.splits.reduce((sum, split) => sum + split.amount, 0) - record.amount) >= 0.01) {
+                        errors.push(`${label}: סכום הפיצול שונה מסכום העסקה`);
+                    }
+                }
+                if (record.originalCurrency !== undefined && (typeof record.originalCurrency !== 'string'
+                    || !Number.isFinite(record.originalAmount) || !(record.exchangeRate > 0))) {
+                    errors.push(`${label}: פרטי מטבע זר לא תקינים`);
+                }
+                if (record.attachments !== undefined && !(Array.isArray(record.attachments) && record.attachments.every(a =>
+                    a && typeof a.id === 'string' && typeof a.name === 'string'))) {
+                    errors.push(`${label}: קבצים מצורפים לא תקינים`);
+                }
+                if (record.tags !== undefined && !(Array.isArray(record.tags) && record.tags.every(tag => typeof tag === 'string'))) {
+                    errors.push(`${label}: תגיות לא תקינות`);
+                }
+                if (record.toAccountId !== undefined && (record.type !== 'transfer' || record.toAccountId === (record.accountId || 'main'))) {
+                    errors.push(`${label}: העברה לא תקינה`);
+                }
+            });
+        });
+
+        return errors;
+    }
+}
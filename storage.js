@@ -0,0 +1,279 @@
+// Budget Storage
+// Persists the ledger in IndexedDB with one object store per entity
+
+// Object stores and the fields they are indexed by
+const BUDGET_STORES = {
+    transactions: { keyPath: 'id', indexes: ['year', 'month', 'category'] },
+    importedCheckItems: { keyPath: 'id', indexes: ['year', 'month'] },
+    mappings: { keyPath: 'item', indexes: ['category'] },
+    openingBalances: { keyPath: 'key', indexes: ['year'] },
+    monthlyNotes: { keyPath: 'key', indexes: ['year'] },
+    meta: { keyPath: 'key', indexes: [] } // Everything else (categories, income items, selections...)
+};
+
+// Attached files (receipts, scans) - { id, name, type, size, blob }.
+// Kept outside the ledger stores: never part of a snapshot or an undo step, records only reference them by id.
+const ATTACHMENT_STORE = 'attachments';
+
+class BudgetStorage {
+    constructor(dbName = 'budgetSystemDB', legacyKey = 'budgetData', legacyBackupKey = 'budgetDataLegacyBackup') {
+        this.dbName = dbName;
+        this.dbVersion = 2; // 2: attachments store
+        this.db = null;
+        this.cache = new Map(); // storeName -> Map(key -> serialized record), mirrors what is on disk
+        this.writeQueue = Promise.resolve();
+        this.legacyKey = legacyKey;
+        this.legacyBackupKey = legacyBackupKey;
+    }
+
+    // Open the database, creating stores on first run
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                Object.entries(BUDGET_STORES).forEach(([storeName, definition]) => {
+                    if (db.objectStoreNames.contains(storeName)) return;
+                    const store = db.createObjectStore(storeName, { keyPath: definition.keyPath });
+                    definition.indexes.forEach(index => store.createIndex(index, index, { unique: false }));
+                    console.log(`🗄️ Created object store: ${storeName}`);
+                });
+                if (!db.objectStoreNames.contains(ATTACHMENT_STORE)) {
+                    db.createObjectStore(ATTACHMENT_STORE, { keyPath: 'id' });
+                    console.log(`🗄️ Created object store: ${ATTACHMENT_STORE}`);
+                }
+            };
+
+            request.onsuccess = (e) => {
+                this.db = e.target.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    }
+
+    // Load all data in the same shape saveData() produces.
+    // On first run, migrates the old localStorage blob into IndexedDB.
+    async load() {
+        await this.open();
+
+        const stores = {};
+        for (const storeName of Object.keys(BUDGET_STORES)) {
+            stores[storeName] = await this.getAll(storeName);
+        }
+
+        const isEmpty = Object.values(stores).every(records => records.length === 0);
+        if (isEmpty) {
+            return this.migrateFromLocalStorage();
+        }
+
+        // Remember what is on disk so the next save only writes what changed
+        this.cache = new Map();
+        Object.entries(stores).forEach(([storeName, records]) => {
+            const keyPath = BUDGET_STORES[storeName].keyPath;
+            this.cache.set(storeName, new Map(records.map(r => [r[keyPath], JSON.stringify(r)])));
+        });
+
+        console.log(`🗄️ Loaded ${stores.transactions.length} transactions from IndexedDB`);
+        return BudgetStorage.fromRecords(stores);
+    }
+
+    // Move the single 'budgetData' localStorage blob into the object stores
+    async migrateFromLocalStorage() {
+        const savedData = localStorage.getItem(this.legacyKey);
+        if (!savedData) {
+            return null;
+        }
+
+        const data = JSON.parse(savedData);
+        await this.save(data);
+
+        // Keep the old blob as a backup under a different key so it is never loaded again
+        localStorage.setItem(this.legacyBackupKey, savedData);
+        localStorage.removeItem(this.legacyKey);
+
+        console.log(`✅ Migrated ${(data.transactions || []).length} transactions from localStorage to IndexedDB`);
+        return data;
+    }
+
+    // Write only the records that changed since the last save
+    save(data) {
+        const records = BudgetStorage.toRecords(data);
+        const changes = [];
+
+        Object.entries(records).forEach(([storeName, storeRecords]) => {
+            const keyPath = BUDGET_STORES[storeName].keyPath;
+            const previous = this.cache.get(storeName) || new Map();
+            const next = new Map();
+
+            storeRecords.forEach(record => {
+                const key = record[keyPath];
+                if (key === undefined || key === null) {
+                    console.warn(`⚠️ Skipping ${storeName} record without ${keyPath}:`, record);
+                    return;
+                }
+                const serialized = JSON.stringify(record);
+                next.set(key, serialized);
+                if (previous.get(key) !== serialized) {
+                    changes.push({ storeName, type: 'put', record });
+                }
+            });
+
+            previous.forEach((_, key) => {
+                if (!next.has(key)) {
+                    changes.push({ storeName, type: 'delete', key });
+                }
+            });
+
+            this.cache.set(storeName, next);
+        });
+
+        if (changes.length === 0) {
+            return this.writeQueue;
+        }
+
+        // Serialize writes so a later save never lands before an earlier one
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(() => this.writeChanges(changes));
+        return this.writeQueue;
+    }
+
+    // Resolves once every queued write has finished (e.g. before reloading the page)
+    flush() {
+        return this.writeQueue.catch(() => {});
+    }
+
+    // Apply a list of put/delete changes in a single IndexedDB transaction
+    async writeChanges(changes) {
+        const db = await this.open();
+        const storeNames = [...new Set(changes.map(c => c.storeName))];
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, 'readwrite');
+            changes.forEach(change => {
+                const store = tx.objectStore(change.storeName);
+                if (change.type === 'put') {
+                    store.put(change.record);
+                } else {
+                    store.delete(change.key);
+                }
+            });
+            tx.oncomplete = () => {
+                console.log(`💾 Saved ${changes.length} changed records to IndexedDB`);
+                resolve();
+            };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    // Read every record in a store
+    async getAll(storeName) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Attached files
+    async putAttachment(attachment) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(ATTACHMENT_STORE, 'readwrite');
+            tx.objectStore(ATTACHMENT_STORE).put(attachment);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Resolves with the stored file, or undefined if it is not on this device
+    async getAttachment(id) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(ATTACHMENT_STORE, 'readonly').objectStore(ATTACHMENT_STORE).get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAttachmentIds() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(ATTACHMENT_STORE, 'readonly').objectStore(ATTACHMENT_STORE).getAllKeys();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async deleteAttachments(ids) {
+        if (ids.length === 0) return;
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(ATTACHMENT_STORE, 'readwrite');
+            const store = tx.objectStore(ATTACHMENT_STORE);
+            ids.forEach(id => store.delete(id));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Split a saveData() object into per-store records
+    static toRecords(data) {
+        const parseKey = (key) => {
+            const match = String(key).match(/(\d{4})-(\d{1,2})$/);
+            return match ? { year: parseInt(match[1]), month: parseInt(match[2]) } : {};
+        };
+
+        const records = {
+            transactions: data.transactions || [],
+            importedCheckItems: data.importedCheckItems || [],
+            mappings: (data.mappings || []).map(([item, value]) => ({
+                ...(value && typeof value === 'object' ? value : { category: value }),
+                item
+            })),
+            openingBalances: (data.openingBalances || []).map(([key, amount]) => ({ key, ...parseKey(key), amount })),
+            monthlyNotes: (data.monthlyNotes || []).map(([key, notes]) => ({ key, ...parseKey(key), notes })),
+            meta: []
+        };
+
+        // Anything that isn't an entity store is kept as a key/value meta record
+        Object.entries(data).forEach(([key, value]) => {
+            if (BUDGET_STORES[key] || value === undefined) return;
+            records.meta.push({ key, value });
+        });
+
+        return records;
+    }
+
+    // Rebuild a saveData() object from per-store records
+    static fromRecords(stores) {
+        const data = {
+            transactions: stores.transactions || [],
+            importedCheckItems: stores.importedCheckItems || [],
+            mappings: (stores.mappings || []).map(({ item, ...value }) => [item, value]),
+            openingBalances: (stores.openingBalances || []).map(r => [r.key, r.amount]),
+            monthlyNotes: (stores.monthlyNotes || []).map(r => [r.key, r.notes])
+        };
+
+        (stores.meta || []).forEach(({ key, value }) => {
+            data[key] = value;
+        });
+
+        return data;
+    }
+}